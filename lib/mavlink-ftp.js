@@ -0,0 +1,100 @@
+// MAVLink FTP: the request/response header carried in the 251-byte payload
+// of FILE_TRANSFER_PROTOCOL, directory listings and the protocol's CRC32.
+//
+//   0  seq_number (uint16)   2 session   3 opcode   4 size
+//   5  req_opcode   6 burst_complete   7 padding   8 offset (uint32)
+//  12  data (up to 239 bytes)
+
+const HEADER_LEN = 12;
+const PAYLOAD_LEN = 251;
+const MAX_DATA = PAYLOAD_LEN - HEADER_LEN;
+
+const OPCODE = {
+  None: 0, TerminateSession: 1, ResetSessions: 2, ListDirectory: 3, OpenFileRO: 4, ReadFile: 5,
+  CreateFile: 6, WriteFile: 7, RemoveFile: 8, CreateDirectory: 9, RemoveDirectory: 10,
+  OpenFileWO: 11, TruncateFile: 12, Rename: 13, CalcFileCRC32: 14, BurstReadFile: 15,
+  ACK: 128, NAK: 129
+};
+
+// NAK reason in data[0]; FailErrno carries the errno in data[1]
+const NAK_ERROR = {
+  0: "None", 1: "Fail", 2: "FailErrno", 3: "InvalidDataSize", 4: "InvalidSession",
+  5: "NoSessionsAvailable", 6: "EOF", 7: "UnknownCommand", 8: "FileExists", 9: "FileProtected",
+  10: "FileNotFound"
+};
+
+// { seq, session, opcode, size, reqOpcode, burstComplete, offset, data } -> byte array for
+// the FILE_TRANSFER_PROTOCOL payload field
+function encodeFtp(p) {
+  const buf = Buffer.alloc(PAYLOAD_LEN);
+  const data = p.data ? Buffer.from(p.data) : Buffer.alloc(0);
+  if (data.length > MAX_DATA) throw new Error(`FTP data too long (${data.length} > ${MAX_DATA} bytes)`);
+  buf.writeUInt16LE(p.seq & 0xffff, 0);
+  buf[2] = p.session || 0;
+  buf[3] = p.opcode;
+  buf[4] = p.size ?? data.length;
+  buf[5] = p.reqOpcode || 0;
+  buf[6] = p.burstComplete ? 1 : 0;
+  buf.writeUInt32LE(p.offset || 0, 8);
+  data.copy(buf, HEADER_LEN);
+  return Array.from(buf);
+}
+
+function decodeFtp(payload) {
+  const buf = Buffer.from(payload);
+  if (buf.length < HEADER_LEN) throw new Error("FTP payload too short");
+  const size = buf[4];
+  return {
+    seq: buf.readUInt16LE(0), session: buf[2], opcode: buf[3], size,
+    reqOpcode: buf[5], burstComplete: buf[6] === 1, offset: buf.readUInt32LE(8),
+    data: buf.subarray(HEADER_LEN, HEADER_LEN + Math.min(size, MAX_DATA))
+  };
+}
+
+// "NoSessionsAvailable", "FailErrno 2", ...
+function nakReason(data) {
+  const name = NAK_ERROR[data[0]] || `error ${data[0]}`;
+  return data[0] === 2 && data.length > 1 ? `${name} ${data[1]}` : name;
+}
+
+// ListDirectory data: NUL-separated "F<name>\t<size>", "D<name>" or "S" (skipped) entries.
+// Returns { entries: [{ name, type, size }], count } where count includes skipped
+// entries, as the next request's offset must.
+function parseDirectoryListing(data) {
+  const entries = [];
+  let count = 0;
+  for (const raw of data.toString("utf8").split("\0")) {
+    if (!raw) continue;
+    count++;
+    const kind = raw[0];
+    if (kind === "F") {
+      const [name, size] = raw.slice(1).split("\t");
+      entries.push({ name, type: "file", size: Number(size || 0) });
+    } else if (kind === "D") {
+      entries.push({ name: raw.slice(1), type: "dir" });
+    }
+  }
+  return { entries, count };
+}
+
+// CRC32 as ArduPilot and PX4 compute it for CalcFileCRC32: IEEE polynomial,
+// reflected, initial value 0 and no final XOR.
+const CRC_TABLE = (() => {
+  const t = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    t[n] = c >>> 0;
+  }
+  return t;
+})();
+
+function crc32(buf, crc = 0) {
+  for (let i = 0; i < buf.length; i++) crc = CRC_TABLE[(crc ^ buf[i]) & 0xff] ^ (crc >>> 8);
+  return crc >>> 0;
+}
+
+module.exports = {
+  HEADER_LEN, PAYLOAD_LEN, MAX_DATA, OPCODE, NAK_ERROR,
+  encodeFtp, decodeFtp, nakReason, parseDirectoryListing, crc32
+};
@@ -1,7 +1,17 @@
-// Lightweight MAVLink v2 helpers: frame parse/build, X.25 CRC, field (un)pack.
-// Supports common scalar types and fixed-length arrays, incl. char[n] (C-string).
+// Lightweight MAVLink v1/v2 helpers: frame parse/build, X.25 CRC, field (un)pack,
+// MAVLink 2 signing. Supports common scalar types and fixed-length arrays,
+// incl. char[n] (C-string).
 
+const crypto = require("crypto");
+
+const MAGIC_V1 = 0xFE;
 const MAGIC_V2 = 0xFD;
+const HEADER_LEN_V1 = 6;
+const HEADER_LEN_V2 = 10;
+const IFLAG_SIGNED = 0x01;
+const SIGNATURE_LEN = 13; // link id (1) + timestamp (6) + signature (6)
+// Signing timestamps count 10us units since 2015-01-01 00:00:00 UTC.
+const SIGNING_EPOCH_MS = Date.UTC(2015, 0, 1);
 
 // X.25 CRC (MCRF4XX), same as MAVLink
 function crcAccumulate(byte, crc) {
@@ -27,17 +37,33 @@ function sizeof(t, len) {
 }
 
 function sortFieldsForPacking(fields) {
-  // MAVLink packs by descending type size (8,4,2,1). Keep stable within group.
-  return [...fields].sort((a,b) => {
-    const sa = sizeof(a.type, a.arrayLen || 1);
-    const sb = sizeof(b.type, b.arrayLen || 1);
-    return sb - sa;
-  });
+  // MAVLink packs base fields by descending element type size (8,4,2,1); arrays
+  // sort by their element type, not their total size. Keep stable within group.
+  // MAVLink 2 extension fields are never reordered and follow the base fields.
+  const base = fields.filter(f => !f.extension);
+  const ext = fields.filter(f => f.extension);
+  return [...base.sort((a,b) => sizeof(b.type) - sizeof(a.type)), ...ext];
+}
+
+// CRC_EXTRA seed, computed like pymavlink: message name, then for each base
+// field in wire order its type, name and (for arrays) length. Extension fields
+// are not part of it. Folded to 8 bits.
+function computeCrcExtra(name, fields) {
+  const acc = (str, crc) => crcX25(Buffer.from(str + " ", "utf8"), crc);
+  let crc = acc(name, 0xffff);
+  for (const f of sortFieldsForPacking(fields)) {
+    if (f.extension) continue;
+    crc = acc(f.type, crc);
+    crc = acc(f.name, crc);
+    if (f.arrayLen) crc = crcAccumulate(f.arrayLen & 0xff, crc);
+  }
+  return ((crc & 0xff) ^ (crc >> 8)) & 0xff;
 }
 
 function writeScalarLE(buf, offset, type, value) {
   switch (type) {
-    case "char":
+    // A char is a byte: 0..255 or a one-character string
+    case "char": buf.writeUInt8(typeof value === "string" && value.length === 1 ? value.charCodeAt(0) : Number(value), offset); return offset+1;
     case "int8_t":  buf.writeInt8(value, offset); return offset+1;
     case "uint8_t": buf.writeUInt8(value, offset); return offset+1;
     case "int16_t": buf.writeInt16LE(value, offset); return offset+2;
@@ -64,98 +90,119 @@ function writeScalarLE(buf, offset, type, value) {
   }
 }
 
-function readScalarLE(buf, offset, type) {
+function readScalar(buf, offset, type) {
   switch (type) {
     case "char":
-    case "int8_t":  return [buf.readInt8(offset), offset+1];
-    case "uint8_t": return [buf.readUInt8(offset), offset+1];
-    case "int16_t": return [buf.readInt16LE(offset), offset+2];
-    case "uint16_t": return [buf.readUInt16LE(offset), offset+2];
-    case "int32_t": return [buf.readInt32LE(offset), offset+4];
-    case "uint32_t": return [buf.readUInt32LE(offset), offset+4];
-    case "float": return [buf.readFloatLE(offset), offset+4];
-    case "int64_t": {
-      const lo = BigInt(buf.readUInt32LE(offset));
-      const hi = BigInt(buf.readInt32LE(offset+4));
-      return [Number((hi<<32n) | lo), offset+8];
-    }
-    case "uint64_t": {
-      const lo = BigInt(buf.readUInt32LE(offset));
-      const hi = BigInt(buf.readUInt32LE(offset+4));
-      return [Number((hi<<32n) | lo), offset+8];
-    }
-    case "double": return [buf.readDoubleLE(offset), offset+8];
+    case "uint8_t": return buf.readUInt8(offset);
+    case "int8_t":  return buf.readInt8(offset);
+    case "int16_t": return buf.readInt16LE(offset);
+    case "uint16_t": return buf.readUInt16LE(offset);
+    case "int32_t": return buf.readInt32LE(offset);
+    case "uint32_t": return buf.readUInt32LE(offset);
+    case "float": return buf.readFloatLE(offset);
+    case "int64_t": return Number(buf.readBigInt64LE(offset));
+    case "uint64_t": return Number(buf.readBigUInt64LE(offset));
+    case "double": return buf.readDoubleLE(offset);
     default: throw new Error("Unsupported type " + type);
   }
 }
 
-function packPayload(messageDef, payloadObj) {
-  // Compute payload length
-  const fieldsSorted = sortFieldsForPacking(messageDef.fields);
-  const totalLen = fieldsSorted.reduce((acc,f)=> acc + sizeof(f.type, f.arrayLen||1), 0);
-  const payload = Buffer.alloc(totalLen);
+// Wire layout of a message: fields in wire order with their byte offsets, and
+// the payload lengths. Computed once per message definition.
+const layouts = new WeakMap();
+function messageLayout(messageDef) {
+  let layout = layouts.get(messageDef);
+  if (layout) return layout;
+  let offset = 0, baseLength = 0;
+  const fields = sortFieldsForPacking(messageDef.fields).map(f => {
+    const arrayLen = f.arrayLen || 0;
+    const entry = { name: f.name, type: f.type, arrayLen, offset, elemSize: sizeof(f.type), isString: arrayLen > 0 && f.type === "char" };
+    offset += sizeof(f.type, arrayLen || 1);
+    if (!f.extension) baseLength = offset;
+    return entry;
+  });
+  layout = { fields, length: offset, baseLength };
+  layouts.set(messageDef, layout);
+  return layout;
+}
 
-  let off = 0;
-  for (const f of fieldsSorted) {
+function packPayload(messageDef, payloadObj) {
+  const layout = messageLayout(messageDef);
+  const payload = Buffer.alloc(layout.length);
+  for (const f of layout.fields) {
     const val = payloadObj[f.name];
-    const arrLen = f.arrayLen || 0;
-
-    if (arrLen && f.type === "char") {
-      // char[n] string
-      const s = (val == null ? "" : String(val));
-      const b = Buffer.from(s, "utf8");
-      const len = Math.min(arrLen, b.length);
-      b.copy(payload, off, 0, len);
-      if (len < arrLen) payload.fill(0, off+len, off+arrLen);
-      off += arrLen;
-    } else if (arrLen) {
+    if (f.isString) {
+      // char[n] string; the rest stays zero
+      const b = Buffer.from(val == null ? "" : String(val), "utf8");
+      b.copy(payload, f.offset, 0, Math.min(f.arrayLen, b.length));
+    } else if (f.arrayLen) {
       const arr = Array.isArray(val) ? val : [];
-      for (let i=0; i<arrLen; i++) {
-        const v = arr[i] ?? 0;
-        off = writeScalarLE(payload, off, f.type, v);
-      }
+      for (let i = 0; i < f.arrayLen; i++) writeScalarLE(payload, f.offset + i * f.elemSize, f.type, arr[i] ?? 0);
     } else {
-      off = writeScalarLE(payload, off, f.type, val ?? 0);
+      writeScalarLE(payload, f.offset, f.type, val ?? 0);
     }
   }
   return payload;
 }
 
+function payloadLength(messageDef) {
+  return messageLayout(messageDef).length;
+}
+
+// MAVLink 2 senders strip trailing zero bytes, and senders built against an
+// older dialect omit extension fields entirely. Both decode as zero.
+function padPayload(messageDef, payload) {
+  const fullLen = messageLayout(messageDef).length;
+  if (payload.length >= fullLen) return payload;
+  const padded = Buffer.alloc(fullLen);
+  payload.copy(padded);
+  return padded;
+}
+
 function unpackPayload(messageDef, payload) {
-  const fieldsSorted = sortFieldsForPacking(messageDef.fields);
+  const layout = messageLayout(messageDef);
+  if (payload.length < layout.length) payload = padPayload(messageDef, payload);
   const obj = {};
-  let off = 0;
-  for (const f of fieldsSorted) {
-    const arrLen = f.arrayLen || 0;
-    if (arrLen && f.type === "char") {
-      const slice = payload.subarray(off, off+arrLen);
+  for (const f of layout.fields) {
+    if (f.isString) {
+      const slice = payload.subarray(f.offset, f.offset + f.arrayLen);
       const nul = slice.indexOf(0);
-      obj[f.name] = slice.subarray(0, nul < 0 ? slice.length : nul).toString("utf8");
-      off += arrLen;
-    } else if (arrLen) {
-      const arr = [];
-      for (let i=0;i<arrLen;i++) {
-        const [v, nOff] = readScalarLE(payload, off, f.type);
-        off = nOff; arr.push(v);
-      }
+      obj[f.name] = slice.toString("utf8", 0, nul < 0 ? slice.length : nul);
+    } else if (f.arrayLen) {
+      const arr = new Array(f.arrayLen);
+      for (let i = 0; i < f.arrayLen; i++) arr[i] = readScalar(payload, f.offset + i * f.elemSize, f.type);
       obj[f.name] = arr;
     } else {
-      const [v, nOff] = readScalarLE(payload, off, f.type);
-      off = nOff; obj[f.name] = v;
+      obj[f.name] = readScalar(payload, f.offset, f.type);
     }
   }
   return obj;
 }
 
+// msgid -> { name, id, crc, def, layout } for a schema's messages, so the hot
+// path (scan, CRC check, decode) never searches the message list.
+function buildMessageIndex(messages) {
+  const index = new Map();
+  for (const [name, def] of Object.entries(messages || {})) {
+    index.set(def.id, { name, id: def.id, crc: def.crc, def, layout: messageLayout(def) });
+  }
+  return index;
+}
+
 function buildFrameV2(messageDef, payload, opts) {
-  const incompatFlags = opts?.incompatFlags ?? 0;
+  const signing = opts?.signing; // { key, linkId, timestamp }
+  const incompatFlags = (opts?.incompatFlags ?? 0) | (signing ? IFLAG_SIGNED : 0);
   const compatFlags = opts?.compatFlags ?? 0;
   const seq = opts?.seq ?? 0;
   const sysid = opts?.sysid ?? 1;
   const compid = opts?.compid ?? 1;
   const msgid = messageDef.id;
 
-  const payloadLen = payload.length;
+  // Truncate trailing zero bytes as the reference implementations do, but
+  // always keep at least one payload byte.
+  let payloadLen = payload.length;
+  while (payloadLen > 1 && payload[payloadLen-1] === 0) payloadLen--;
+  payload = payload.subarray(0, payloadLen);
   const header = Buffer.alloc(10);
   header[0] = MAGIC_V2;
   header[1] = payloadLen;
@@ -176,29 +223,461 @@ function buildFrameV2(messageDef, payload, opts) {
   const crcBuf = Buffer.alloc(2);
   crcBuf.writeUInt16LE(crc, 0);
 
-  return Buffer.concat([header, payload, crcBuf]);
+  const frame = Buffer.concat([header, payload, crcBuf]);
+  if (!signing) return frame;
+  return Buffer.concat([frame, signatureBlock(frame, signing.key, signing.linkId, signing.timestamp)]);
 }
 
-function* scanFramesV2(buf) {
-  // yields { start, end, frameBuf } for each valid frame found
+// --- MAVLink 2 signing ---
+
+// A 64-digit hex string is used as the raw 32-byte key; anything else is
+// treated as a passphrase and hashed, as MAVProxy and QGroundControl do.
+function signingKeyFrom(secret) {
+  if (Buffer.isBuffer(secret)) return secret;
+  const s = String(secret || "");
+  if (/^[0-9a-f]{64}$/i.test(s)) return Buffer.from(s, "hex");
+  return crypto.createHash("sha256").update(s, "utf8").digest();
+}
+
+function signingTimestampNow() {
+  return Math.floor((Date.now() - SIGNING_EPOCH_MS) * 100);
+}
+
+// sha256(key + header + payload + crc + link id + timestamp), first 6 bytes.
+function computeSignature(key, unsignedFrame, linkId, timestamp) {
+  const tail = Buffer.alloc(7);
+  tail[0] = linkId & 0xff;
+  tail.writeUIntLE(timestamp, 1, 6);
+  return crypto.createHash("sha256").update(key).update(unsignedFrame).update(tail).digest().subarray(0, 6);
+}
+
+function signatureBlock(unsignedFrame, key, linkId, timestamp) {
+  const block = Buffer.alloc(SIGNATURE_LEN);
+  block[0] = linkId & 0xff;
+  block.writeUIntLE(timestamp, 1, 6);
+  computeSignature(key, unsignedFrame, linkId, timestamp).copy(block, 7);
+  return block;
+}
+
+function verifySignature(frame, key) {
+  const hdr = parseFrameHeader(frame);
+  if (!hdr.signed) return false;
+  const unsignedLen = hdr.headerLen + hdr.len + 2;
+  const expected = computeSignature(key, frame.subarray(0, unsignedLen), hdr.linkId, hdr.timestamp);
+  return crypto.timingSafeEqual(expected, frame.subarray(unsignedLen + 7, unsignedLen + SIGNATURE_LEN));
+}
+
+function basePayloadLength(messageDef) {
+  return messageLayout(messageDef).baseLength;
+}
+
+function buildFrameV1(messageDef, payload, opts) {
+  const seq = opts?.seq ?? 0;
+  const sysid = opts?.sysid ?? 1;
+  const compid = opts?.compid ?? 1;
+  const msgid = messageDef.id;
+  if (msgid > 0xff) throw new Error(`Message id ${msgid} cannot be sent as MAVLink 1`);
+
+  // MAVLink 1 has no extension fields and no payload truncation.
+  const baseLen = basePayloadLength(messageDef);
+  const body = Buffer.alloc(baseLen);
+  payload.copy(body, 0, 0, Math.min(baseLen, payload.length));
+
+  const header = Buffer.alloc(HEADER_LEN_V1);
+  header[0] = MAGIC_V1;
+  header[1] = baseLen;
+  header[2] = seq & 0xff;
+  header[3] = sysid & 0xff;
+  header[4] = compid & 0xff;
+  header[5] = msgid & 0xff;
+
+  let crc = crcX25(Buffer.concat([ header.subarray(1), body ]));
+  crc = crcAccumulate(messageDef.crc & 0xff, crc);
+
+  const crcBuf = Buffer.alloc(2);
+  crcBuf.writeUInt16LE(crc, 0);
+
+  return Buffer.concat([header, body, crcBuf]);
+}
+
+// Decode the header of a complete v1 or v2 frame (frame[0] is the magic byte).
+function parseFrameHeader(frame) {
+  if (frame[0] === MAGIC_V1) {
+    const len = frame[1];
+    return {
+      version: 1, headerLen: HEADER_LEN_V1, len,
+      incompatFlags: 0, compatFlags: 0,
+      seq: frame[2], sysid: frame[3], compid: frame[4], msgid: frame[5],
+      payload: frame.subarray(HEADER_LEN_V1, HEADER_LEN_V1+len),
+      crc: frame.readUInt16LE(HEADER_LEN_V1+len)
+    };
+  }
+  const len = frame[1];
+  const hdr = {
+    version: 2, headerLen: HEADER_LEN_V2, len,
+    incompatFlags: frame[2], compatFlags: frame[3],
+    seq: frame[4], sysid: frame[5], compid: frame[6],
+    msgid: frame[7] | (frame[8] << 8) | (frame[9] << 16),
+    payload: frame.subarray(HEADER_LEN_V2, HEADER_LEN_V2+len),
+    crc: frame.readUInt16LE(HEADER_LEN_V2+len),
+    signed: (frame[2] & IFLAG_SIGNED) !== 0
+  };
+  if (hdr.signed && frame.length >= HEADER_LEN_V2 + len + 2 + SIGNATURE_LEN) {
+    const sig = HEADER_LEN_V2 + len + 2;
+    hdr.linkId = frame[sig];
+    hdr.timestamp = frame.readUIntLE(sig + 1, 6);
+  }
+  return hdr;
+}
+
+// CRC covers everything after the magic byte up to the checksum, plus CRC_EXTRA.
+function checkFrameCrc(frame, crcExtra) {
+  const hdr = parseFrameHeader(frame);
+  let crc = crcX25(frame.subarray(1, hdr.headerLen + hdr.len));
+  crc = crcAccumulate(crcExtra & 0xff, crc);
+  return crc === hdr.crc;
+}
+
+// CRC check with the header already known (no header parse).
+function frameCrcOk(frame, headerLen, len, crcExtra) {
+  let crc = crcX25(frame.subarray(1, headerLen + len));
+  crc = crcAccumulate(crcExtra & 0xff, crc);
+  return crc === frame.readUInt16LE(headerLen + len);
+}
+
+function* scanFrames(buf, crcExtraFor) {
+  // yields { start, end, frameBuf, version, crcOk } for each v1/v2 frame found.
+  // With crcExtraFor(msgid), frames of known messages that fail CRC are skipped
+  // and scanning resumes one byte after their magic; crcOk is true for frames
+  // that were checked.
   for (let i=0; i<buf.length; i++) {
-    if (buf[i] !== MAGIC_V2) continue;
-    if (i + 10 > buf.length) break; // not enough header
+    const magic = buf[i];
+    if (magic !== MAGIC_V1 && magic !== MAGIC_V2) continue;
+    const headerLen = magic === MAGIC_V2 ? HEADER_LEN_V2 : HEADER_LEN_V1;
+    if (i + headerLen > buf.length) break; // not enough header
     const len = buf[i+1];
-    const frameLen = 10 + len + 2; // header + payload + crc
+    const signed = magic === MAGIC_V2 && (buf[i+2] & IFLAG_SIGNED) !== 0;
+    const frameLen = headerLen + len + 2 + (signed ? SIGNATURE_LEN : 0); // header + payload + crc [+ signature]
     if (i + frameLen > buf.length) break;
     const frame = buf.subarray(i, i+frameLen);
-    // verify CRC
-    const crcData = Buffer.concat([ frame.subarray(1, 10), frame.subarray(10, 10+len) ]);
-    let crc = crcX25(crcData);
-    // We don't know crc extra here—can't fully verify without messageDef; let parser do it with schema
-    yield { start: i, end: i+frameLen, frameBuf: frame };
+    let crcOk;
+    if (crcExtraFor) {
+      const msgid = magic === MAGIC_V2 ? (buf[i+7] | (buf[i+8] << 8) | (buf[i+9] << 16)) : buf[i+5];
+      const crcExtra = crcExtraFor(msgid);
+      if (crcExtra !== undefined) {
+        if (!frameCrcOk(frame, headerLen, len, crcExtra)) continue;
+        crcOk = true;
+      }
+    }
+    yield { start: i, end: i+frameLen, frameBuf: frame, version: magic === MAGIC_V2 ? 2 : 1, crcOk };
     i += (frameLen - 1);
   }
 }
 
+function* scanFramesV2(buf) {
+  // yields { start, end, frameBuf } for each v2 frame found (CRC not verified)
+  for (const f of scanFrames(buf)) if (f.version === 2) yield f;
+}
+
+// --- Enum lookups (members as stored in schema.enums[name]) ---
+
+// Accepts a key ("MAV_CMD_NAV_TAKEOFF"), a key without the enum prefix
+// ("NAV_TAKEOFF") or a number.
+function enumValueFor(enums, enumName, v) {
+  if (typeof v === "number" || /^\d+$/.test(String(v))) return Number(v);
+  const members = enums[enumName] || [];
+  const found = members.find(m => m.key === v) || members.find(m => m.key === `${enumName}_${v}`);
+  if (!found) throw new Error(`Key "${v}" not found in enum "${enumName}"`);
+  return found.value;
+}
+
+function enumKeyFor(members, value) {
+  const m = (members || []).find(e => e.value === value);
+  return m ? m.key : undefined;
+}
+
+// Names of the flags set in a bitmask value, lowest bit first.
+function bitmaskKeysFor(members, value) {
+  return (members || [])
+    .filter(e => e.value > 0 && Number(BigInt(Math.trunc(value)) & BigInt(e.value)) === e.value)
+    .sort((a,b) => a.value - b.value)
+    .map(e => e.key);
+}
+
+// Is this enum field a bitmask? Either the field says display="bitmask" or the
+// enum is declared bitmask="true".
+function isBitmaskField(field, members) {
+  return field.display === "bitmask" || (members || []).some(e => e.isBitmask);
+}
+
+// Copy of a decoded payload with enum fields as { value, name } and bitmask
+// fields as { value, flags: [names] }. Values outside the enum keep name undefined.
+function decodeEnumFields(messageDef, obj, enums) {
+  const out = { ...obj };
+  for (const f of messageDef.fields) {
+    if (!f.enum || !(f.name in obj)) continue;
+    const members = enums[f.enum];
+    const describe = isBitmaskField(f, members)
+      ? v => ({ value: v, flags: bitmaskKeysFor(members, v) })
+      : v => ({ value: v, name: enumKeyFor(members, v) });
+    out[f.name] = Array.isArray(obj[f.name]) ? obj[f.name].map(describe) : describe(obj[f.name]);
+  }
+  return out;
+}
+
+// Scaled units -> [SI-ish unit, divisor]
+const UNIT_SCALES = {
+  "degE7": ["deg", 1e7], "degE5": ["deg", 1e5], "cdeg": ["deg", 100], "cdeg/s": ["deg/s", 100],
+  "cdegC": ["degC", 100], "mrad": ["rad", 1000], "mrad/s": ["rad/s", 1000],
+  "mm": ["m", 1000], "cm": ["m", 100], "mm/s": ["m/s", 1000], "cm/s": ["m/s", 100],
+  "mV": ["V", 1000], "cV": ["V", 100], "mA": ["A", 1000], "cA": ["A", 100],
+  "c%": ["%", 100], "d%": ["%", 10]
+};
+
+// Units of a message's fields ({ field: unit }). With scale = true the
+// payload object is converted in place (degE7 -> deg, cdeg -> deg, mm -> m, ...)
+// and the converted units are returned.
+function applyUnits(messageDef, obj, scale) {
+  const units = {};
+  for (const f of messageDef.fields) {
+    if (!f.units || !(f.name in obj)) continue;
+    const conv = scale ? UNIT_SCALES[f.units] : undefined;
+    if (conv) {
+      const [unit, divisor] = conv;
+      const v = obj[f.name];
+      obj[f.name] = Array.isArray(v) ? v.map(x => x / divisor) : v / divisor;
+      units[f.name] = unit;
+    } else {
+      units[f.name] = f.units;
+    }
+  }
+  return units;
+}
+
+// Plain field values of a message from mavlink-parse, whatever its Decode enum
+// and Units options: re-decoded from msg._raw when present, otherwise with
+// { value, name } / { value, flags } unwrapped and "scale" units undone.
+function rawFields(messageDef, msg) {
+  if (Buffer.isBuffer(msg._raw)) return unpackPayload(messageDef, parseFrameHeader(msg._raw).payload);
+  const obj = {};
+  const plain = v => (v && typeof v === "object" && "value" in v) ? v.value : v;
+  for (const [k, v] of Object.entries(msg.payload)) obj[k] = Array.isArray(v) ? v.map(plain) : plain(v);
+  const units = msg.mavlink?.units || {};
+  for (const f of messageDef.fields) {
+    const conv = UNIT_SCALES[f.units];
+    if (!conv || units[f.name] !== conv[0] || !(f.name in obj)) continue;
+    const unscale = /^(float|double)/.test(f.type) ? x => x * conv[1] : x => Math.round(x * conv[1]);
+    obj[f.name] = Array.isArray(obj[f.name]) ? obj[f.name].map(unscale) : unscale(obj[f.name]);
+  }
+  return obj;
+}
+
+// Integer type ranges as BigInt [min, max]
+const INT_RANGES = {
+  "int8_t": [-128n, 127n], "uint8_t": [0n, 255n], "char": [0n, 255n],
+  "int16_t": [-32768n, 32767n], "uint16_t": [0n, 65535n],
+  "int32_t": [-2147483648n, 2147483647n], "uint32_t": [0n, 4294967295n],
+  "int64_t": [-(2n ** 63n), 2n ** 63n - 1n], "uint64_t": [0n, 2n ** 64n - 1n]
+};
+
+// Enum value from a number, a key (with or without the enum prefix) or, for
+// bitmask fields, an array of keys / "A|B" string. Throws on unknown names.
+function resolveEnumValue(field, v, enums) {
+  const members = enums[field.enum];
+  if (isBitmaskField(field, members) && (Array.isArray(v) || (typeof v === "string" && /[|,]/.test(v)))) {
+    const names = Array.isArray(v) ? v : v.split(/\s*[|,]\s*/).filter(Boolean);
+    return Number(names.reduce((acc, n) => acc | BigInt(enumValueFor(enums, field.enum, n)), 0n));
+  }
+  return typeof v === "string" ? enumValueFor(enums, field.enum, v) : v;
+}
+
+// Copy of a payload object with symbolic enum values replaced by numbers.
+function resolveEnumFields(messageDef, obj, enums) {
+  const out = { ...obj };
+  for (const f of messageDef.fields) {
+    if (!f.enum || out[f.name] == null) continue;
+    out[f.name] = f.arrayLen && Array.isArray(out[f.name]) && !isBitmaskField(f, enums[f.enum])
+      ? out[f.name].map(v => resolveEnumValue(f, v, enums))
+      : resolveEnumValue(f, out[f.name], enums);
+  }
+  return out;
+}
+
+function checkScalar(f, v, where) {
+  if (f.type === "float" || f.type === "double") {
+    // NaN is a legal "unset" marker in many MAVLink float fields
+    if (typeof v !== "number") return `${where}: expected a number, got ${JSON.stringify(v)}`;
+  } else if (f.type === "char" && typeof v === "string" && v.length === 1) {
+    if (v.charCodeAt(0) > 255) return `${where}: ${JSON.stringify(v)} does not fit in a char`;
+  } else {
+    let big;
+    try {
+      if (typeof v === "number" && !Number.isInteger(v)) throw new Error();
+      if (typeof v !== "number" && typeof v !== "bigint" && !(typeof v === "string" && /^-?\d+$/.test(v))) throw new Error();
+      big = BigInt(v);
+    } catch (e) { return `${where}: expected an integer, got ${JSON.stringify(v)}`; }
+    const [min, max] = INT_RANGES[f.type];
+    if (big < min || big > max) return `${where}: ${v} out of range for ${f.type} (${min}..${max})`;
+  }
+  if (f.min !== undefined && Number(v) < f.min) return `${where}: ${v} below minimum ${f.min}`;
+  if (f.max !== undefined && Number(v) > f.max) return `${where}: ${v} above maximum ${f.max}`;
+  return null;
+}
+
+// Check a payload object against a message definition. Returns
+// { payload, errors }: the payload with enum names resolved and a list of
+// problems (unknown or missing fields, bad types, range and length violations).
+// Extension fields are optional; everything else is required.
+function validatePayload(messageDef, obj, enums) {
+  const errors = [];
+  const payload = { ...obj };
+  const known = new Set(messageDef.fields.map(f => f.name));
+  for (const k of Object.keys(obj)) {
+    if (!known.has(k)) errors.push(`${k}: unknown field`);
+  }
+  for (const f of messageDef.fields) {
+    let v = payload[f.name];
+    if (v === undefined || v === null) {
+      if (!f.extension) errors.push(`${f.name}: missing`);
+      continue;
+    }
+    if (f.enum) {
+      try {
+        v = payload[f.name] = resolveEnumFields({ fields: [f] }, { [f.name]: v }, enums)[f.name];
+      } catch (e) { errors.push(`${f.name}: ${e.message}`); continue; }
+    }
+    if (f.arrayLen && f.type === "char") {
+      if (typeof v !== "string") errors.push(`${f.name}: expected a string, got ${JSON.stringify(v)}`);
+      else if (Buffer.byteLength(v, "utf8") > f.arrayLen) {
+        errors.push(`${f.name}: ${Buffer.byteLength(v, "utf8")} bytes exceed char[${f.arrayLen}]`);
+      }
+    } else if (f.arrayLen) {
+      if (!Array.isArray(v)) { errors.push(`${f.name}: expected an array of ${f.type}[${f.arrayLen}]`); continue; }
+      if (v.length > f.arrayLen) errors.push(`${f.name}: ${v.length} elements exceed ${f.type}[${f.arrayLen}]`);
+      v.slice(0, f.arrayLen).forEach((x, i) => {
+        const err = checkScalar(f, x, `${f.name}[${i}]`);
+        if (err) errors.push(err);
+      });
+    } else {
+      const err = checkScalar(f, v, f.name);
+      if (err) errors.push(err);
+    }
+  }
+  return { payload, errors };
+}
+
+// Frame for a message as mavlink-build sends it. fields may use enum names;
+// with opts.validate they are checked first and problems become an error.
+// opts.protocolVersion "1" gives a MAVLink 1 frame where the msgid allows it
+// and the frame is not signed, otherwise MAVLink 2. Other opts go to the
+// frame builder (seq, sysid, compid, incompatFlags, compatFlags, signing).
+// Returns { frame, def, version }.
+function buildMessage(schema, name, fields, opts) {
+  const def = schema.messages[name];
+  if (!def) throw new Error(`Message "${name}" not in schema`);
+  let obj = fields;
+  if (opts?.validate) {
+    const { payload, errors } = validatePayload(def, fields, schema.enums);
+    if (errors.length) throw new Error(`${name}: ${errors.length} validation error(s): ${errors.join("; ")}`);
+    obj = payload;
+  } else {
+    obj = resolveEnumFields(def, fields, schema.enums);
+  }
+  const version = (String(opts?.protocolVersion ?? "2") === "1" && def.id < 256 && !opts?.signing) ? 1 : 2;
+  const frame = (version === 1 ? buildFrameV1 : buildFrameV2)(def, packPayload(def, obj), opts);
+  return { frame, def, version };
+}
+
+// Stateful decoder for a byte stream (serial, TCP, concatenated datagrams).
+// Frames are CRC-checked against crcExtraFor(msgid) when given; on any failure
+// the decoder skips one byte and resyncs on the next magic byte. Without
+// crcExtraFor every well-formed frame is accepted. With it, frames of unknown
+// messages cannot be validated; they are passed on unchecked when the next
+// frame starts right after them.
+class MavlinkStreamParser {
+  constructor(opts) {
+    this.crcExtraFor = opts?.crcExtraFor || null;
+    this.maxBuffer = opts?.maxBuffer || 4096;
+    this.buf = Buffer.alloc(0);
+    // Several decoders (e.g. one per TCP client) may share one stats object.
+    if (opts?.stats) this.stats = opts.stats;
+    else this.resetStats();
+  }
+
+  resetStats() {
+    this.stats = { bytesIn: 0, bytesDropped: 0, framesOk: 0, crcErrors: 0, unknownMsgid: 0, overflows: 0 };
+  }
+
+  // Feed a chunk; returns the complete frames it finished, oldest first.
+  push(chunk) {
+    this.stats.bytesIn += chunk.length;
+    let buf = this.buf.length ? Buffer.concat([this.buf, chunk]) : chunk;
+    if (buf.length > this.maxBuffer) {
+      const excess = buf.length - this.maxBuffer;
+      this.stats.bytesDropped += excess;
+      this.stats.overflows++;
+      buf = buf.subarray(excess);
+    }
+
+    const frames = [];
+    let pos = 0;
+    while (pos < buf.length) {
+      const magic = buf[pos];
+      if (magic !== MAGIC_V1 && magic !== MAGIC_V2) { this.stats.bytesDropped++; pos++; continue; }
+      const headerLen = magic === MAGIC_V2 ? HEADER_LEN_V2 : HEADER_LEN_V1;
+      if (pos + headerLen > buf.length) break; // wait for the rest of the header
+      // Unknown incompat flags must not be processed (and mostly mean a false start)
+      if (magic === MAGIC_V2 && (buf[pos+2] & ~IFLAG_SIGNED) !== 0) { this.stats.bytesDropped++; pos++; continue; }
+      const signed = magic === MAGIC_V2 && (buf[pos+2] & IFLAG_SIGNED) !== 0;
+      const frameLen = headerLen + buf[pos+1] + 2 + (signed ? SIGNATURE_LEN : 0);
+      if (pos + frameLen > buf.length) break; // wait for the rest of the frame
+
+      const frame = buf.subarray(pos, pos + frameLen);
+      if (this.crcExtraFor) {
+        const crcExtra = this.crcExtraFor(parseFrameHeader(frame).msgid);
+        if (crcExtra === undefined) {
+          // Messages from other dialects can't be CRC-checked: pass them on
+          // unvalidated when they end at the end of the chunk or right before
+          // the next magic byte, otherwise take them for a false start.
+          const next = buf[pos + frameLen];
+          if (next !== undefined && next !== MAGIC_V1 && next !== MAGIC_V2) {
+            this.stats.bytesDropped++;
+            pos++;
+            continue;
+          }
+          frames.push(Buffer.from(frame));
+          this.stats.unknownMsgid++;
+          pos += frameLen;
+          continue;
+        }
+        if (!checkFrameCrc(frame, crcExtra)) {
+          this.stats.crcErrors++;
+          this.stats.bytesDropped++;
+          pos++;
+          continue;
+        }
+      }
+      frames.push(Buffer.from(frame));
+      this.stats.framesOk++;
+      pos += frameLen;
+    }
+    this.buf = Buffer.from(buf.subarray(pos));
+    return frames;
+  }
+
+  reset() {
+    this.buf = Buffer.alloc(0);
+  }
+}
+
 module.exports = {
-  packPayload, unpackPayload, buildFrameV2, scanFramesV2,
-  crcX25, crcAccumulate, MAGIC_V2
+  packPayload, unpackPayload, payloadLength, basePayloadLength, padPayload,
+  messageLayout, buildMessageIndex,
+  buildFrameV1, buildFrameV2, parseFrameHeader, checkFrameCrc, scanFrames, scanFramesV2,
+  signingKeyFrom, signingTimestampNow, verifySignature, MavlinkStreamParser,
+  enumValueFor, enumKeyFor, bitmaskKeysFor, isBitmaskField, decodeEnumFields, applyUnits, UNIT_SCALES, rawFields,
+  resolveEnumFields, validatePayload, buildMessage,
+  crcX25, crcAccumulate, computeCrcExtra, sortFieldsForPacking, MAGIC_V1, MAGIC_V2,
+  IFLAG_SIGNED, SIGNATURE_LEN
 };
 
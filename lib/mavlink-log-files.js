@@ -0,0 +1,123 @@
+// Telemetry log formats.
+//
+// .tlog (Mission Planner, pymavlink): records of a big-endian uint64 timestamp
+// in microseconds since the Unix epoch followed by one raw MAVLink frame.
+//
+// pcap (tcpdump, Wireshark): UDP datagrams are extracted from Ethernet, Linux
+// cooked (SLL/SLL2), BSD loopback and raw IP captures. pcapng is not supported.
+
+const { MAGIC_V1, MAGIC_V2, IFLAG_SIGNED, SIGNATURE_LEN } = require("./mavlink-helpers");
+
+// Length of the MAVLink frame starting at buf[off], or 0 if there is none.
+function frameLengthAt(buf, off) {
+  const magic = buf[off];
+  if (magic === MAGIC_V1) return off + 2 <= buf.length ? 6 + buf[off + 1] + 2 : 0;
+  if (magic === MAGIC_V2) {
+    if (off + 3 > buf.length) return 0;
+    return 10 + buf[off + 1] + 2 + ((buf[off + 2] & IFLAG_SIGNED) ? SIGNATURE_LEN : 0);
+  }
+  return 0;
+}
+
+function tlogRecord(frame, timeUs) {
+  const rec = Buffer.alloc(8 + frame.length);
+  rec.writeBigUInt64BE(BigInt(Math.round(timeUs)), 0);
+  frame.copy(rec, 8);
+  return rec;
+}
+
+// buf -> { records: [{ time (us), frame }], skipped (bytes) }. Damaged parts
+// are skipped byte by byte until the next record that looks valid.
+function parseTlog(buf) {
+  const records = [];
+  let skipped = 0;
+  let off = 0;
+  while (off + 8 < buf.length) {
+    const len = frameLengthAt(buf, off + 8);
+    if (!len || off + 8 + len > buf.length) { off++; skipped++; continue; }
+    records.push({ time: Number(buf.readBigUInt64BE(off)), frame: buf.subarray(off + 8, off + 8 + len) });
+    off += 8 + len;
+  }
+  return { records, skipped: skipped + (buf.length - off) };
+}
+
+const PCAP_MAGIC_US = 0xa1b2c3d4;
+const PCAP_MAGIC_NS = 0xa1b23c4d;
+const PCAPNG_MAGIC = 0x0a0d0d0a;
+const LINK_TYPES = [0, 1, 101, 108, 113, 228, 229, 276];
+
+// Offset of the IP header in a captured packet for a pcap link type, or -1.
+function ipOffset(linkType, pkt) {
+  switch (linkType) {
+    case 1: { // Ethernet, with optional 802.1Q tags
+      let off = 12;
+      while (pkt.length >= off + 2 && (pkt.readUInt16BE(off) === 0x8100 || pkt.readUInt16BE(off) === 0x88a8)) off += 4;
+      const etherType = pkt.length >= off + 2 ? pkt.readUInt16BE(off) : 0;
+      return etherType === 0x0800 || etherType === 0x86dd ? off + 2 : -1;
+    }
+    case 0: case 108: return 4;  // BSD loopback / OpenBSD loopback
+    case 101: case 228: case 229: return 0; // raw IP / IPv4 / IPv6
+    case 113: return 16;         // Linux cooked capture
+    case 276: return 20;         // Linux cooked capture v2
+    default: return -1;
+  }
+}
+
+// UDP payload of an IP packet at pkt[off], or null.
+function udpPayload(pkt, off, port) {
+  const version = pkt[off] >> 4;
+  let udp;
+  if (version === 4) {
+    if (pkt[off + 9] !== 17) return null;
+    udp = off + (pkt[off] & 0x0f) * 4;
+  } else if (version === 6) {
+    if (pkt[off + 6] !== 17) return null; // extension headers are not followed
+    udp = off + 40;
+  } else return null;
+  if (udp + 8 > pkt.length) return null;
+  const srcPort = pkt.readUInt16BE(udp), dstPort = pkt.readUInt16BE(udp + 2);
+  if (port && srcPort !== port && dstPort !== port) return null;
+  const end = Math.min(pkt.length, udp + pkt.readUInt16BE(udp + 4));
+  return { srcPort, dstPort, payload: pkt.subarray(udp + 8, end) };
+}
+
+// buf -> { records: [{ time (us), payload, srcPort, dstPort }] }; only UDP,
+// optionally only datagrams from or to `port`.
+function parsePcap(buf, opts) {
+  if (buf.length < 24) throw new Error("pcap file too short");
+  const magicLE = buf.readUInt32LE(0);
+  if (magicLE === PCAPNG_MAGIC) throw new Error("pcapng is not supported; save the capture as pcap");
+  let le;
+  if (magicLE === PCAP_MAGIC_US || magicLE === PCAP_MAGIC_NS) le = true;
+  else if (buf.readUInt32BE(0) === PCAP_MAGIC_US || buf.readUInt32BE(0) === PCAP_MAGIC_NS) le = false;
+  else throw new Error("Not a pcap file");
+  const u32 = (o) => le ? buf.readUInt32LE(o) : buf.readUInt32BE(o);
+  const nanos = (u32(0) === PCAP_MAGIC_NS);
+  const linkType = u32(20) & 0x0fffffff;
+  if (!LINK_TYPES.includes(linkType)) throw new Error(`Unsupported pcap link type ${linkType}`);
+
+  const records = [];
+  let off = 24;
+  while (off + 16 <= buf.length) {
+    const sec = u32(off), frac = u32(off + 4), inclLen = u32(off + 8);
+    const pkt = buf.subarray(off + 16, Math.min(buf.length, off + 16 + inclLen));
+    off += 16 + inclLen;
+    const ip = ipOffset(linkType, pkt);
+    if (ip < 0 || ip >= pkt.length) continue;
+    const udp = udpPayload(pkt, ip, opts?.port);
+    if (!udp || !udp.payload.length) continue;
+    records.push({ time: sec * 1e6 + (nanos ? Math.floor(frac / 1000) : frac), ...udp });
+  }
+  return { records };
+}
+
+// "pcap" or "tlog" by content
+function detectLogFormat(buf) {
+  if (buf.length >= 4) {
+    const le = buf.readUInt32LE(0), be = buf.readUInt32BE(0);
+    if ([PCAP_MAGIC_US, PCAP_MAGIC_NS, PCAPNG_MAGIC].includes(le) || [PCAP_MAGIC_US, PCAP_MAGIC_NS].includes(be)) return "pcap";
+  }
+  return "tlog";
+}
+
+module.exports = { frameLengthAt, tlogRecord, parseTlog, parsePcap, detectLogFormat };
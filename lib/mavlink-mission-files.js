@@ -0,0 +1,152 @@
+// Mission item conversion between MISSION_ITEM_INT fields, schema enum keys and
+// the QGroundControl file formats (.plan JSON and "QGC WPL 110" text).
+//
+// A mission item uses MISSION_ITEM_INT field names with enum keys for frame and
+// command: { seq, frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT_INT",
+//   command: "MAV_CMD_NAV_WAYPOINT", current, autocontinue,
+//   param1..param4, x, y, z }, where x/y are integers (degE7 for global frames).
+
+const { enumKeyFor, enumValueFor } = require("./mavlink-helpers");
+const { AUTOPILOT } = require("./mavlink-modes");
+
+// x/y scale for a frame: degE7 for global frames, 1e4 (m) for local ones.
+function xyScale(enums, frame) {
+  const key = enumKeyFor(enums.MAV_FRAME, frame) || "";
+  if (key.includes("GLOBAL")) return 1e7;
+  if (key.includes("LOCAL")) return 1e4;
+  return 1;
+}
+
+// Item (keys or numbers) -> MISSION_ITEM_INT fields with numbers.
+function itemToWire(item, enums, seq) {
+  return {
+    seq,
+    frame: enumValueFor(enums, "MAV_FRAME", item.frame ?? 0),
+    command: enumValueFor(enums, "MAV_CMD", item.command),
+    current: Number(item.current || 0),
+    autocontinue: Number(item.autocontinue ?? 1),
+    param1: Number(item.param1 || 0), param2: Number(item.param2 || 0),
+    param3: Number(item.param3 || 0), param4: Number(item.param4 || 0),
+    x: Math.round(Number(item.x || 0)), y: Math.round(Number(item.y || 0)),
+    z: Number(item.z || 0)
+  };
+}
+
+// MISSION_ITEM_INT fields -> MISSION_ITEM fields, with x/y in degrees or metres.
+function wireToFloat(w, enums) {
+  const scale = xyScale(enums, w.frame);
+  return { ...w, x: w.x / scale, y: w.y / scale };
+}
+
+// MISSION_ITEM_INT fields -> item with enum keys (numbers kept if unknown).
+function wireToItem(f, enums) {
+  return {
+    seq: f.seq,
+    frame: enumKeyFor(enums.MAV_FRAME, f.frame) ?? f.frame,
+    command: enumKeyFor(enums.MAV_CMD, f.command) ?? f.command,
+    current: f.current, autocontinue: f.autocontinue,
+    param1: f.param1, param2: f.param2, param3: f.param3, param4: f.param4,
+    x: f.x, y: f.y, z: f.z
+  };
+}
+
+function fromParams(enums, frame, command, params, current, autocontinue) {
+  const scale = xyScale(enums, frame);
+  return {
+    frame: enumKeyFor(enums.MAV_FRAME, frame) ?? frame,
+    command: enumKeyFor(enums.MAV_CMD, command) ?? command,
+    current, autocontinue,
+    param1: params[0] || 0, param2: params[1] || 0, param3: params[2] || 0, param4: params[3] || 0,
+    x: Math.round((params[4] || 0) * scale), y: Math.round((params[5] || 0) * scale), z: params[6] || 0
+  };
+}
+
+function toParams(item, enums) {
+  const w = itemToWire(item, enums, 0);
+  const scale = xyScale(enums, w.frame);
+  return { w, params: [w.param1, w.param2, w.param3, w.param4, w.x / scale, w.y / scale, w.z] };
+}
+
+// "QGC WPL 110": INDEX CURRENT FRAME COMMAND P1 P2 P3 P4 X/LAT Y/LON Z/ALT AUTOCONTINUE
+function parseWpl(text, enums) {
+  const lines = String(text).split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  if (!/^QGC WPL 110$/.test(lines[0] || "")) throw new Error('Not a "QGC WPL 110" file');
+  return lines.slice(1).map((line, i) => {
+    const c = line.split(/\s+/).map(Number);
+    if (c.length < 12 || c.some(Number.isNaN)) throw new Error(`Bad WPL line ${i + 2}`);
+    return { seq: i, ...fromParams(enums, c[2], c[3], c.slice(4, 11), c[1], c[11]) };
+  });
+}
+
+function toWpl(items, enums) {
+  const lines = ["QGC WPL 110"];
+  items.forEach((item, i) => {
+    const { w, params } = toParams(item, enums);
+    lines.push([i, w.current, w.frame, w.command, ...params, w.autocontinue].join("\t"));
+  });
+  return lines.join("\n") + "\n";
+}
+
+// QGroundControl .plan: only SimpleItems are supported. ArduPilot keeps the
+// home position as mission item 0, as WPL files do; for ArduPilot plans
+// (opts.firmwareType, else the plan's own firmwareType, is
+// MAV_AUTOPILOT_ARDUPILOTMEGA) plannedHomePosition becomes item 0 and back,
+// so the seq numbers are the same whichever format a mission came from.
+// Other autopilots number the plan items from 0 and don't upload home.
+function hasHomeItem(firmwareType) {
+  return Number(firmwareType) === AUTOPILOT.ARDUPILOTMEGA;
+}
+
+function parsePlan(text, enums, opts) {
+  const plan = typeof text === "string" ? JSON.parse(text) : text;
+  if (plan?.fileType !== "Plan" || !plan.mission) throw new Error("Not a QGroundControl .plan file");
+  const withHome = hasHomeItem(opts?.firmwareType ?? plan.mission.firmwareType);
+  const first = withHome ? 1 : 0;
+  const items = (plan.mission.items || []).map((it, i) => {
+    if (it.type !== "SimpleItem") throw new Error(`Unsupported .plan item type "${it.type}" at index ${i}`);
+    const params = (it.params || []).map(p => p == null ? 0 : Number(p));
+    return { seq: i + first, ...fromParams(enums, it.frame, it.command, params, 0, it.autoContinue === false ? 0 : 1) };
+  });
+  if (!withHome) return items;
+  const [lat, lon, alt] = (plan.mission.plannedHomePosition || []).map(v => Number(v) || 0);
+  // MAV_FRAME_GLOBAL, MAV_CMD_NAV_WAYPOINT like the home row of a WPL file
+  return [{ seq: 0, ...fromParams(enums, 0, 16, [0, 0, 0, 0, lat, lon, alt], 0, 1) }, ...items];
+}
+
+function toPlan(items, enums, opts) {
+  const withHome = hasHomeItem(opts?.firmwareType);
+  const home = withHome && items.length ? toParams(items[0], enums).params.slice(4, 7) : [0, 0, 0];
+  const planItems = (withHome ? items.slice(1) : items).map((item, i) => {
+    const { w, params } = toParams(item, enums);
+    return {
+      type: "SimpleItem", autoContinue: w.autocontinue !== 0,
+      command: w.command, doJumpId: i + 1, frame: w.frame, params
+    };
+  });
+  return JSON.stringify({
+    fileType: "Plan", version: 1, groundStation: "Node-RED",
+    mission: {
+      version: 2,
+      firmwareType: opts?.firmwareType ?? 0,
+      vehicleType: opts?.vehicleType ?? 0,
+      cruiseSpeed: 15, hoverSpeed: 5,
+      plannedHomePosition: home,
+      items: planItems
+    },
+    geoFence: { version: 2, circles: [], polygons: [] },
+    rallyPoints: { version: 2, points: [] }
+  }, null, 2);
+}
+
+// Guess the format of mission text: "plan", "wpl" or undefined.
+function detectFormat(text) {
+  const s = String(text).trimStart();
+  if (s.startsWith("QGC WPL")) return "wpl";
+  if (s.startsWith("{")) return "plan";
+  return undefined;
+}
+
+module.exports = {
+  itemToWire, wireToFloat, wireToItem,
+  parseWpl, toWpl, parsePlan, toPlan, detectFormat
+};
@@ -0,0 +1,73 @@
+// Flight mode names from HEARTBEAT custom_mode.
+//
+// ArduPilot puts the mode number of the vehicle's firmware (Copter, Plane,
+// Rover, ...) into custom_mode; which table applies follows from MAV_TYPE.
+// PX4 packs main mode and auto sub mode into bytes 2 and 3 of custom_mode.
+
+// MAV_AUTOPILOT values
+const AUTOPILOT = { ARDUPILOTMEGA: 3, PX4: 12, INVALID: 8 };
+const MAV_TYPE_GCS = 6;
+const MAV_MODE_FLAG_SAFETY_ARMED = 128;
+
+const COPTER = {
+  0: "STABILIZE", 1: "ACRO", 2: "ALT_HOLD", 3: "AUTO", 4: "GUIDED", 5: "LOITER", 6: "RTL", 7: "CIRCLE",
+  9: "LAND", 11: "DRIFT", 13: "SPORT", 14: "FLIP", 15: "AUTOTUNE", 16: "POSHOLD", 17: "BRAKE", 18: "THROW",
+  19: "AVOID_ADSB", 20: "GUIDED_NOGPS", 21: "SMART_RTL", 22: "FLOWHOLD", 23: "FOLLOW", 24: "ZIGZAG",
+  25: "SYSTEMID", 26: "AUTOROTATE", 27: "AUTO_RTL", 28: "TURTLE"
+};
+const PLANE = {
+  0: "MANUAL", 1: "CIRCLE", 2: "STABILIZE", 3: "TRAINING", 4: "ACRO", 5: "FBWA", 6: "FBWB", 7: "CRUISE",
+  8: "AUTOTUNE", 10: "AUTO", 11: "RTL", 12: "LOITER", 13: "TAKEOFF", 14: "AVOID_ADSB", 15: "GUIDED",
+  17: "QSTABILIZE", 18: "QHOVER", 19: "QLOITER", 20: "QLAND", 21: "QRTL", 22: "QAUTOTUNE", 23: "QACRO",
+  24: "THERMAL", 25: "LOITER_ALT_QLAND"
+};
+const ROVER = {
+  0: "MANUAL", 1: "ACRO", 3: "STEERING", 4: "HOLD", 5: "LOITER", 6: "FOLLOW", 7: "SIMPLE", 8: "DOCK",
+  9: "CIRCLE", 10: "AUTO", 11: "RTL", 12: "SMART_RTL", 15: "GUIDED", 16: "INITIALISING"
+};
+const SUB = {
+  0: "STABILIZE", 1: "ACRO", 2: "ALT_HOLD", 3: "AUTO", 4: "GUIDED", 7: "CIRCLE", 9: "SURFACE",
+  16: "POSHOLD", 19: "MANUAL", 20: "MOTOR_DETECT", 21: "SURFTRAK"
+};
+const TRACKER = { 0: "MANUAL", 1: "STOP", 2: "SCAN", 3: "SERVO_TEST", 4: "GUIDED", 10: "AUTO", 16: "INITIALISING" };
+const BLIMP = { 0: "LAND", 1: "MANUAL", 2: "VELOCITY", 3: "LOITER", 4: "RTL" };
+
+// MAV_TYPE -> ArduPilot mode table
+const ARDUPILOT_MODES = {
+  1: PLANE, 19: PLANE, 20: PLANE, 21: PLANE, 22: PLANE, 23: PLANE, 24: PLANE, 25: PLANE,
+  2: COPTER, 3: COPTER, 4: COPTER, 13: COPTER, 14: COPTER, 15: COPTER, 29: COPTER, 35: COPTER,
+  10: ROVER, 11: ROVER,
+  12: SUB,
+  5: TRACKER,
+  7: BLIMP
+};
+
+const PX4_MAIN = { 1: "MANUAL", 2: "ALTCTL", 3: "POSCTL", 4: "AUTO", 5: "ACRO", 6: "OFFBOARD", 7: "STABILIZED", 8: "RATTITUDE" };
+const PX4_AUTO = {
+  1: "AUTO_READY", 2: "AUTO_TAKEOFF", 3: "AUTO_LOITER", 4: "AUTO_MISSION", 5: "AUTO_RTL", 6: "AUTO_LAND",
+  8: "AUTO_FOLLOW_TARGET", 9: "AUTO_PRECLAND", 10: "AUTO_VTOL_TAKEOFF"
+};
+
+// Mode name for a HEARTBEAT, or undefined for unknown autopilots and modes.
+function flightModeName(autopilot, mavType, customMode) {
+  if (autopilot === AUTOPILOT.ARDUPILOTMEGA) return ARDUPILOT_MODES[mavType]?.[customMode];
+  if (autopilot === AUTOPILOT.PX4) {
+    const main = (customMode >>> 16) & 0xff;
+    const sub = (customMode >>> 24) & 0xff;
+    if (main === 4) return PX4_AUTO[sub] || "AUTO";
+    return PX4_MAIN[main];
+  }
+  return undefined;
+}
+
+function isArmed(baseMode) {
+  return (baseMode & MAV_MODE_FLAG_SAFETY_ARMED) !== 0;
+}
+
+// Heartbeats of ground stations and of components that are not autopilots
+// (cameras, gimbals, ...) do not announce a vehicle.
+function isVehicleHeartbeat(hb) {
+  return hb.type !== MAV_TYPE_GCS && hb.autopilot !== AUTOPILOT.INVALID;
+}
+
+module.exports = { AUTOPILOT, ARDUPILOT_MODES, PX4_MAIN, PX4_AUTO, flightModeName, isArmed, isVehicleHeartbeat };
@@ -0,0 +1,107 @@
+// Parameter value encoding (PARAM_VALUE/PARAM_SET param_value by MAV_PARAM_TYPE)
+// and parameter file conversion: Mission Planner ".param" (NAME,VALUE),
+// ArduPilot ".parm" (NAME VALUE) and QGroundControl ".params"
+// (SYSID COMPID NAME VALUE TYPE, tab separated).
+
+// MAV_PARAM_TYPE values
+const PARAM_TYPE = {
+  UINT8: 1, INT8: 2, UINT16: 3, INT16: 4, UINT32: 5, INT32: 6,
+  UINT64: 7, INT64: 8, REAL32: 9, REAL64: 10
+};
+
+function isIntType(type) {
+  return type >= PARAM_TYPE.UINT8 && type <= PARAM_TYPE.INT64;
+}
+
+// Shortest decimal that reads back as the same float32 (0.1, not 0.10000000149011612).
+function float32Decimal(v) {
+  const f = Math.fround(v);
+  if (!Number.isFinite(f) || Number.isInteger(f)) return f;
+  for (let p = 1; p <= 9; p++) {
+    const d = Number(f.toPrecision(p));
+    if (Math.fround(d) === f) return d;
+  }
+  return f;
+}
+
+// The float in param_value -> number. "cast" (ArduPilot) sends integers as float
+// values; "bytewise" (PX4, MAV_PROTOCOL_CAPABILITY_PARAM_ENCODE_BYTEWISE) puts
+// the integer's bytes into the float.
+function decodeParamValue(raw, type, encoding) {
+  if (!isIntType(type)) return float32Decimal(raw);
+  if (encoding !== "bytewise") return Math.round(raw);
+  const b = Buffer.alloc(4);
+  b.writeFloatLE(raw);
+  switch (type) {
+    case PARAM_TYPE.UINT8: return b.readUInt8(0);
+    case PARAM_TYPE.INT8: return b.readInt8(0);
+    case PARAM_TYPE.UINT16: return b.readUInt16LE(0);
+    case PARAM_TYPE.INT16: return b.readInt16LE(0);
+    case PARAM_TYPE.UINT32: return b.readUInt32LE(0);
+    default: return b.readInt32LE(0);
+  }
+}
+
+function encodeParamValue(value, type, encoding) {
+  const v = Number(value);
+  if (Number.isNaN(v)) throw new Error(`Parameter value "${value}" is not a number`);
+  if (!isIntType(type) || encoding !== "bytewise") return isIntType(type) ? Math.round(v) : v;
+  const b = Buffer.alloc(4);
+  switch (type) {
+    case PARAM_TYPE.UINT8: b.writeUInt8(Math.round(v) & 0xFF, 0); break;
+    case PARAM_TYPE.INT8: b.writeInt8(Math.round(v), 0); break;
+    case PARAM_TYPE.UINT16: b.writeUInt16LE(Math.round(v) & 0xFFFF, 0); break;
+    case PARAM_TYPE.INT16: b.writeInt16LE(Math.round(v), 0); break;
+    case PARAM_TYPE.UINT32: b.writeUInt32LE(Math.round(v) >>> 0, 0); break;
+    default: b.writeInt32LE(Math.round(v) | 0, 0);
+  }
+  return b.readFloatLE(0);
+}
+
+// Would the vehicle report `actual` after being set to `requested`?
+function paramValuesEqual(requested, actual, type) {
+  if (isIntType(type)) return Math.round(Number(requested)) === actual;
+  return Math.fround(Number(requested)) === Math.fround(actual);
+}
+
+// Text -> [{ name, value, type? }]; "#" starts a comment line.
+function parseParamFile(text) {
+  const out = [];
+  String(text).split(/\r?\n/).forEach((raw, i) => {
+    const line = raw.trim();
+    if (!line || line.startsWith("#")) return;
+    const cols = line.split(/[\s,]+/);
+    // QGroundControl: SYSID COMPID NAME VALUE TYPE
+    if (cols.length >= 5 && /^\d+$/.test(cols[0]) && /^\d+$/.test(cols[1])) {
+      const value = Number(cols[3]);
+      if (Number.isNaN(value)) throw new Error(`Bad parameter line ${i + 1}`);
+      out.push({ name: cols[2], value, type: Number(cols[4]) });
+      return;
+    }
+    const value = Number(cols[1]);
+    if (cols.length < 2 || Number.isNaN(value)) throw new Error(`Bad parameter line ${i + 1}`);
+    out.push({ name: cols[0], value });
+  });
+  return out;
+}
+
+// { NAME: value } -> file text, sorted by name. opts: { format: "param" | "parm" | "qgc",
+// sysid, compid, types: { NAME: MAV_PARAM_TYPE } }
+function toParamFile(params, opts) {
+  const format = opts?.format || "param";
+  const names = Object.keys(params).sort();
+  if (format === "qgc") {
+    const sysid = opts?.sysid ?? 1, compid = opts?.compid ?? 1;
+    const lines = [`# Onboard parameters for Vehicle ${sysid}`, "#", "# Vehicle-Id Component-Id Name Value Type"];
+    names.forEach(n => lines.push([sysid, compid, n, params[n], opts?.types?.[n] ?? PARAM_TYPE.REAL32].join("\t")));
+    return lines.join("\n") + "\n";
+  }
+  const sep = format === "parm" ? " " : ",";
+  return names.map(n => `${n}${sep}${params[n]}`).join("\n") + "\n";
+}
+
+module.exports = {
+  PARAM_TYPE, isIntType, float32Decimal,
+  decodeParamValue, encodeParamValue, paramValuesEqual,
+  parseParamFile, toParamFile
+};
@@ -0,0 +1,162 @@
+// Dialect export for tools outside Node-RED: a JSON Schema of the payload
+// objects mavlink-build accepts, and TypeScript declarations for them.
+// Both take the cached schema ({ enums, enumInfo, messages }).
+
+const INT_RANGES = {
+  "int8_t": [-128, 127], "uint8_t": [0, 255], "int16_t": [-32768, 32767], "uint16_t": [0, 65535],
+  "int32_t": [-2147483648, 2147483647], "uint32_t": [0, 4294967295]
+};
+const IS_64 = (type) => type === "int64_t" || type === "uint64_t";
+
+const isBitmaskEnum = (schema, name) =>
+  !!(schema.enumInfo?.[name]?.bitmask || (schema.enums[name] || []).some(e => e.isBitmask));
+
+// Fields with an enum that does not exist in the dialect are plain numbers.
+const fieldEnum = (schema, f) => (f.enum && schema.enums[f.enum] ? f.enum : undefined);
+
+function describe(f) {
+  const parts = [f.description || ""];
+  if (f.units) parts.push(`[${f.units}]`);
+  return parts.filter(Boolean).join(" ");
+}
+
+// ---- JSON Schema (draft 2020-12) ----
+
+function scalarJsonSchema(schema, f) {
+  const en = fieldEnum(schema, f);
+  if (en) return { $ref: `#/$defs/enums/${en}` };
+  if (f.type === "float" || f.type === "double") return { type: "number" };
+  if (IS_64(f.type)) {
+    // Beyond 2^53 a JSON number loses precision, so digit strings are accepted too.
+    return { anyOf: [{ type: "integer", ...(f.type === "uint64_t" ? { minimum: 0 } : {}) },
+      { type: "string", pattern: f.type === "uint64_t" ? "^\\d+$" : "^-?\\d+$" }] };
+  }
+  const [min, max] = INT_RANGES[f.type];
+  return { type: "integer", minimum: f.min ?? min, maximum: f.max ?? max };
+}
+
+function fieldJsonSchema(schema, f) {
+  let s;
+  if (f.type === "char" && f.arrayLen) s = { type: "string", maxLength: f.arrayLen };
+  else if (f.arrayLen) s = { type: "array", items: scalarJsonSchema(schema, f), maxItems: f.arrayLen };
+  else s = scalarJsonSchema(schema, f);
+  const description = describe(f);
+  if (description) s.description = description;
+  if (f.units) s["x-units"] = f.units;
+  return s;
+}
+
+function enumJsonSchema(schema, name) {
+  const members = schema.enums[name];
+  const info = schema.enumInfo?.[name] || {};
+  const keys = members.map(m => m.key);
+  let s;
+  if (isBitmaskEnum(schema, name)) {
+    // A number, an array of flag names, or "A|B"
+    s = { anyOf: [
+      { type: "integer", minimum: 0 },
+      { type: "array", items: { enum: keys } },
+      { type: "string" }
+    ] };
+  } else {
+    s = { anyOf: [{ enum: [...new Set(members.map(m => m.value))] }, { enum: keys }] };
+  }
+  if (info.description) s.description = info.description;
+  if (info.deprecated) s.deprecated = true;
+  return s;
+}
+
+function toJsonSchema(schema, dialectName) {
+  const enums = {};
+  for (const name of Object.keys(schema.enums).sort()) enums[name] = enumJsonSchema(schema, name);
+  const messages = {};
+  const names = Object.keys(schema.messages).sort();
+  for (const name of names) {
+    const def = schema.messages[name];
+    const properties = {};
+    for (const f of def.fields) properties[f.name] = fieldJsonSchema(schema, f);
+    messages[name] = {
+      type: "object",
+      ...(def.description ? { description: def.description } : {}),
+      ...(def.deprecated ? { deprecated: true } : {}),
+      "x-msgid": def.id,
+      properties,
+      required: def.fields.filter(f => !f.extension).map(f => f.name),
+      additionalProperties: false
+    };
+  }
+  return {
+    $schema: "https://json-schema.org/draft/2020-12/schema",
+    $id: `urn:mavlink:${dialectName}`,
+    title: `MAVLink ${dialectName} messages`,
+    description: "A message for mavlink-build: msg.messageName and msg.payload. Single payloads are in $defs/messages.",
+    type: "object",
+    required: ["messageName", "payload"],
+    oneOf: names.map(name => ({
+      properties: { messageName: { const: name }, payload: { $ref: `#/$defs/messages/${name}` } }
+    })),
+    $defs: { enums, messages }
+  };
+}
+
+// ---- TypeScript declarations ----
+
+function docComment(text, indent) {
+  if (!text) return "";
+  const lines = String(text).replace(/\*\//g, "* /").split(/\r?\n/).map(l => l.trim()).filter(Boolean);
+  return lines.length === 1
+    ? `${indent}/** ${lines[0]} */\n`
+    : `${indent}/**\n${lines.map(l => `${indent} * ${l}`).join("\n")}\n${indent} */\n`;
+}
+
+function scalarTsType(schema, f) {
+  const en = fieldEnum(schema, f);
+  if (en) return isBitmaskEnum(schema, en) ? `number | ${en}_NAME[] | string` : `${en} | ${en}_NAME`;
+  if (IS_64(f.type)) return "number | bigint | string";
+  return "number";
+}
+
+function fieldTsType(schema, f) {
+  if (f.type === "char" && f.arrayLen) return "string";
+  if (f.arrayLen) {
+    const t = scalarTsType(schema, f);
+    return t.includes("|") ? `(${t})[]` : `${t}[]`;
+  }
+  return scalarTsType(schema, f);
+}
+
+function toTypeScript(schema, dialectName) {
+  const out = [`// MAVLink ${dialectName} dialect: message payloads as accepted by mavlink-build.`,
+    "// Generated by node-red-contrib-mavlink-toolkit; do not edit.", ""];
+  for (const name of Object.keys(schema.enums).sort()) {
+    const members = schema.enums[name];
+    const info = schema.enumInfo?.[name] || {};
+    out.push(docComment([info.description, info.deprecated ? "@deprecated" : ""].filter(Boolean).join("\n"), "").trimEnd());
+    const values = [...new Set(members.map(m => m.value))];
+    out.push(`export type ${name} = ${values.length ? values.join(" | ") : "never"};`);
+    out.push(`export type ${name}_NAME = ${members.length ? members.map(m => JSON.stringify(m.key)).join(" | ") : "never"};`);
+    out.push("");
+  }
+  const names = Object.keys(schema.messages).sort();
+  for (const name of names) {
+    const def = schema.messages[name];
+    const doc = [def.description, `Message id ${def.id}.`, def.deprecated ? `@deprecated ${def.deprecated.replacedBy ? `Use ${def.deprecated.replacedBy}.` : ""}` : ""]
+      .filter(Boolean).join("\n");
+    out.push(docComment(doc, "").trimEnd());
+    out.push(`export interface ${name} {`);
+    for (const f of def.fields) {
+      const d = describe(f);
+      if (d) out.push(docComment(d, "  ").trimEnd());
+      out.push(`  ${f.name}${f.extension ? "?" : ""}: ${fieldTsType(schema, f)};`);
+    }
+    out.push("}", "");
+  }
+  out.push("export interface MessageMap {", ...names.map(n => `  ${n}: ${n};`), "}", "");
+  out.push("export interface MessageIds {", ...names.map(n => `  ${n}: ${schema.messages[n].id};`), "}", "");
+  out.push("export type MessageName = keyof MessageMap;", "");
+  out.push("/** Input of mavlink-build */",
+    "export type BuildMessage = { [N in MessageName]: { messageName: N; payload: Partial<MessageMap[N]> } }[MessageName];", "");
+  return out.filter((l, i, a) => l !== "" || a[i - 1] !== "").join("\n");
+}
+
+module.exports = { toJsonSchema, toTypeScript };
@@ -0,0 +1,58 @@
+// Traffic of the nodes that talk to a vehicle (command, mission, param, ftp,
+// sim, link-monitor). Frames are made with buildMessage as in mavlink-build
+// and mavlink-heartbeat: fields are validated, enum names are accepted and
+// the node's protocol version applies.
+
+const { buildMessage, rawFields, scanFrames, parseFrameHeader, unpackPayload } = require("./mavlink-helpers");
+
+// node supplies schemaCfg, signingCfg, sysid, compid and protocolVersion.
+// Each sender numbers its frames with its own MAVLink sequence.
+function createSender(node, topic) {
+  let seq = 0;
+
+  function schema() {
+    const s = node.schemaCfg?.getSchema();
+    if (!s) throw new Error("No schema loaded");
+    return s;
+  }
+
+  // Output message carrying the frame of message `name`.
+  function message(name, fields) {
+    const { frame, def, version } = buildMessage(schema(), name, fields, {
+      validate: true, protocolVersion: node.protocolVersion,
+      seq: seq & 0xFF, sysid: node.sysid, compid: node.compid,
+      signing: node.signingCfg ? node.signingCfg.getSigning() : undefined
+    });
+    const msg = {
+      topic, payload: frame,
+      mavlink: { name, id: def.id, seq: seq & 0xFF, version, sysid: node.sysid, compid: node.compid }
+    };
+    seq++;
+    return msg;
+  }
+
+  // The messages named in `names` in msg: the decoded output of mavlink-parse
+  // or raw frames from mavlink-io, where frames that fail the CRC are skipped.
+  // Returns [{ name, sysid, compid, fields }] with raw field values.
+  function received(msg, names) {
+    const messages = schema().messages;
+    if (msg.mavlink && msg.mavlink.msgid !== undefined) {
+      const { name, sysid, compid } = msg.mavlink;
+      if (!names.includes(name) || !msg.payload || Buffer.isBuffer(msg.payload)) return [];
+      return [{ name, sysid, compid, fields: rawFields(messages[name], msg) }];
+    }
+    const byId = new Map(names.filter(n => messages[n]).map(n => [messages[n].id, n]));
+    if (!byId.size) throw new Error(`${names.join(", ")} not in schema`);
+    const out = [];
+    for (const f of scanFrames(msg.payload, id => byId.has(id) ? messages[byId.get(id)].crc : undefined)) {
+      const hdr = parseFrameHeader(f.frameBuf);
+      const name = byId.get(hdr.msgid);
+      if (name) out.push({ name, sysid: hdr.sysid, compid: hdr.compid, fields: unpackPayload(messages[name], hdr.payload) });
+    }
+    return out;
+  }
+
+  return { schema, message, received };
+}
+
+module.exports = { createSender };
@@ -9,6 +9,15 @@ module.exports = function(RED) {
     node.messageName = config.messageName || "";
     node.sysid = Number(config.sysid || 1);
     node.compid = Number(config.compid || 1);
+    // "2": always MAVLink 2. "1": MAVLink 1 where the msgid fits (< 256),
+    // otherwise falls back to MAVLink 2.
+    node.protocolVersion = String(config.protocolVersion || "2");
+    // Optional signing config; signed frames are always MAVLink 2.
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    // Check payloads against the schema before packing; problems become an error.
+    node.validate = config.validate === true;
+    // Field values from the editor's field form; msg.payload is merged over them.
+    node.payloadDefaults = config.payloadDefaults && typeof config.payloadDefaults === "object" ? config.payloadDefaults : {};
 
     let seq = 0;
 
@@ -16,28 +25,30 @@ module.exports = function(RED) {
       try {
         const schema = node.schemaCfg?.getSchema();
         if (!schema) throw new Error("No schema loaded");
-        const messages = schema.messages;
 
         const messageName = node.messageName || msg.messageName;
         if (!messageName) throw new Error("No message selected");
-        const def = messages[messageName];
-        if (!def) throw new Error(`Message "${messageName}" not in schema`);
 
-        const payloadObj = msg.payload && typeof msg.payload === "object" ? msg.payload : {};
-        const payload = helpers.packPayload(def, payloadObj);
-
-        const frame = helpers.buildFrameV2(def, payload, {
-          seq: seq++ & 0xFF,
+        let payloadObj = msg.payload && typeof msg.payload === "object" ? msg.payload : {};
+        // The defaults were made for the configured message, not for msg.messageName.
+        if (node.messageName) payloadObj = { ...node.payloadDefaults, ...payloadObj };
+        const { frame, def, version } = helpers.buildMessage(schema, messageName, payloadObj, {
+          validate: node.validate,
+          protocolVersion: msg.protocolVersion ?? node.protocolVersion,
+          seq: seq & 0xFF,
           sysid: msg.sysid ?? node.sysid,
           compid: msg.compid ?? node.compid,
           incompatFlags: msg.incompatFlags ?? 0,
-          compatFlags: msg.compatFlags ?? 0
+          compatFlags: msg.compatFlags ?? 0,
+          signing: node.signingCfg ? node.signingCfg.getSigning() : undefined
         });
+        seq++;
 
         msg.payload = frame;
         msg.mavlink = {
-          name: messageName, id: def.id, seq: (seq-1)&0xFF,
-          sysid: msg.sysid ?? node.sysid, compid: msg.compid ?? node.compid
+          name: messageName, id: def.id, seq: (seq-1)&0xFF, version,
+          sysid: msg.sysid ?? node.sysid, compid: msg.compid ?? node.compid,
+          signed: !!node.signingCfg
         };
         send(msg); done();
       } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
@@ -0,0 +1,153 @@
+module.exports = function(RED) {
+  const helpers = require("./lib/mavlink-helpers");
+  const { createSender } = require("./lib/mavlink-sender");
+
+  const MAV_RESULT_IN_PROGRESS = 5;
+
+  function MavlinkCommandNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.sysid = Number(config.sysid || 255);
+    node.compid = Number(config.compid || 190);
+    node.protocolVersion = String(config.protocolVersion || "2");
+    node.targetSystem = Number(config.targetSystem ?? 1);
+    node.targetComponent = Number(config.targetComponent ?? 1);
+    node.command = config.command || "";
+    node.timeout = Number(config.timeout || 1.5);                // s per attempt
+    node.retries = Number(config.retries ?? 3);                  // extra attempts after the first
+    node.progressTimeout = Number(config.progressTimeout || 30); // s to wait for the final ACK once IN_PROGRESS
+
+    const sender = createSender(node, "mavlink/command");
+    // "command/target_system/target_component" -> pending command
+    const pending = new Map();
+
+    function updateStatus() {
+      if (!pending.size) return node.status({});
+      const p = [...pending.values()].pop();
+      const text = p.progress != null ? `${p.commandName} ${p.progress}%` : `${p.commandName} try ${p.attempt}`;
+      node.status({ fill: "blue", shape: "ring", text });
+    }
+
+    function transmit(p) {
+      const fields = { ...p.fields };
+      if (p.messageName === "COMMAND_LONG") fields.confirmation = (p.attempt - 1) & 0xff;
+      p.send([sender.message(p.messageName, fields), null]);
+      p.timer = setTimeout(() => onTimeout(p), node.timeout * 1000);
+      updateStatus();
+    }
+
+    function finish(p, result) {
+      clearTimeout(p.timer);
+      pending.delete(p.key);
+      const msg = p.msg;
+      msg.payload = {
+        command: p.command, commandName: p.commandName,
+        targetSystem: p.fields.target_system, targetComponent: p.fields.target_component,
+        attempts: p.attempt, ...result
+      };
+      p.send([null, msg]);
+      p.done();
+      updateStatus();
+    }
+
+    function onTimeout(p) {
+      if (p.progress != null) {
+        return finish(p, { result: MAV_RESULT_IN_PROGRESS, resultName: p.inProgressName, progress: p.progress,
+          timeout: true, error: `No final COMMAND_ACK within ${node.progressTimeout}s of IN_PROGRESS` });
+      }
+      if (p.attempt <= node.retries) {
+        p.attempt++;
+        try { transmit(p); } catch (e) { pending.delete(p.key); p.done(e); updateStatus(); }
+        return;
+      }
+      finish(p, { result: null, resultName: null, timeout: true,
+        error: `No COMMAND_ACK after ${p.attempt} attempt(s)` });
+    }
+
+    function onAck(sysid, compid, ack) {
+      // An ACK may name its recipient (MAVLink 2 extension); ignore ACKs for others.
+      if (ack.target_system && ack.target_system !== node.sysid) return;
+      if (ack.target_component && ack.target_component !== node.compid) return;
+      for (const p of pending.values()) {
+        if (p.command !== ack.command) continue;
+        if (p.fields.target_system && p.fields.target_system !== sysid) continue;
+        if (p.fields.target_component && p.fields.target_component !== compid) continue;
+
+        const enums = node.schemaCfg?.getEnums() || {};
+        const resultName = helpers.enumKeyFor(enums.MAV_RESULT, ack.result);
+        if (ack.result === MAV_RESULT_IN_PROGRESS) {
+          // Stop retrying; wait for the final ACK.
+          clearTimeout(p.timer);
+          p.progress = (ack.progress == null || ack.progress === 255) ? 0 : ack.progress;
+          p.inProgressName = resultName;
+          p.timer = setTimeout(() => onTimeout(p), node.progressTimeout * 1000);
+          updateStatus();
+        } else {
+          finish(p, { result: ack.result, resultName, progress: ack.progress, resultParam2: ack.result_param2 });
+        }
+        return;
+      }
+    }
+
+    function startCommand(msg, send, done) {
+      const schema = sender.schema();
+      const req = typeof msg.payload === "string" ? { command: msg.payload }
+        : (msg.payload && typeof msg.payload === "object") ? msg.payload : {};
+      const command = helpers.enumValueFor(schema.enums, "MAV_CMD", req.command ?? node.command);
+      const commandName = helpers.enumKeyFor(schema.enums.MAV_CMD, command) || String(command);
+      const params = Array.isArray(req.params) ? req.params : [];
+      const param = i => Number(req[`param${i}`] ?? params[i-1] ?? 0);
+
+      const targetSystem = Number(req.targetSystem ?? msg.targetSystem ?? node.targetSystem);
+      const targetComponent = Number(req.targetComponent ?? msg.targetComponent ?? node.targetComponent);
+
+      // COMMAND_INT when a frame is given: params 5/6 are x/y (degE7 for global frames), 7 is z.
+      const useInt = req.frame != null || req.useInt === true;
+      const fields = useInt ? {
+        target_system: targetSystem, target_component: targetComponent,
+        frame: helpers.enumValueFor(schema.enums, "MAV_FRAME", req.frame ?? 0),
+        command, current: 0, autocontinue: 0,
+        param1: param(1), param2: param(2), param3: param(3), param4: param(4),
+        x: Math.round(Number(req.x ?? params[4] ?? 0)), y: Math.round(Number(req.y ?? params[5] ?? 0)),
+        z: Number(req.z ?? params[6] ?? 0)
+      } : {
+        target_system: targetSystem, target_component: targetComponent, command,
+        param1: param(1), param2: param(2), param3: param(3), param4: param(4),
+        param5: param(5), param6: param(6), param7: param(7)
+      };
+
+      const key = `${command}/${targetSystem}/${targetComponent}`;
+      if (pending.has(key)) throw new Error(`${commandName} to ${targetSystem}/${targetComponent} already in progress`);
+      const p = { key, command, commandName, fields, messageName: useInt ? "COMMAND_INT" : "COMMAND_LONG",
+        attempt: 1, progress: null, msg, send, done };
+      pending.set(key, p);
+      try { transmit(p); } catch (e) { pending.delete(key); throw e; }
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        // Traffic from mavlink-parse or mavlink-io: only COMMAND_ACK is of interest
+        if ((msg.mavlink && msg.mavlink.msgid !== undefined) || Buffer.isBuffer(msg.payload)) {
+          for (const m of sender.received(msg, ["COMMAND_ACK"])) onAck(m.sysid, m.compid, m.fields);
+          return done();
+        }
+        // Anything else is a command request; done() is called once it completes.
+        startCommand(msg, send, done);
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    node.on("close", (done) => {
+      for (const p of pending.values()) {
+        clearTimeout(p.timer);
+        p.done(new Error(`${p.commandName} stopped: node closed`));
+      }
+      pending.clear();
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-command", MavlinkCommandNode);
+};
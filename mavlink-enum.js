@@ -1,4 +1,6 @@
 module.exports = function(RED) {
+  const { bitmaskKeysFor } = require("./lib/mavlink-helpers");
+
   function MavlinkEnumNode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
@@ -7,6 +9,36 @@ module.exports = function(RED) {
     node.enumKey = config.enumKey || "";
     node.keySource = config.keySource || "config";
     node.keyField = config.keyField || "payload";
+    // value: key -> value, key: value -> key, compose: flag names -> bitmask,
+    // flags: bitmask -> flag names, list: whole enum
+    node.mode = config.mode || "value";
+
+    function readInput(msg) {
+      if (node.mode === "value" && node.keySource === "config") return node.enumKey;
+      if (node.keySource === "flow") return node.context().flow.get(node.keyField);
+      if (node.keySource === "global") return node.context().global.get(node.keyField);
+      return RED.util.getMessageProperty(msg, node.keyField);
+    }
+
+    // Member by key, key without the enum prefix, or numeric value.
+    function findMember(members, enumName, v) {
+      if (typeof v === "number" || /^\d+$/.test(String(v).trim())) {
+        const found = members.find(m => m.value === Number(v));
+        if (!found) throw new Error(`Value ${v} not found in enum "${enumName}"`);
+        return found;
+      }
+      const found = members.find(m => m.key === v) || members.find(m => m.key === `${enumName}_${v}`);
+      if (!found) throw new Error(`Key "${v}" not found in enum "${enumName}"`);
+      return found;
+    }
+
+    function toNumber(v, enumName) {
+      const n = Number(v);
+      if (v === "" || v == null || !Number.isInteger(n) || n < 0) {
+        throw new Error(`"${v}" is not a valid value for enum "${enumName}"`);
+      }
+      return n;
+    }
 
     node.on("input", (msg, send, done) => {
       try {
@@ -14,20 +46,46 @@ module.exports = function(RED) {
         if (!schema) throw new Error("No schema loaded");
         const enumName = node.enumName || msg.enumName;
         if (!enumName) throw new Error("No enum selected");
-        const members = schema.enums[enumName] || [];
-        let key = node.enumKey;
-        if (node.keySource !== "config") {
-          key = RED.util.getMessageProperty(msg, node.keyField);
-        }
-        if (!key) throw new Error("No enum key provided");
-        const found = members.find(m => m.key === key);
-        if (!found) throw new Error(`Key "${key}" not found in enum "${enumName}"`);
-
+        const members = schema.enums[enumName];
+        if (!members) throw new Error(`Enum "${enumName}" not in schema`);
         msg.mavlink = msg.mavlink || {};
         msg.mavlink.enum = enumName;
-        msg.mavlink.key = key;
-        msg.mavlink.value = found.value;
-        msg.payload = found.value;
+
+        if (node.mode === "list") {
+          msg.payload = Object.fromEntries(members.map(m => [m.key, m.value]));
+          msg.members = members.map(m => ({ key: m.key, value: m.value, comment: m.comment }));
+          // ui-dropdown style options: [{ label: value }]
+          msg.options = members.map(m => ({ [m.key]: m.value }));
+          send(msg); return done();
+        }
+
+        const input = readInput(msg);
+        if (input === undefined || input === null || input === "") throw new Error("No enum key provided");
+
+        if (node.mode === "compose") {
+          const names = Array.isArray(input) ? input : String(input).split(/[\s,|]+/).filter(Boolean);
+          const flags = names.map(n => findMember(members, enumName, n));
+          const value = flags.reduce((acc, m) => acc | BigInt(m.value), 0n);
+          msg.mavlink.flags = flags.map(m => m.key);
+          msg.mavlink.value = msg.payload = Number(value);
+        } else if (node.mode === "flags") {
+          const value = toNumber(input, enumName);
+          const flags = bitmaskKeysFor(members, value);
+          const known = members.reduce((acc, m) => acc | BigInt(m.value), 0n);
+          const unknown = BigInt(value) & ~known;
+          msg.mavlink.value = value;
+          msg.mavlink.flags = msg.payload = flags;
+          if (unknown) msg.mavlink.unknownBits = Number(unknown);
+        } else {
+          // value / key: the same member, different output
+          const found = node.mode === "key"
+            ? findMember(members, enumName, toNumber(input, enumName))
+            : findMember(members, enumName, input);
+          msg.mavlink.key = found.key;
+          msg.mavlink.value = found.value;
+          msg.mavlink.comment = found.comment;
+          msg.payload = node.mode === "key" ? found.key : found.value;
+        }
         send(msg); done();
       } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
     });
@@ -36,4 +94,3 @@ module.exports = function(RED) {
   // Editor endpoints use the schema config's admin endpoints (already defined in schema node)
   RED.nodes.registerType("mavlink-enum", MavlinkEnumNode);
 };
-
@@ -0,0 +1,367 @@
+module.exports = function(RED) {
+  const fs = require("fs");
+  const ftp = require("./lib/mavlink-ftp");
+  const { createSender } = require("./lib/mavlink-sender");
+  const { OPCODE } = ftp;
+
+  const FTP_MESSAGE = "FILE_TRANSFER_PROTOCOL";
+  const OPERATIONS = ["list", "download", "upload", "remove", "crc"];
+
+  function MavlinkFtpNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.sysid = Number(config.sysid || 255);
+    node.compid = Number(config.compid || 190);
+    node.protocolVersion = String(config.protocolVersion || "2");
+    node.targetSystem = Number(config.targetSystem ?? 1);
+    node.targetComponent = Number(config.targetComponent ?? 1);
+    node.burst = config.burst !== false;          // BurstReadFile instead of ReadFile
+    node.verify = config.verify !== false;        // CalcFileCRC32 after upload
+    node.timeout = Number(config.timeout || 1);   // s per request
+    node.retries = Number(config.retries ?? 5);   // resends per request
+
+    const sender = createSender(node, "mavlink/ftp");
+    let ftpSeq = 0;     // FTP sequence number, continued across operations
+    let op = null;      // the single operation in progress
+    let partial = null; // { path, size, buf, offset } of an interrupted download
+
+    function transmit(p) {
+      op.send([sender.message(FTP_MESSAGE, {
+        target_network: 0, target_system: op.targetSystem, target_component: op.targetComponent,
+        payload: ftp.encodeFtp(p)
+      }), null, null]);
+    }
+
+    // Send an FTP request that expects an ACK/NAK; it is resent (same sequence
+    // number) on timeout.
+    function request(p, progressed) {
+      if (progressed) op.retriesLeft = node.retries;
+      ftpSeq = (ftpSeq + 1) & 0xffff;
+      op.last = { ...p, seq: ftpSeq };
+      resend();
+    }
+
+    function resend() {
+      clearTimeout(op.timer);
+      transmit(op.last);
+      op.timer = setTimeout(onTimeout, node.timeout * 1000);
+    }
+
+    function onTimeout() {
+      if (!op) return;
+      if (op.retriesLeft-- > 0) {
+        try {
+          // A stalled burst is restarted where the received data ends.
+          if (op.last.opcode === OPCODE.BurstReadFile) request(readRequest(), false);
+          else resend();
+        } catch (e) { fail(e.message); }
+        return;
+      }
+      fail(`Timeout waiting for reply to ${opcodeName(op.last.opcode)}`);
+    }
+
+    const opcodeName = (code) => Object.keys(OPCODE).find(k => OPCODE[k] === code) || String(code);
+
+    function progress(current, total) {
+      const percent = total ? Math.round(current * 100 / total) : 100;
+      node.status({ fill: "blue", shape: "ring", text: `${op.operation} ${percent}%` });
+      op.send([null, null, { topic: "ftp/progress", payload: { operation: op.operation, path: op.path, current, total, percent } }]);
+    }
+
+    // Ends the vehicle-side session; its ACK is not waited for.
+    function terminate() {
+      if (op.session === undefined) return;
+      ftpSeq = (ftpSeq + 1) & 0xffff;
+      try { transmit({ seq: ftpSeq, session: op.session, opcode: OPCODE.TerminateSession }); } catch (e) { /* schema gone */ }
+      op.session = undefined;
+    }
+
+    function end(payload) {
+      const o = op;
+      clearTimeout(o.timer);
+      op = null;
+      o.msg.payload = payload;
+      o.send([null, o.msg, null]);
+      o.done();
+    }
+
+    function fail(error) {
+      if (op.operation === "download" && op.buf && op.offset > 0) {
+        partial = { path: op.path, size: op.size, buf: op.buf, offset: op.offset };
+      }
+      terminate();
+      node.status({ fill: "red", shape: "dot", text: `${op.operation} failed` });
+      end({ operation: op.operation, path: op.path, ok: false, error, resumable: partial?.path === op.path });
+    }
+
+    function succeed(payload) {
+      node.status({ fill: "green", shape: "dot", text: `${op.operation} ok` });
+      end(payload);
+    }
+
+    // ---- operations ----
+
+    function readRequest() {
+      return {
+        session: op.session, opcode: node.burst ? OPCODE.BurstReadFile : OPCODE.ReadFile,
+        offset: op.offset, size: ftp.MAX_DATA
+      };
+    }
+
+    function openForRead() {
+      op.step = "open";
+      request({ opcode: OPCODE.OpenFileRO, data: Buffer.from(op.path) }, true);
+    }
+
+    // Copies received file data; chunks ahead of the contiguous part wait in op.ahead.
+    function storeChunk(offset, data) {
+      if (offset > op.offset) {
+        if (offset < op.size) op.ahead.set(offset, Buffer.from(data));
+        return false;
+      }
+      if (offset + data.length <= op.offset) return false; // duplicate
+      const from = op.offset - offset;
+      data.copy(op.buf, op.offset, from, Math.min(data.length, op.size - offset));
+      op.offset = Math.min(op.size, offset + data.length);
+      for (let next; (next = op.ahead.get(op.offset));) {
+        op.ahead.delete(op.offset);
+        next.copy(op.buf, op.offset, 0, Math.min(next.length, op.size - op.offset));
+        op.offset = Math.min(op.size, op.offset + next.length);
+      }
+      for (const k of op.ahead.keys()) if (k < op.offset) op.ahead.delete(k);
+      progress(op.offset, op.size);
+      return true;
+    }
+
+    function finishDownload() {
+      clearTimeout(op.timer);
+      terminate();
+      partial = null;
+      const data = op.buf.subarray(0, op.offset);
+      if (op.localFile) {
+        // A cancel or close while writing has already ended this operation.
+        const pending = op;
+        fs.promises.writeFile(pending.localFile, data).then(
+          () => { if (op === pending) succeed({ operation: "download", path: pending.path, ok: true, filename: pending.localFile, size: data.length, crc32: ftp.crc32(data) }); },
+          (e) => { if (op === pending) fail(`Cannot write ${pending.localFile}: ${e.message}`); });
+        return;
+      }
+      op.msg.filename = op.path;
+      op.msg.crc32 = ftp.crc32(data);
+      succeed(data);
+    }
+
+    function writeNext() {
+      if (op.offset >= op.data.length) {
+        terminate();
+        if (!op.verify) return succeed({ operation: "upload", path: op.path, ok: true, size: op.data.length });
+        op.step = "verify";
+        return request({ opcode: OPCODE.CalcFileCRC32, data: Buffer.from(op.path) }, true);
+      }
+      const chunk = op.data.subarray(op.offset, op.offset + ftp.MAX_DATA);
+      request({ session: op.session, opcode: OPCODE.WriteFile, offset: op.offset, data: chunk }, true);
+    }
+
+    function onAck(r) {
+      switch (op.step) {
+        case "reset":
+          // Sessions freed; try the open again.
+          return op.operation === "upload" ? createFile() : openForRead();
+
+        case "list": {
+          const { entries, count } = ftp.parseDirectoryListing(r.data);
+          op.entries.push(...entries);
+          if (!count) return succeed({ operation: "list", path: op.path, ok: true, entries: op.entries });
+          op.listOffset += count;
+          return request({ opcode: OPCODE.ListDirectory, offset: op.listOffset, data: Buffer.from(op.path) }, true);
+        }
+
+        case "open": {
+          op.session = r.session;
+          const size = r.size >= 4 ? r.data.readUInt32LE(0) : 0;
+          const resume = op.resume && partial && partial.path === op.path && partial.size === size;
+          op.size = size;
+          op.buf = resume ? partial.buf : Buffer.alloc(size);
+          op.offset = resume ? partial.offset : 0;
+          op.ahead = new Map();
+          partial = null;
+          progress(op.offset, size);
+          if (op.offset >= size) return finishDownload();
+          op.step = "read";
+          return request(readRequest(), true);
+        }
+
+        case "read": {
+          const advanced = storeChunk(r.offset, r.data);
+          if (op.offset >= op.size) return finishDownload();
+          if (r.reqOpcode === OPCODE.ReadFile) return request(readRequest(), advanced);
+          // Burst: keep waiting while data flows; after the burst, continue where the data ends.
+          if (r.burstComplete) return request(readRequest(), true);
+          if (advanced) op.retriesLeft = node.retries;
+          clearTimeout(op.timer);
+          op.timer = setTimeout(onTimeout, node.timeout * 1000);
+          return;
+        }
+
+        case "create":
+          op.session = r.session;
+          op.step = "write";
+          op.offset = 0;
+          progress(0, op.data.length);
+          return writeNext();
+
+        case "write":
+          op.offset += op.last.data.length;
+          progress(op.offset, op.data.length);
+          return writeNext();
+
+        case "verify": {
+          const remote = r.data.readUInt32LE(0);
+          const local = ftp.crc32(op.data);
+          if (remote !== local) return fail(`CRC32 mismatch after upload: vehicle ${remote}, local ${local}`);
+          return succeed({ operation: "upload", path: op.path, ok: true, size: op.data.length, crc32: local });
+        }
+
+        case "remove":
+          return succeed({ operation: "remove", path: op.path, ok: true });
+
+        case "crc":
+          return succeed({ operation: "crc", path: op.path, ok: true, crc32: r.data.readUInt32LE(0) });
+      }
+    }
+
+    function onNak(r) {
+      const reason = ftp.nakReason(r.data);
+      const error = r.data[0];
+      if (error === 6 /* EOF */) {
+        if (op.step === "list") return succeed({ operation: "list", path: op.path, ok: true, entries: op.entries });
+        if (op.step === "read") {
+          // The file ends at the size given on open. An EOF short of that (a
+          // burst that lost chunks, or a NAK that repeats the burst's start
+          // offset) means the data from op.offset on is asked for again; an
+          // EOF right there is a retry of its own, so a file that shrank fails.
+          const progressed = r.offset > op.offset;
+          if (!progressed && op.retriesLeft-- <= 0) return fail(`File ended at ${op.offset} of ${op.size} bytes`);
+          return request(readRequest(), progressed);
+        }
+      }
+      if (error === 5 /* NoSessionsAvailable */ && !op.resetDone && (op.step === "open" || op.step === "create")) {
+        op.resetDone = true;
+        op.step = "reset";
+        return request({ opcode: OPCODE.ResetSessions }, true);
+      }
+      fail(`${opcodeName(r.reqOpcode)} ${op.path}: ${reason}`);
+    }
+
+    function createFile() {
+      op.step = "create";
+      request({ opcode: OPCODE.CreateFile, data: Buffer.from(op.path) }, true);
+    }
+
+    function onFtpMessage(sysid, compid, m) {
+      if (!op || sysid !== op.targetSystem) return;
+      if (op.targetComponent && compid !== op.targetComponent) return;
+      if (m.target_system && m.target_system !== node.sysid) return;
+      const r = ftp.decodeFtp(m.payload);
+      if (r.opcode !== OPCODE.ACK && r.opcode !== OPCODE.NAK) return;
+      const burst = op.step === "read" && r.reqOpcode === OPCODE.BurstReadFile;
+      if (burst) {
+        if (r.session !== op.session) return;
+      } else if (r.reqOpcode !== op.last.opcode || r.seq !== ((op.last.seq + 1) & 0xffff)) {
+        return; // stale reply to an earlier (resent) request
+      }
+      clearTimeout(op.timer);
+      if (r.opcode === OPCODE.ACK) onAck(r); else onNak(r);
+    }
+
+    function uploadData(msg) {
+      if (Buffer.isBuffer(msg.payload)) return Promise.resolve(msg.payload);
+      if (typeof msg.payload === "string") return Promise.resolve(Buffer.from(msg.payload, "utf8"));
+      if (msg.filename) return fs.promises.readFile(msg.filename);
+      return Promise.reject(new Error("upload needs msg.payload (Buffer or string) or msg.filename"));
+    }
+
+    function start(msg, send, done) {
+      sender.schema();
+      const operation = msg.operation || msg.topic;
+      if (!OPERATIONS.includes(operation)) {
+        throw new Error(`Unknown operation "${operation}" (use ${OPERATIONS.join(", ")})`);
+      }
+      const path = msg.path;
+      if (typeof path !== "string" || !path) throw new Error(`${operation} needs the vehicle path in msg.path`);
+      if (op) throw new Error(`FTP ${op.operation} already in progress`);
+
+      op = {
+        operation, path, msg, send, done, retriesLeft: node.retries,
+        targetSystem: Number(msg.targetSystem ?? node.targetSystem),
+        targetComponent: Number(msg.targetComponent ?? node.targetComponent)
+      };
+      const begin = () => {
+        switch (operation) {
+          case "list":
+            op.step = "list";
+            op.entries = [];
+            op.listOffset = 0;
+            return request({ opcode: OPCODE.ListDirectory, offset: 0, data: Buffer.from(path) }, true);
+          case "download":
+            op.resume = msg.resume === true;
+            op.localFile = msg.filename;
+            return openForRead();
+          case "remove":
+            op.step = "remove";
+            return request({ opcode: OPCODE.RemoveFile, data: Buffer.from(path) }, true);
+          case "crc":
+            op.step = "crc";
+            return request({ opcode: OPCODE.CalcFileCRC32, data: Buffer.from(path) }, true);
+        }
+      };
+      try {
+        if (Buffer.byteLength(path) > ftp.MAX_DATA) throw new Error("msg.path is too long");
+        if (operation !== "upload") return begin();
+        op.verify = msg.verify ?? node.verify;
+        const pending = op;
+        uploadData(msg).then((data) => {
+          if (op !== pending) return;
+          op.data = data;
+          createFile();
+        }).catch((e) => { if (op === pending) fail(e.message); });
+      } catch (e) {
+        clearTimeout(op.timer);
+        op = null;
+        throw e;
+      }
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        // FTP replies decoded by mavlink-parse or as raw frames from mavlink-io,
+        // unless the Buffer is an upload (msg.operation)
+        if ((msg.mavlink && msg.mavlink.msgid !== undefined) || (Buffer.isBuffer(msg.payload) && !msg.operation)) {
+          for (const m of sender.received(msg, [FTP_MESSAGE])) onFtpMessage(m.sysid, m.compid, m.fields);
+          return done();
+        }
+        if (msg.operation === "cancel" || msg.topic === "cancel") {
+          if (op) fail("Cancelled");
+          return done();
+        }
+        // Anything else starts an operation; done() is called once it completes.
+        start(msg, send, done);
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    node.on("close", (done) => {
+      if (op) {
+        clearTimeout(op.timer);
+        op.done(new Error(`FTP ${op.operation} stopped: node closed`));
+      }
+      op = null;
+      partial = null;
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-ftp", MavlinkFtpNode);
+};
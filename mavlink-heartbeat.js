@@ -0,0 +1,139 @@
+module.exports = function(RED) {
+  const helpers = require("./lib/mavlink-helpers");
+  const { isVehicleHeartbeat } = require("./lib/mavlink-modes");
+
+  function MavlinkHeartbeatNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.sysid = Number(config.sysid || 255);
+    node.compid = Number(config.compid || 190);
+    // Enum key (e.g. "MAV_TYPE_GCS") or number
+    node.mavType = config.mavType || "MAV_TYPE_GCS";
+    node.autopilot = config.autopilot || "MAV_AUTOPILOT_INVALID";
+    node.rate = Number(config.rate ?? 1);          // Hz, 0 = don't send
+    node.timeout = Number(config.timeout || 3);    // s without heartbeat -> "timeout"
+    node.disconnectAfter = Number(config.disconnectAfter || 30); // s -> "disconnect", vehicle forgotten
+    // "2" or "1" (MAVLink 1 unless signing), as in mavlink-build
+    node.protocolVersion = String(config.protocolVersion || "2");
+
+    let seq = 0;
+    // "sysid/compid" -> { sysid, compid, lastSeen, lost, heartbeat }
+    const vehicles = new Map();
+
+    function sendHeartbeat() {
+      try {
+        const schema = node.schemaCfg?.getSchema();
+        if (!schema) throw new Error("No schema loaded");
+        const { frame, def, version } = helpers.buildMessage(schema, "HEARTBEAT", {
+          type: node.mavType, autopilot: node.autopilot,
+          base_mode: 0, custom_mode: 0,
+          system_status: "MAV_STATE_ACTIVE",
+          mavlink_version: 3
+        }, {
+          validate: true, protocolVersion: node.protocolVersion,
+          seq: seq & 0xFF, sysid: node.sysid, compid: node.compid,
+          signing: node.signingCfg ? node.signingCfg.getSigning() : undefined
+        });
+        seq++;
+        node.send([{
+          topic: "mavlink/heartbeat", payload: frame,
+          mavlink: { name: "HEARTBEAT", id: def.id, seq: (seq-1)&0xFF, version, sysid: node.sysid, compid: node.compid }
+        }, null]);
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); }
+    }
+
+    function describe(v, event) {
+      const enums = node.schemaCfg?.getEnums() || {};
+      const hb = v.heartbeat;
+      return {
+        topic: `mavlink/vehicle/${event}`,
+        payload: {
+          event, sysid: v.sysid, compid: v.compid,
+          type: { value: hb.type, name: helpers.enumKeyFor(enums.MAV_TYPE, hb.type) },
+          autopilot: { value: hb.autopilot, name: helpers.enumKeyFor(enums.MAV_AUTOPILOT, hb.autopilot) },
+          baseMode: { value: hb.base_mode, flags: helpers.bitmaskKeysFor(enums.MAV_MODE_FLAG, hb.base_mode) },
+          customMode: hb.custom_mode,
+          systemStatus: { value: hb.system_status, name: helpers.enumKeyFor(enums.MAV_STATE, hb.system_status) },
+          mavlinkVersion: hb.mavlink_version,
+          lastSeen: v.lastSeen
+        }
+      };
+    }
+
+    function updateStatus() {
+      const alive = [...vehicles.values()].filter(v => !v.lost).length;
+      const lost = vehicles.size - alive;
+      node.status(vehicles.size
+        ? { fill: lost ? "yellow" : "green", shape: "dot", text: `${alive} connected${lost ? `, ${lost} lost` : ""}` }
+        : { fill: "grey", shape: "ring", text: "no vehicle" });
+    }
+
+    function onHeartbeat(sysid, compid, hb) {
+      if (sysid === node.sysid) return; // our own heartbeat echoed back
+      if (!isVehicleHeartbeat(hb)) return;
+      const key = `${sysid}/${compid}`;
+      let v = vehicles.get(key);
+      const isNew = !v || v.lost;
+      if (!v) { v = { sysid, compid }; vehicles.set(key, v); }
+      Object.assign(v, { lastSeen: Date.now(), lost: false, heartbeat: hb });
+      if (isNew) {
+        node.send([null, describe(v, "connect")]);
+        updateStatus();
+      }
+    }
+
+    function checkTimeouts() {
+      const now = Date.now();
+      for (const [key, v] of vehicles) {
+        const silent = (now - v.lastSeen) / 1000;
+        if (silent >= node.disconnectAfter) {
+          vehicles.delete(key);
+          node.send([null, describe(v, "disconnect")]);
+          updateStatus();
+        } else if (!v.lost && silent >= node.timeout) {
+          v.lost = true;
+          node.send([null, describe(v, "timeout")]);
+          updateStatus();
+        }
+      }
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        // Parsed HEARTBEAT from mavlink-parse
+        if (msg.mavlink && msg.mavlink.msgid === 0 && msg.payload && !Buffer.isBuffer(msg.payload)) {
+          const def = node.schemaCfg?.getMessages().HEARTBEAT;
+          if (!def) throw new Error("HEARTBEAT not in schema");
+          onHeartbeat(msg.mavlink.sysid, msg.mavlink.compid, helpers.rawFields(def, msg));
+          return done();
+        }
+        // Raw frame(s), e.g. the heartbeat output of mavlink-io
+        if (Buffer.isBuffer(msg.payload)) {
+          const def = node.schemaCfg?.getMessages().HEARTBEAT;
+          if (!def) throw new Error("HEARTBEAT not in schema");
+          for (const f of helpers.scanFrames(msg.payload, id => id === 0 ? def.crc : undefined)) {
+            const hdr = helpers.parseFrameHeader(f.frameBuf);
+            if (hdr.msgid !== 0) continue;
+            onHeartbeat(hdr.sysid, hdr.compid, helpers.unpackPayload(def, hdr.payload));
+          }
+        }
+        done();
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    const sendTimer = node.rate > 0 ? setInterval(sendHeartbeat, 1000 / node.rate) : null;
+    const checkTimer = setInterval(checkTimeouts, 500);
+    updateStatus();
+
+    node.on("close", (done) => {
+      clearInterval(sendTimer);
+      clearInterval(checkTimer);
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-heartbeat", MavlinkHeartbeatNode);
+};
@@ -1,63 +1,198 @@
 module.exports = function(RED) {
   const dgram = require("dgram");
-  const { scanFramesV2 } = require("./lib/mavlink-helpers");
+  const net = require("net");
+  const { MavlinkStreamParser, parseFrameHeader } = require("./lib/mavlink-helpers");
   let SerialPort;
   try { SerialPort = require("serialport").SerialPort; } catch(_) {}
 
+  // Senders with their own UDP decoder; senders that keep changing their
+  // source port (learn and broadcast setups) would otherwise pile up.
+  const MAX_UDP_SENDERS = 64;
+
   function MavlinkIONode(config) {
     RED.nodes.createNode(this, config);
     const node = this;
 
-    node.mode = config.mode || "udp"; // "udp" | "serial"
+    node.mode = config.mode || "udp"; // "udp" | "serial" | "tcp-client" | "tcp-server"
     node.localPort = Number(config.localPort || 14550);
     node.remoteHost = config.remoteHost || "127.0.0.1";
     node.remotePort = Number(config.remotePort || 14551);
+    // UDP output target: "fixed" (remote host/port), "learn" (last sender, like
+    // MAVProxy udpin), "learn-sysid" (last sender per sysid), "broadcast" or
+    // "multicast" (remote host is the broadcast address / multicast group).
+    node.udpTarget = config.udpTarget || "fixed";
     node.serialPath = config.serialPath || "/dev/ttyUSB0";
     node.baud = Number(config.baud || 57600);
+    // Optional schema: enables CRC validation of incoming frames.
+    node.schemaCfg = config.schema ? RED.nodes.getNode(config.schema) : null;
+    node.statsInterval = Number(config.statsInterval ?? 5); // seconds, 0 = no stats output
+    // Optional link name put on every emitted frame (msg.link), e.g. for mavlink-router.
+    node.linkName = config.linkName || "";
 
     let udpSock = null, serial = null;
-    let rxBuf = Buffer.alloc(0);
-
-    function handleIncoming(chunk) {
-      rxBuf = Buffer.concat([rxBuf, chunk]);
-      let lastEnd = 0;
-      for (const f of scanFramesV2(rxBuf)) {
-        const frame = Buffer.from(f.frameBuf);
-        const msgid = frame[7] | (frame[8] << 8) | (frame[9] << 16);
+    let tcpSock = null, tcpServer = null, reconnectTimer = null, closing = false;
+    const tcpClients = new Set();
+    let linkText = "";
+    // Learned UDP endpoints: sysid -> { address, port } ("learn" uses key "*").
+    const udpEndpoints = new Map();
+    // One decoder per UDP sender ("address:port"), sharing the stats. Kept in
+    // order of use; beyond MAX_UDP_SENDERS the least recently heard is dropped.
+    const udpParsers = new Map();
+
+    const parser = new MavlinkStreamParser({
+      crcExtraFor: node.schemaCfg
+        ? (msgid) => node.schemaCfg.getMessageById(msgid)?.crc
+        : null
+    });
+
+    function setLinkStatus(fill, text) {
+      linkText = text;
+      node.status({ fill, shape: "dot", text });
+    }
+
+    function learnEndpoint(key, source) {
+      const prev = udpEndpoints.get(key);
+      if (prev && prev.address === source.address && prev.port === source.port) return;
+      udpEndpoints.set(key, { address: source.address, port: source.port });
+      const shown = udpEndpoints.size === 1 ? `${source.address}:${source.port}` : `${udpEndpoints.size} remotes`;
+      setLinkStatus("green", `udp ${node.localPort} ↔ ${shown}`);
+    }
+
+    function handleIncoming(chunk, streamParser = parser, source = null) {
+      const learn = source && node.mode === "udp" ? node.udpTarget : "";
+      if (learn === "learn") learnEndpoint("*", source);
+      for (const frame of streamParser.push(chunk)) {
+        const { msgid, sysid } = parseFrameHeader(frame);
+        if (learn === "learn-sysid") learnEndpoint(sysid, source);
         const msg = { topic: "mavlink/raw", payload: frame };
-        if (msgid === 0) node.send([msg, null]);
-        else node.send([null, msg]);
-        lastEnd = f.end;
+        if (source) msg.remote = { address: source.address, port: source.port };
+        if (node.linkName) msg.link = node.linkName;
+        if (msgid === 0) node.send([msg, null, null]);
+        else node.send([null, msg, null]);
       }
-      if (lastEnd > 0) rxBuf = rxBuf.subarray(lastEnd);
     }
 
+    function udpParser(rinfo) {
+      const key = `${rinfo.address}:${rinfo.port}`;
+      let p = udpParsers.get(key);
+      if (p) {
+        udpParsers.delete(key);
+      } else {
+        p = new MavlinkStreamParser({ crcExtraFor: parser.crcExtraFor, stats: parser.stats });
+        if (udpParsers.size >= MAX_UDP_SENDERS) udpParsers.delete(udpParsers.keys().next().value);
+      }
+      udpParsers.set(key, p);
+      return p;
+    }
+
+    const statsTimer = node.statsInterval > 0 ? setInterval(() => {
+      const st = parser.stats;
+      if (linkText) {
+        node.status({ fill: "green", shape: "dot", text: `${linkText} • ok ${st.framesOk} crc ${st.crcErrors} drop ${st.bytesDropped}` });
+      }
+      node.send([null, null, { topic: "mavlink/stats", payload: { ...st } }]);
+    }, node.statsInterval * 1000) : null;
+
     if (node.mode === "udp") {
-      udpSock = dgram.createSocket("udp4");
-      udpSock.on("message", handleIncoming);
+      udpSock = dgram.createSocket({ type: "udp4", reuseAddr: node.udpTarget === "multicast" });
+      udpSock.on("message", (chunk, rinfo) => handleIncoming(chunk, udpParser(rinfo), rinfo));
       udpSock.on("error", err => node.error(err));
-      udpSock.bind(node.localPort, () =>
-        node.status({ fill: "green", shape: "dot", text: `udp ${node.localPort} ↔ ${node.remoteHost}:${node.remotePort}` })
-      );
+      udpSock.bind(node.localPort, () => {
+        if (node.udpTarget === "broadcast") udpSock.setBroadcast(true);
+        if (node.udpTarget === "multicast") {
+          try { udpSock.addMembership(node.remoteHost); } catch (e) { node.error(e); }
+        }
+        const learning = node.udpTarget === "learn" || node.udpTarget === "learn-sysid";
+        setLinkStatus(learning ? "yellow" : "green",
+          learning ? `udp ${node.localPort} • waiting for remote` : `udp ${node.localPort} ↔ ${node.remoteHost}:${node.remotePort}`);
+      });
     } else if (node.mode === "serial") {
       if (!SerialPort) {
         node.status({ fill:"red", shape:"dot", text:"serialport module not installed" });
         node.error("Install optional dependency 'serialport' to use serial mode.");
       } else {
         serial = new SerialPort({ path: node.serialPath, baudRate: node.baud });
-        serial.on("data", handleIncoming);
+        serial.on("data", chunk => handleIncoming(chunk));
         serial.on("open", () =>
-          node.status({ fill:"green", shape:"dot", text:`serial ${node.serialPath} @ ${node.baud}` })
+          setLinkStatus("green", `serial ${node.serialPath} @ ${node.baud}`)
         );
         serial.on("error", err => node.error(err));
       }
+    } else if (node.mode === "tcp-client") {
+      // Reconnect with exponential backoff (1s doubling up to 30s).
+      let backoff = 1000;
+      const connect = () => {
+        reconnectTimer = null;
+        node.status({ fill:"yellow", shape:"ring", text:`connecting ${node.remoteHost}:${node.remotePort}` });
+        const sock = tcpSock = net.connect(node.remotePort, node.remoteHost);
+        sock.setNoDelay(true);
+        sock.on("connect", () => {
+          backoff = 1000;
+          parser.reset();
+          setLinkStatus("green", `tcp → ${node.remoteHost}:${node.remotePort}`);
+        });
+        sock.on("data", chunk => handleIncoming(chunk));
+        sock.on("error", err => node.debug(`tcp client: ${err.message}`));
+        sock.on("close", () => {
+          if (tcpSock === sock) tcpSock = null;
+          if (closing) return;
+          linkText = "";
+          node.status({ fill:"red", shape:"ring", text:`disconnected, retry in ${Math.round(backoff/1000)}s` });
+          reconnectTimer = setTimeout(connect, backoff);
+          backoff = Math.min(backoff * 2, 30000);
+        });
+      };
+      connect();
+    } else if (node.mode === "tcp-server") {
+      // Each client has its own decoder (separate byte streams) but they share stats.
+      tcpServer = net.createServer(sock => {
+        sock.setNoDelay(true);
+        const clientParser = new MavlinkStreamParser({ crcExtraFor: parser.crcExtraFor, stats: parser.stats });
+        tcpClients.add(sock);
+        setLinkStatus("green", `tcp :${node.localPort} • ${tcpClients.size} client(s)`);
+        const source = { address: sock.remoteAddress, port: sock.remotePort };
+        sock.on("data", chunk => handleIncoming(chunk, clientParser, source));
+        sock.on("error", err => node.debug(`tcp server client: ${err.message}`));
+        sock.on("close", () => {
+          tcpClients.delete(sock);
+          if (!closing) setLinkStatus("green", `tcp :${node.localPort} • ${tcpClients.size} client(s)`);
+        });
+      });
+      tcpServer.on("error", err => {
+        node.status({ fill:"red", shape:"dot", text: err.message });
+        node.error(err);
+      });
+      tcpServer.listen(node.localPort, () =>
+        setLinkStatus("green", `tcp :${node.localPort} • 0 client(s)`)
+      );
+    }
+
+    // Where an outgoing UDP frame goes. In "learn-sysid" mode msg.targetSystem
+    // picks one learned endpoint; otherwise the frame goes to all of them.
+    function udpTargets(msg) {
+      if (node.udpTarget === "learn") return udpEndpoints.has("*") ? [udpEndpoints.get("*")] : [];
+      if (node.udpTarget === "learn-sysid") {
+        if (msg.targetSystem != null) {
+          const ep = udpEndpoints.get(Number(msg.targetSystem));
+          return ep ? [ep] : [];
+        }
+        // Several sysids often share one endpoint; send once per endpoint.
+        const unique = new Map();
+        for (const ep of udpEndpoints.values()) unique.set(`${ep.address}:${ep.port}`, ep);
+        return [...unique.values()];
+      }
+      return [{ address: node.remoteHost, port: node.remotePort }];
     }
 
     node.on("input", (msg, send, done) => {
       try {
         const buf = Buffer.isBuffer(msg.payload) ? msg.payload : Buffer.from(msg.payload);
         if (node.mode === "udp") {
-          udpSock.send(buf, node.remotePort, node.remoteHost);
+          for (const ep of udpTargets(msg)) udpSock.send(buf, ep.port, ep.address);
+        } else if (node.mode === "tcp-client") {
+          if (tcpSock && !tcpSock.connecting && !tcpSock.destroyed) tcpSock.write(buf);
+        } else if (node.mode === "tcp-server") {
+          for (const sock of tcpClients) sock.write(buf);
         } else if (serial) {
           serial.write(buf);
         }
@@ -66,11 +201,18 @@ module.exports = function(RED) {
     });
 
     node.on("close", (done) => {
+      closing = true;
+      clearInterval(statsTimer);
+      clearTimeout(reconnectTimer);
+      udpParsers.clear();
       try {
         if (udpSock) udpSock.close();
         if (serial) serial.close(() => {});
+        if (tcpSock) tcpSock.destroy();
+        for (const sock of tcpClients) sock.destroy();
       } catch (_) {}
-      done();
+      if (tcpServer) tcpServer.close(() => done());
+      else done();
     });
   }
 
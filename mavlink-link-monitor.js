@@ -0,0 +1,216 @@
+module.exports = function(RED) {
+  const helpers = require("./lib/mavlink-helpers");
+  const { createSender } = require("./lib/mavlink-sender");
+
+  const UINT8_MAX = 255;
+
+  function MavlinkLinkMonitorNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.sysid = Number(config.sysid || 255);
+    node.compid = Number(config.compid || 190);
+    node.protocolVersion = String(config.protocolVersion || "2");
+    node.targetSystem = Number(config.targetSystem ?? 1);
+    node.targetComponent = Number(config.targetComponent ?? 1);
+    node.interval = Number(config.interval || 5);          // s between reports
+    node.timesyncRate = Number(config.timesyncRate ?? 1);  // Hz, 0 = no latency probes
+    // Alarm thresholds; empty = off
+    const threshold = (v) => v === "" || v === undefined || v === null ? null : Number(v);
+    node.lossAlarm = threshold(config.lossAlarm);        // % lost in the last interval
+    node.latencyAlarm = threshold(config.latencyAlarm);  // ms round trip
+    node.rssiAlarm = threshold(config.rssiAlarm);        // below this RSSI (either side)
+    // Probing needs TIMESYNC in the schema; checked once here instead of on every probe.
+    const probing = node.timesyncRate > 0 && !!node.schemaCfg?.getMessages().TIMESYNC;
+    if (node.timesyncRate > 0 && !probing) node.warn("TIMESYNC not in schema; latency probes are off");
+
+    const sender = createSender(node, "mavlink/timesync");
+    // "sysid/compid" -> { sysid, compid, lastSeq, total: {...}, window: {...}, messages: Map name -> count }
+    const streams = new Map();
+    const newCounts = () => ({ received: 0, lost: 0, duplicates: 0 });
+    // Outstanding TIMESYNC probes: ts1 (ns, as sent) -> true
+    const probes = new Map();
+    let rtts = [];        // round trips (ms) in this interval
+    let lastRtt = null;
+    let radio = null;     // latest RADIO_STATUS
+
+    function streamFor(sysid, compid) {
+      const key = `${sysid}/${compid}`;
+      let s = streams.get(key);
+      if (!s) {
+        s = { sysid, compid, lastSeq: null, total: newCounts(), window: newCounts(), messages: new Map(), lastSeen: 0 };
+        streams.set(key, s);
+      }
+      return s;
+    }
+
+    // Sequence numbers count 0..255 per sender; a gap of n means n-1 frames lost.
+    // A jump backwards by more than half the range is taken as a restart, not loss.
+    // frameSeq is null for messages that may have passed a filter: counted, no gaps.
+    function onFrame(sysid, compid, frameSeq, name) {
+      if (sysid === node.sysid) return; // our own frames echoed back
+      const s = streamFor(sysid, compid);
+      s.lastSeen = Date.now();
+      s.messages.set(name, (s.messages.get(name) || 0) + 1);
+      const count = (k, n) => { s.total[k] += n; s.window[k] += n; };
+      count("received", 1);
+      if (frameSeq === null) return;
+      if (s.lastSeq !== null) {
+        const gap = (frameSeq - s.lastSeq) & 0xff;
+        if (gap === 0) count("duplicates", 1);
+        else if (gap < 128) count("lost", gap - 1);
+      }
+      s.lastSeq = frameSeq;
+    }
+
+    // ts1 is opaque to the vehicle, so a monotonic clock serves for the round trip.
+    const nowNs = () => process.hrtime.bigint();
+
+    function onTimesync(sysid, m) {
+      // Replies carry our ts1 back with tc1 set; requests from others have tc1 = 0.
+      if (BigInt(m.tc1) === 0n) return;
+      if (m.target_system && m.target_system !== node.sysid) return;
+      const key = String(m.ts1);
+      if (!probes.has(key)) return;
+      probes.delete(key);
+      lastRtt = Number(nowNs() - BigInt(m.ts1)) / 1e6;
+      rtts.push(lastRtt);
+    }
+
+    function onRadioStatus(m) {
+      const valid = (v) => v === UINT8_MAX ? null : v;
+      radio = {
+        rssi: valid(m.rssi), remrssi: valid(m.remrssi), noise: valid(m.noise), remnoise: valid(m.remnoise),
+        txbuf: m.txbuf, rxerrors: m.rxerrors, fixed: m.fixed
+      };
+      // Fade margin: how far the signal is above the noise floor
+      radio.margin = radio.rssi !== null && radio.noise !== null ? radio.rssi - radio.noise : null;
+      radio.remmargin = radio.remrssi !== null && radio.remnoise !== null ? radio.remrssi - radio.remnoise : null;
+    }
+
+    function onMessage(sysid, compid, frameSeq, msgid, fields) {
+      const entry = node.schemaCfg?.getMessageById(msgid);
+      const name = entry?.name ?? String(msgid);
+      onFrame(sysid, compid, frameSeq, name);
+      if (!fields) return;
+      if (name === "TIMESYNC") onTimesync(sysid, fields);
+      else if (name === "RADIO_STATUS") onRadioStatus(fields);
+    }
+
+    function sendProbe() {
+      try {
+        const ts1 = nowNs();
+        const msg = sender.message("TIMESYNC", {
+          tc1: 0, ts1, target_system: node.targetSystem, target_component: node.targetComponent
+        });
+        // Replies are unpacked as Numbers, so probes are keyed the same way.
+        probes.set(String(Number(ts1)), true);
+        // Probes that never got an answer are dropped after a while.
+        if (probes.size > 100) probes.delete(probes.keys().next().value);
+        node.send([msg, null]);
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); }
+    }
+
+    const pct = (lost, received) => received + lost ? Math.round(lost * 1000 / (received + lost)) / 10 : 0;
+    const round1 = (v) => Math.round(v * 10) / 10;
+
+    function report() {
+      const links = [];
+      let wReceived = 0, wLost = 0;
+      for (const s of streams.values()) {
+        const messages = {};
+        for (const [name, n] of s.messages) messages[name] = round1(n / node.interval);
+        links.push({
+          sysid: s.sysid, compid: s.compid,
+          received: s.window.received, lost: s.window.lost, duplicates: s.window.duplicates,
+          loss: pct(s.window.lost, s.window.received),
+          rate: round1(s.window.received / node.interval),
+          messages,
+          total: { ...s.total, loss: pct(s.total.lost, s.total.received) },
+          lastSeen: s.lastSeen
+        });
+        wReceived += s.window.received;
+        wLost += s.window.lost;
+        s.window = newCounts();
+        s.messages = new Map();
+      }
+      const latency = rtts.length ? {
+        last: round1(lastRtt), avg: round1(rtts.reduce((a, v) => a + v, 0) / rtts.length),
+        min: round1(Math.min(...rtts)), max: round1(Math.max(...rtts)), samples: rtts.length
+      } : null;
+      rtts = [];
+      const loss = pct(wLost, wReceived);
+
+      const alarms = [];
+      if (node.lossAlarm !== null && loss > node.lossAlarm) alarms.push(`loss ${loss}% > ${node.lossAlarm}%`);
+      if (node.latencyAlarm !== null && latency && latency.avg > node.latencyAlarm) alarms.push(`latency ${latency.avg} ms > ${node.latencyAlarm} ms`);
+      if (node.latencyAlarm !== null && probing && !latency && streams.size) alarms.push("no TIMESYNC replies");
+      if (node.rssiAlarm !== null && radio) {
+        if (radio.rssi !== null && radio.rssi < node.rssiAlarm) alarms.push(`rssi ${radio.rssi} < ${node.rssiAlarm}`);
+        if (radio.remrssi !== null && radio.remrssi < node.rssiAlarm) alarms.push(`remote rssi ${radio.remrssi} < ${node.rssiAlarm}`);
+      }
+
+      const text = [`loss ${loss}%`];
+      if (latency) text.push(`${latency.avg} ms`);
+      if (radio && radio.rssi !== null) text.push(`rssi ${radio.rssi}/${radio.remrssi ?? "?"}`);
+      node.status(!streams.size
+        ? { fill: "grey", shape: "ring", text: "no traffic" }
+        : { fill: alarms.length ? "red" : "green", shape: "dot", text: text.join(" • ") });
+
+      node.send([null, {
+        topic: "mavlink/link",
+        payload: { interval: node.interval, loss, received: wReceived, lost: wLost, links, latency, radio, alarm: alarms.length > 0, alarms }
+      }]);
+    }
+
+    function onHeader(hdr) {
+      const entry = node.schemaCfg?.getMessageById(hdr.msgid);
+      const wanted = entry && (entry.name === "TIMESYNC" || entry.name === "RADIO_STATUS");
+      onMessage(hdr.sysid, hdr.compid, hdr.seq, hdr.msgid, wanted ? helpers.unpackPayload(entry.def, hdr.payload) : null);
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        // Output of mavlink-parse, also for unknown messages (payload left a
+        // Buffer): the header and raw values come from the frame in msg._raw.
+        if (msg.mavlink && Buffer.isBuffer(msg._raw)) {
+          const hdr = helpers.parseFrameHeader(msg._raw);
+          // A corrupted frame's sequence number can't be trusted
+          if (msg.mavlink.checksumOk === false && node.schemaCfg?.getMessageById(hdr.msgid)) return done();
+          onHeader(hdr);
+          return done();
+        }
+        // Decoded messages without their frame, e.g. after a filter or a
+        // throttle: what is missing may have been dropped on purpose, so
+        // they count as received but not towards loss.
+        if (msg.mavlink && msg.mavlink.seq !== undefined && !Buffer.isBuffer(msg.payload)) {
+          const { sysid, compid, msgid } = msg.mavlink;
+          const entry = node.schemaCfg?.getMessageById(msgid);
+          const wanted = entry && (entry.name === "TIMESYNC" || entry.name === "RADIO_STATUS");
+          onMessage(sysid, compid, null, msgid, wanted ? helpers.rawFields(entry.def, msg) : null);
+          return done();
+        }
+        // Raw frame(s) from mavlink-io; frames of known messages that fail the CRC are skipped
+        if (Buffer.isBuffer(msg.payload)) {
+          const crcExtraFor = (id) => node.schemaCfg?.getMessageById(id)?.crc;
+          for (const f of helpers.scanFrames(msg.payload, crcExtraFor)) onHeader(helpers.parseFrameHeader(f.frameBuf));
+        }
+        done();
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    const reportTimer = setInterval(report, node.interval * 1000);
+    const probeTimer = probing ? setInterval(sendProbe, 1000 / node.timesyncRate) : null;
+    node.status({ fill: "grey", shape: "ring", text: "no traffic" });
+
+    node.on("close", (done) => {
+      clearInterval(reportTimer);
+      clearInterval(probeTimer);
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-link-monitor", MavlinkLinkMonitorNode);
+};
@@ -0,0 +1,232 @@
+module.exports = function(RED) {
+  const helpers = require("./lib/mavlink-helpers");
+  const files = require("./lib/mavlink-mission-files");
+  const { createSender } = require("./lib/mavlink-sender");
+
+  const MAV_MISSION_ACCEPTED = 0;
+  const MISSION_MESSAGES = ["MISSION_REQUEST_INT", "MISSION_REQUEST", "MISSION_COUNT", "MISSION_ITEM_INT", "MISSION_ACK"];
+
+  function MavlinkMissionNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.sysid = Number(config.sysid || 255);
+    node.compid = Number(config.compid || 190);
+    node.protocolVersion = String(config.protocolVersion || "2");
+    node.targetSystem = Number(config.targetSystem ?? 1);
+    node.targetComponent = Number(config.targetComponent ?? 1);
+    node.missionType = config.missionType || "MAV_MISSION_TYPE_MISSION";
+    // MAV_AUTOPILOT key or number for .plan files; empty = as the file says
+    node.firmware = config.firmware || "";
+    node.timeout = Number(config.timeout || 1.5); // s per handshake step
+    node.retries = Number(config.retries ?? 5);   // resends per step
+
+    const sender = createSender(node, "mavlink/mission");
+    let op = null; // the single operation in progress
+
+    function transmit(name, fields) {
+      op.send([sender.message(name, fields), null, null]);
+    }
+
+    // Send a message that expects a reply; it is resent on timeout.
+    function request(name, fields, progressed) {
+      if (progressed) op.retriesLeft = node.retries;
+      op.last = { name, fields };
+      clearTimeout(op.timer);
+      transmit(name, fields);
+      op.timer = setTimeout(onTimeout, node.timeout * 1000);
+    }
+
+    function onTimeout() {
+      if (!op) return;
+      if (op.retriesLeft-- > 0) {
+        try { request(op.last.name, op.last.fields, false); } catch (e) { fail(e.message); }
+        return;
+      }
+      fail(`Timeout waiting for reply to ${op.last.name}`);
+    }
+
+    function progress(current, total) {
+      const percent = total ? Math.round(current * 100 / total) : 100;
+      node.status({ fill: "blue", shape: "ring", text: `${op.operation} ${current}/${total}` });
+      op.send([null, null, { topic: "mission/progress", payload: { operation: op.operation, current, total, percent } }]);
+    }
+
+    function end(payload) {
+      const o = op;
+      clearTimeout(o.timer);
+      op = null;
+      o.msg.payload = payload;
+      o.send([null, o.msg, null]);
+      o.done();
+    }
+
+    function fail(error, result) {
+      const enums = node.schemaCfg?.getEnums() || {};
+      node.status({ fill: "red", shape: "dot", text: `${op.operation} failed` });
+      end({
+        operation: op.operation, ok: false, error,
+        result, resultName: result == null ? undefined : helpers.enumKeyFor(enums.MAV_MISSION_RESULT, result)
+      });
+    }
+
+    function succeed(payload) {
+      node.status({ fill: "green", shape: "dot", text: `${op.operation} ok` });
+      end(payload);
+    }
+
+    function target() {
+      return { target_system: op.targetSystem, target_component: op.targetComponent, mission_type: op.missionType };
+    }
+
+    function onMissionMessage(name, sysid, compid, m) {
+      if (!op || sysid !== op.targetSystem) return;
+      if (op.targetComponent && compid !== op.targetComponent) return;
+      if (m.target_system && m.target_system !== node.sysid) return;
+      if (m.mission_type != null && m.mission_type !== op.missionType) return;
+
+      if (name === "MISSION_ACK") {
+        if (op.operation === "download") return; // we send the ACK on download
+        if (m.type !== MAV_MISSION_ACCEPTED) return fail(`Vehicle rejected ${op.operation}`, m.type);
+        if (op.operation === "upload" && op.sent < op.items.length) {
+          return fail(`Vehicle accepted after ${op.sent} of ${op.items.length} items`, m.type);
+        }
+        return succeed({ operation: op.operation, ok: true, count: op.items ? op.items.length : 0 });
+      }
+
+      if (op.operation === "upload" && (name === "MISSION_REQUEST_INT" || name === "MISSION_REQUEST")) {
+        if (m.seq >= op.items.length) return fail(`Vehicle requested item ${m.seq} of ${op.items.length}`);
+        const progressed = m.seq >= op.sent;
+        op.sent = Math.max(op.sent, m.seq + 1);
+        // Answer in the variant asked for; MISSION_ITEM carries x/y as floats.
+        // The final ACK is the reply to the last item.
+        if (name === "MISSION_REQUEST" && sender.schema().messages.MISSION_ITEM) {
+          request("MISSION_ITEM", { ...files.wireToFloat(op.wire[m.seq], sender.schema().enums), ...target() }, progressed);
+        } else {
+          request("MISSION_ITEM_INT", { ...op.wire[m.seq], ...target() }, progressed);
+        }
+        if (progressed) progress(op.sent, op.items.length);
+        return;
+      }
+
+      if (op.operation === "download") {
+        if (name === "MISSION_COUNT" && op.count == null) {
+          op.count = m.count;
+          progress(0, op.count);
+          return requestNextItem();
+        }
+        if (name === "MISSION_ITEM_INT" && op.count != null && m.seq === op.items.length) {
+          op.items.push(files.wireToItem(m, sender.schema().enums));
+          progress(op.items.length, op.count);
+          return requestNextItem();
+        }
+      }
+    }
+
+    function requestNextItem() {
+      if (op.items.length < op.count) {
+        return request("MISSION_REQUEST_INT", { ...target(), seq: op.items.length }, true);
+      }
+      clearTimeout(op.timer);
+      transmit("MISSION_ACK", { ...target(), type: MAV_MISSION_ACCEPTED });
+      const items = op.items;
+      const format = op.format;
+      const enums = sender.schema().enums;
+      succeed(format === "wpl" ? files.toWpl(items, enums)
+        : format === "plan" ? files.toPlan(items, enums, { firmwareType: op.firmwareType }) : items);
+    }
+
+    function firmwareType(msg, enums) {
+      const fw = msg.firmware ?? node.firmware;
+      return fw === "" ? undefined : helpers.enumValueFor(enums, "MAV_AUTOPILOT", fw);
+    }
+
+    // Mission items from msg.payload: an array of items, or .plan / WPL text.
+    function itemsFrom(payload, enums, firmwareType) {
+      if (Array.isArray(payload)) return payload;
+      if (Buffer.isBuffer(payload)) payload = payload.toString("utf8");
+      if (payload && typeof payload === "object" && payload.fileType === "Plan") return files.parsePlan(payload, enums, { firmwareType });
+      const fmt = files.detectFormat(payload);
+      if (fmt === "wpl") return files.parseWpl(payload, enums);
+      if (fmt === "plan") return files.parsePlan(payload, enums, { firmwareType });
+      throw new Error("msg.payload must be a mission item array, .plan or QGC WPL 110 text");
+    }
+
+    function start(msg, send, done) {
+      const schema = sender.schema();
+      const operation = msg.operation || msg.topic;
+      const enums = schema.enums;
+      const fwType = firmwareType(msg, enums);
+
+      // File conversions answer immediately.
+      if (operation === "import") {
+        msg.payload = itemsFrom(msg.payload, enums, fwType);
+        send([null, msg, null]);
+        return done();
+      }
+      if (operation === "export") {
+        const items = itemsFrom(msg.payload, enums, fwType);
+        msg.payload = msg.format === "plan" ? files.toPlan(items, enums, { firmwareType: fwType }) : files.toWpl(items, enums);
+        send([null, msg, null]);
+        return done();
+      }
+      if (!["upload", "download", "clear"].includes(operation)) {
+        throw new Error(`Unknown operation "${operation}" (use upload, download, clear, import or export)`);
+      }
+      if (op) throw new Error(`Mission ${op.operation} already in progress`);
+
+      op = {
+        operation, msg, send, done, retriesLeft: node.retries,
+        targetSystem: Number(msg.targetSystem ?? node.targetSystem),
+        targetComponent: Number(msg.targetComponent ?? node.targetComponent),
+        missionType: helpers.enumValueFor(enums, "MAV_MISSION_TYPE", msg.missionType ?? node.missionType),
+        format: msg.format, firmwareType: fwType
+      };
+      try {
+        if (operation === "upload") {
+          op.items = itemsFrom(msg.payload, enums, fwType);
+          op.wire = op.items.map((it, i) => files.itemToWire(it, enums, i));
+          op.sent = 0;
+          request("MISSION_COUNT", { ...target(), count: op.items.length }, true);
+          progress(0, op.items.length);
+        } else if (operation === "download") {
+          op.items = [];
+          op.count = null;
+          request("MISSION_REQUEST_LIST", target(), true);
+        } else {
+          request("MISSION_CLEAR_ALL", target(), true);
+          node.status({ fill: "blue", shape: "ring", text: "clear" });
+        }
+      } catch (e) {
+        clearTimeout(op.timer);
+        op = null;
+        throw e;
+      }
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        // Traffic from mavlink-parse or mavlink-io; a Buffer with msg.operation is file content
+        if ((msg.mavlink && msg.mavlink.msgid !== undefined) || (Buffer.isBuffer(msg.payload) && !msg.operation)) {
+          for (const m of sender.received(msg, MISSION_MESSAGES)) onMissionMessage(m.name, m.sysid, m.compid, m.fields);
+          return done();
+        }
+        // Anything else starts an operation; done() is called once it completes.
+        start(msg, send, done);
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    node.on("close", (done) => {
+      if (op) {
+        clearTimeout(op.timer);
+        op.done(new Error(`Mission ${op.operation} stopped: node closed`));
+      }
+      op = null;
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-mission", MavlinkMissionNode);
+};
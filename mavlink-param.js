@@ -0,0 +1,312 @@
+module.exports = function(RED) {
+  const helpers = require("./lib/mavlink-helpers");
+  const files = require("./lib/mavlink-param-files");
+  const { createSender } = require("./lib/mavlink-sender");
+
+  const MISSING_BATCH = 20; // PARAM_REQUEST_READs per re-request round
+
+  function MavlinkParamNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.sysid = Number(config.sysid || 255);
+    node.compid = Number(config.compid || 190);
+    node.protocolVersion = String(config.protocolVersion || "2");
+    node.targetSystem = Number(config.targetSystem ?? 1);
+    node.targetComponent = Number(config.targetComponent ?? 1);
+    node.encoding = config.encoding || "cast"; // "cast" (ArduPilot) or "bytewise" (PX4)
+    node.timeout = Number(config.timeout || 1.5); // s of silence before re-requesting
+    node.retries = Number(config.retries ?? 5);   // re-requests without progress
+
+    const sender = createSender(node, "mavlink/param");
+    let op = null; // the single operation in progress
+    // "sysid/compid" -> { count, params: Map(name -> { value, type, index }) }
+    const cache = new Map();
+
+    function cacheFor(sysid, compid) {
+      const key = `${sysid}/${compid}`;
+      if (!cache.has(key)) cache.set(key, { count: null, params: new Map() });
+      return cache.get(key);
+    }
+
+    function cachedValues(entry) {
+      const out = {};
+      for (const [name, p] of entry.params) out[name] = p.value;
+      return out;
+    }
+
+    function cachedTypes(entry) {
+      const out = {};
+      for (const [name, p] of entry.params) out[name] = p.type;
+      return out;
+    }
+
+    function transmit(name, fields) {
+      op.send([sender.message(name, fields), null, null]);
+    }
+
+    function target() {
+      return { target_system: op.targetSystem, target_component: op.targetComponent };
+    }
+
+    function arm() {
+      clearTimeout(op.timer);
+      op.timer = setTimeout(onTimeout, node.timeout * 1000);
+    }
+
+    function progress(current, total) {
+      const percent = total ? Math.round(current * 100 / total) : 100;
+      node.status({ fill: "blue", shape: "ring", text: `${op.operation} ${current}/${total}` });
+      if (percent === op.lastPercent) return;
+      op.lastPercent = percent;
+      op.send([null, null, { topic: "param/progress", payload: { operation: op.operation, current, total, percent } }]);
+    }
+
+    function end(payload) {
+      const o = op;
+      clearTimeout(o.timer);
+      op = null;
+      o.msg.payload = payload;
+      o.send([null, o.msg, null]);
+      o.done();
+    }
+
+    function fail(error, extra) {
+      node.status({ fill: "red", shape: "dot", text: `${op.operation} failed` });
+      end({ operation: op.operation, ok: false, error, ...extra });
+    }
+
+    function succeed(payload) {
+      node.status({ fill: "green", shape: "dot", text: `${op.operation} ok` });
+      end(payload);
+    }
+
+    // ---- fetch: PARAM_REQUEST_LIST, then PARAM_REQUEST_READ for indices that went missing
+
+    function requestMissing() {
+      const missing = [];
+      for (let i = 0; i < op.count && missing.length < MISSING_BATCH; i++) {
+        if (!op.received.has(i)) missing.push(i);
+      }
+      missing.forEach(i => transmit("PARAM_REQUEST_READ", { ...target(), param_id: "", param_index: i }));
+    }
+
+    function onFetchValue(m, entry) {
+      if (op.count == null) op.count = m.param_count;
+      if (m.param_index >= op.count || op.received.has(m.param_index)) return;
+      op.received.add(m.param_index);
+      op.retriesLeft = node.retries;
+      progress(op.received.size, op.count);
+      if (op.received.size < op.count) return arm();
+
+      const params = cachedValues(entry);
+      const format = op.format;
+      succeed(format ? files.toParamFile(params, {
+        format, sysid: op.targetSystem, compid: op.targetComponent, types: cachedTypes(entry)
+      }) : params);
+    }
+
+    // ---- get / set: one step per parameter, in order
+
+    function nextStep() {
+      const step = op.steps[op.stepIndex];
+      if (!step) return finishSteps();
+      op.retriesLeft = node.retries;
+      sendStep(step);
+    }
+
+    function sendStep(step) {
+      if (step.set && step.type == null) {
+        const known = cacheFor(op.targetSystem, op.targetComponent).params.get(step.name);
+        if (known) step.type = known.type;
+      }
+      if (step.set && step.type != null) {
+        transmit("PARAM_SET", { ...target(), param_id: step.name,
+          param_value: files.encodeParamValue(step.value, step.type, node.encoding), param_type: step.type });
+      } else {
+        // get, or a set whose type has to be read first
+        transmit("PARAM_REQUEST_READ", { ...target(), param_id: step.name, param_index: -1 });
+      }
+      arm();
+    }
+
+    function onStepValue(name, value, type) {
+      const step = op.steps[op.stepIndex];
+      if (!step || step.name !== name) return;
+      if (step.set && step.type == null) {
+        // Type learned: now send the actual PARAM_SET.
+        step.type = type;
+        return sendStep(step);
+      }
+      if (step.set && !files.paramValuesEqual(step.value, value, type)) {
+        op.failed.push({ name, requested: step.value, actual: value });
+      }
+      op.results[name] = value;
+      op.stepIndex++;
+      progress(op.stepIndex, op.steps.length);
+      nextStep();
+    }
+
+    function finishSteps() {
+      if (op.operation === "get") {
+        if (op.failed.length) {
+          return fail(`No PARAM_VALUE for ${op.failed.map(f => f.name).join(", ")}`, { params: op.results, failed: op.failed });
+        }
+        return succeed(op.results);
+      }
+      const ok = !op.failed.length;
+      const result = { operation: "set", ok, count: op.steps.length, params: op.results, failed: op.failed };
+      if (!ok) result.error = `${op.failed.length} of ${op.steps.length} parameter(s) not set`;
+      node.status(ok ? { fill: "green", shape: "dot", text: "set ok" } : { fill: "red", shape: "dot", text: "set failed" });
+      end(result);
+    }
+
+    function onTimeout() {
+      if (!op) return;
+      try {
+        if (op.operation === "fetch") {
+          if (op.retriesLeft-- <= 0) {
+            return fail(op.count == null ? "No PARAM_VALUE received"
+              : `Received ${op.received.size} of ${op.count} parameters`);
+          }
+          if (op.count == null) transmit("PARAM_REQUEST_LIST", target());
+          else requestMissing();
+          return arm();
+        }
+        const step = op.steps[op.stepIndex];
+        if (op.retriesLeft-- > 0) return sendStep(step);
+        op.failed.push({ name: step.name, error: "No PARAM_VALUE" });
+        op.stepIndex++;
+        nextStep();
+      } catch (e) { fail(e.message); }
+    }
+
+    function onParamValue(sysid, compid, m) {
+      const name = m.param_id;
+      const type = m.param_type;
+      const value = files.decodeParamValue(m.param_value, type, node.encoding);
+      const entry = cacheFor(sysid, compid);
+      entry.count = m.param_count;
+      entry.params.set(name, { value, type, index: m.param_index });
+
+      if (!op || sysid !== op.targetSystem) return;
+      if (op.targetComponent && compid !== op.targetComponent) return;
+      if (op.operation === "fetch") onFetchValue(m, entry);
+      else onStepValue(name, value, type);
+    }
+
+    // Parameters from msg.payload: { NAME: value }, [{ name, value, type? }],
+    // { name, value } or parameter file text.
+    function paramsFrom(payload) {
+      if (Buffer.isBuffer(payload)) payload = payload.toString("utf8");
+      if (typeof payload === "string") return files.parseParamFile(payload);
+      if (Array.isArray(payload)) return payload;
+      if (payload && typeof payload === "object") {
+        if (typeof payload.name === "string" && "value" in payload) return [payload];
+        return Object.keys(payload).map(name => ({ name, value: payload[name] }));
+      }
+      throw new Error("msg.payload must be a parameter object, array or file text");
+    }
+
+    function namesFrom(msg) {
+      const p = msg.param ?? msg.payload;
+      if (typeof p === "string" && p) return [p];
+      if (Array.isArray(p) && p.length) return p.map(String);
+      throw new Error("get needs a parameter name (or array of names) in msg.param or msg.payload");
+    }
+
+    function start(msg, send, done) {
+      const operation = msg.operation || msg.topic;
+      const targetSystem = Number(msg.targetSystem ?? node.targetSystem);
+      const targetComponent = Number(msg.targetComponent ?? node.targetComponent);
+      const entry = cacheFor(targetSystem, targetComponent);
+
+      // Answered from the cache or the payload, without traffic.
+      if (operation === "cache") {
+        msg.payload = cachedValues(entry);
+        send([null, msg, null]);
+        return done();
+      }
+      if (operation === "import") {
+        const list = paramsFrom(msg.payload);
+        msg.payload = {};
+        list.forEach(p => { msg.payload[p.name] = p.value; });
+        // Differences against the cached vehicle values, if there are any.
+        if (entry.params.size) {
+          msg.diff = list
+            .filter(p => !entry.params.has(p.name)
+              || !files.paramValuesEqual(p.value, entry.params.get(p.name).value, entry.params.get(p.name).type))
+            .map(p => ({ name: p.name, value: p.value, current: entry.params.get(p.name)?.value }));
+        }
+        send([null, msg, null]);
+        return done();
+      }
+      if (operation === "export") {
+        const params = (msg.payload && typeof msg.payload === "object" && !Buffer.isBuffer(msg.payload))
+          ? msg.payload : cachedValues(entry);
+        msg.payload = files.toParamFile(params, { format: msg.format, sysid: targetSystem, compid: targetComponent,
+          types: cachedTypes(entry) });
+        send([null, msg, null]);
+        return done();
+      }
+      if (!["fetch", "get", "set"].includes(operation)) {
+        throw new Error(`Unknown operation "${operation}" (use fetch, get, set, cache, import or export)`);
+      }
+      if (op) throw new Error(`Parameter ${op.operation} already in progress`);
+      sender.schema();
+
+      op = { operation, msg, send, done, targetSystem, targetComponent, retriesLeft: node.retries, format: msg.format };
+      try {
+        if (operation === "fetch") {
+          cache.delete(`${targetSystem}/${targetComponent}`);
+          op.received = new Set();
+          op.count = null;
+          transmit("PARAM_REQUEST_LIST", target());
+          arm();
+          node.status({ fill: "blue", shape: "ring", text: "fetch" });
+        } else {
+          const steps = operation === "get"
+            ? namesFrom(msg).map(name => ({ name }))
+            : paramsFrom(msg.payload).map(p => ({ name: p.name, value: p.value, type: p.type, set: true }));
+          if (!steps.length) throw new Error(`Nothing to ${operation}`);
+          steps.forEach(s => {
+            if (s.set && s.type != null) s.type = helpers.enumValueFor(sender.schema().enums, "MAV_PARAM_TYPE", s.type);
+          });
+          Object.assign(op, { steps, stepIndex: 0, results: {}, failed: [] });
+          nextStep();
+        }
+      } catch (e) {
+        clearTimeout(op.timer);
+        op = null;
+        throw e;
+      }
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        // Traffic from mavlink-parse or mavlink-io (a Buffer with msg.operation
+        // is file content): only PARAM_VALUE is of interest
+        if ((msg.mavlink && msg.mavlink.msgid !== undefined) || (Buffer.isBuffer(msg.payload) && !msg.operation)) {
+          for (const m of sender.received(msg, ["PARAM_VALUE"])) onParamValue(m.sysid, m.compid, m.fields);
+          return done();
+        }
+        // Anything else starts an operation; done() is called once it completes.
+        start(msg, send, done);
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    node.on("close", (done) => {
+      if (op) {
+        clearTimeout(op.timer);
+        op.done(new Error(`Parameter ${op.operation} stopped: node closed`));
+      }
+      op = null;
+      cache.clear();
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-param", MavlinkParamNode);
+};
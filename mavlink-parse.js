@@ -1,5 +1,6 @@
 module.exports = function(RED) {
-  const { scanFramesV2, crcX25, crcAccumulate } = require("./lib/mavlink-helpers");
+  const helpers = require("./lib/mavlink-helpers");
+  const { scanFrames, parseFrameHeader, checkFrameCrc, verifySignature } = helpers;
 
   function MavlinkParseNode(config) {
     RED.nodes.createNode(this, config);
@@ -10,42 +11,109 @@ module.exports = function(RED) {
       node.error("mavlink-parse: schema config missing");
       return;
     }
-    const messages = node.schemaCfg.getMessages();
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.dropInvalidSignature = config.dropInvalidSignature !== false;
+    node.decodeEnums = config.decodeEnums === true;
+    node.units = config.units || ""; // "" | "attach" | "scale"
+
+    // Filters: empty allow list = everything; deny wins over allow.
+    const list = (v) => String(v || "").split(/[\s,]+/).filter(Boolean);
+    const numList = (v) => list(v).map(Number);
+    const filters = {
+      allowMessages: new Set(list(config.allowMessages)), denyMessages: new Set(list(config.denyMessages)),
+      allowSysids: new Set(numList(config.allowSysids)), denySysids: new Set(numList(config.denySysids)),
+      allowCompids: new Set(numList(config.allowCompids)), denyCompids: new Set(numList(config.denyCompids))
+    };
+    const passes = (set, deny, v) => !deny.has(v) && (!set.size || set.has(v));
+    function accepted(name, sysid, compid) {
+      return passes(filters.allowMessages, filters.denyMessages, name) &&
+        passes(filters.allowSysids, filters.denySysids, sysid) &&
+        passes(filters.allowCompids, filters.denyCompids, compid);
+    }
+
+    // Throttling: "ATTITUDE=5, *=10" -> at most N Hz per message and sender,
+    // always delivering the latest sample.
+    const rates = new Map(list(config.throttle).map(e => e.split("=")).map(([n, hz]) => [n, Number(hz)]));
+    const throttled = new Map(); // "name/sysid/compid" -> { last, pending, timer }
+
+    // Multi-output: one port per listed message name, plus one for everything else.
+    node.outputMessages = String(config.outputMessages || "").split(/[\r\n,]+/).map(s => s.trim()).filter(Boolean);
+
+    function emit(out, send) {
+      if (!node.outputMessages.length) return send(out);
+      const ports = new Array(node.outputMessages.length + 1).fill(null);
+      const i = node.outputMessages.indexOf(out.mavlink.name);
+      ports[i < 0 ? node.outputMessages.length : i] = out;
+      send(ports);
+    }
+
+    function throttle(out, send) {
+      const name = out.mavlink.name;
+      const hz = rates.get(name) ?? rates.get("*");
+      if (!name || !(hz > 0)) return emit(out, send);
+      const key = `${name}/${out.mavlink.sysid}/${out.mavlink.compid}`;
+      const period = 1000 / hz;
+      const now = Date.now();
+      let t = throttled.get(key);
+      if (!t) { t = { last: 0, pending: null, timer: null }; throttled.set(key, t); }
+      if (!t.timer && now - t.last >= period) {
+        t.last = now;
+        return emit(out, send);
+      }
+      // Keep only the latest sample; send it when the period is over.
+      t.pending = out;
+      if (!t.timer) {
+        t.timer = setTimeout(() => {
+          t.timer = null;
+          t.last = Date.now();
+          const pending = t.pending;
+          t.pending = null;
+          if (pending) emit(pending, node.send.bind(node));
+        }, Math.max(0, t.last + period - now));
+      }
+    }
 
     node.on("input", (msg, send, done) => {
       try {
         const buf = Buffer.isBuffer(msg.payload) ? msg.payload : Buffer.from(msg.payload);
-        for (const f of scanFramesV2(buf)) {
-          const frame = f.frameBuf;
-          const len = frame[1];
-          const incompatFlags = frame[2], compatFlags = frame[3];
-          const seq = frame[4], sysid = frame[5], compid = frame[6];
-          const msgid = frame[7] | (frame[8]<<8) | (frame[9]<<16);
-          const payload = frame.subarray(10, 10+len);
-          const crcRx = frame.readUInt16LE(10+len);
+        // Frames that fail the CRC are passed on with mavlink.checksumOk false.
+        for (const f of scanFrames(buf)) {
+          // Own copy, so outputs don't pin (or share) the whole input buffer
+          const frame = Buffer.from(f.frameBuf);
+          const hdr = parseFrameHeader(frame);
+          const { version, incompatFlags, compatFlags, seq, sysid, compid, msgid, payload, signed } = hdr;
+
+          let signatureOk;
+          if (node.signingCfg) {
+            signatureOk = !!signed && !!node.signingCfg.key && verifySignature(frame, node.signingCfg.key) &&
+              node.signingCfg.acceptTimestamp(sysid, compid, hdr.linkId, hdr.timestamp);
+            const signatureAccepted = signatureOk || (!signed && node.signingCfg.allowUnsigned);
+            if (!signatureAccepted && node.dropInvalidSignature) continue;
+          }
 
           // Try to find message definition
-          const msgDef = Object.values(messages).find(m => m.id === msgid);
+          const entry = node.schemaCfg.getMessageById(msgid);
+          const msgDef = entry?.def;
+          const name = entry?.name;
+          if (!accepted(name, sysid, compid)) continue;
           let checksumOk = false;
-          if (msgDef) {
-            const crcData = Buffer.concat([ frame.subarray(1,10), payload ]);
-            let crc = crcX25(crcData);
-            crc = crcAccumulate(msgDef.crc & 0xff, crc);
-            checksumOk = (crc === crcRx);
-          }
+          if (msgDef) checksumOk = checkFrameCrc(frame, msgDef.crc);
 
           const out = {
             _raw: frame,
             payloadRaw: payload,
-            mavlink: { msgid, seq, sysid, compid, incompatFlags, compatFlags, checksumOk }
+            mavlink: { version, msgid, seq, sysid, compid, incompatFlags, compatFlags, checksumOk, signed: !!signed }
           };
+          if (node.signingCfg) out.mavlink.signatureOk = signatureOk;
+          if (signed && hdr.linkId !== undefined) { out.mavlink.linkId = hdr.linkId; out.mavlink.timestamp = hdr.timestamp; }
 
           if (msgDef && checksumOk) {
             // Decode payload using schema
-            const helpers = require("./lib/mavlink-helpers");
             try {
-              const obj = helpers.unpackPayload(msgDef, payload);
-              out.mavlink.name = Object.keys(messages).find(n => messages[n].id === msgid);
+              let obj = helpers.unpackPayload(msgDef, payload);
+              out.mavlink.name = name;
+              if (node.units) out.mavlink.units = helpers.applyUnits(msgDef, obj, node.units === "scale");
+              if (node.decodeEnums) obj = helpers.decodeEnumFields(msgDef, obj, node.schemaCfg.getEnums());
               out.payload = obj; // NOTE: we override payload with parsed object
             } catch (e) {
               out.payload = payload; // fall back
@@ -54,11 +122,16 @@ module.exports = function(RED) {
             out.payload = payload; // unknown/failed
           }
 
-          send(RED.util.cloneMessage(out));
+          throttle(out, send); // built fresh per frame, so no clone needed
         }
         done();
       } catch (e) { node.error(e, msg); done(e); }
     });
+
+    node.on("close", () => {
+      for (const t of throttled.values()) clearTimeout(t.timer);
+      throttled.clear();
+    });
   }
 
   RED.nodes.registerType("mavlink-parse", MavlinkParseNode);
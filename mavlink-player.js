@@ -0,0 +1,214 @@
+module.exports = function(RED) {
+  const fs = require("fs");
+  const path = require("path");
+  const { scanFrames, parseFrameHeader } = require("./lib/mavlink-helpers");
+  const logs = require("./lib/mavlink-log-files");
+
+  const BATCH = 500;      // frames per tick when playing as fast as possible
+  const MAX_WAIT = 1000;  // ms; long gaps are waited out in steps so pause/seek stay responsive
+
+  function MavlinkPlayerNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.filename = config.filename || "";
+    node.format = config.format || "auto"; // "auto" | "tlog" | "pcap"
+    node.udpPort = Number(config.udpPort || 0); // pcap: only datagrams from/to this port
+    node.speed = Number(config.speed ?? 1);    // 1 = real time, 0 = as fast as possible
+    node.loop = config.loop === true;
+
+    let log = null;      // { filename, entries: [{ time (us), frame }] }
+    let pos = 0;         // next entry
+    let playing = false;
+    let speed = node.speed;
+    let anchorWall = 0;  // Date.now() when playback was (re)anchored ...
+    let anchorLog = 0;   // ... and the log time (us) at that moment
+    let timer = null;
+    let closed = false;  // loads still reading when the node closes are dropped
+
+    const duration = () => log && log.entries.length ? (log.entries[log.entries.length - 1].time - log.entries[0].time) / 1e6 : 0;
+    const position = () => {
+      if (!log || !log.entries.length) return 0;
+      const e = log.entries[Math.min(pos, log.entries.length - 1)];
+      return (e.time - log.entries[0].time) / 1e6;
+    };
+
+    function showStatus() {
+      if (!log) return node.status({ fill: "grey", shape: "ring", text: "no log" });
+      const state = playing ? "playing" : (pos >= log.entries.length ? "ended" : "paused");
+      const rate = speed > 0 ? `×${speed}` : "max";
+      node.status({ fill: playing ? "green" : "grey", shape: playing ? "dot" : "ring",
+        text: `${state} ${position().toFixed(1)}/${duration().toFixed(1)} s ${rate}` });
+    }
+
+    function event(name, extra) {
+      node.send([null, null, { topic: "mavlink/player", payload: {
+        event: name, filename: log?.filename, position: position(), duration: duration(),
+        index: pos, frames: log ? log.entries.length : 0, speed, ...extra
+      } }]);
+    }
+
+    // Resolves with false if the node was closed while reading.
+    async function load(filename) {
+      if (!filename) throw new Error("No log file configured");
+      const buf = await fs.promises.readFile(filename);
+      if (closed) return false;
+      const format = node.format === "auto" ? logs.detectLogFormat(buf) : node.format;
+      let entries;
+      if (format === "pcap") {
+        // One entry per frame; frames of one datagram share its timestamp.
+        entries = [];
+        for (const r of logs.parsePcap(buf, { port: node.udpPort }).records) {
+          for (const f of scanFrames(r.payload)) entries.push({ time: r.time, frame: f.frameBuf });
+        }
+      } else {
+        entries = logs.parseTlog(buf).records;
+      }
+      if (!entries.length) throw new Error(`No MAVLink frames in ${path.basename(filename)}`);
+      log = { filename, format, entries };
+      pos = 0;
+      event("loaded", { format });
+      return true;
+    }
+
+    function speedFrom(v, what) {
+      const s = Number(v);
+      if (v === null || v === "" || Number.isNaN(s) || s < 0) throw new Error(`speed needs a multiplier >= 0 in ${what}`);
+      return s;
+    }
+
+    function anchor() {
+      anchorWall = Date.now();
+      anchorLog = log.entries[Math.min(pos, log.entries.length - 1)].time;
+    }
+
+    function emit(entry) {
+      const frame = entry.frame;
+      const msg = { topic: "mavlink/raw", payload: Buffer.from(frame), timestamp: Math.floor(entry.time / 1000) };
+      if (parseFrameHeader(frame).msgid === 0) node.send([msg, null, null]);
+      else node.send([null, msg, null]);
+    }
+
+    function finish() {
+      if (node.loop) {
+        pos = 0;
+        anchor();
+        event("loop");
+        return schedule();
+      }
+      playing = false;
+      showStatus();
+      event("end");
+    }
+
+    function schedule() {
+      clearTimeout(timer);
+      timer = null;
+      if (!playing) return;
+      const entries = log.entries;
+      if (speed > 0) {
+        const logNow = anchorLog + (Date.now() - anchorWall) * 1000 * speed;
+        while (pos < entries.length && entries[pos].time <= logNow) emit(entries[pos++]);
+        if (pos >= entries.length) return finish();
+        const wait = (entries[pos].time - logNow) / 1000 / speed;
+        timer = setTimeout(schedule, Math.min(Math.max(wait, 0), MAX_WAIT));
+      } else {
+        const end = Math.min(pos + BATCH, entries.length);
+        while (pos < end) emit(entries[pos++]);
+        if (pos >= entries.length) return finish();
+        timer = setTimeout(schedule, 0);
+      }
+      showStatus();
+    }
+
+    function play() {
+      if (pos >= log.entries.length) pos = 0;
+      playing = true;
+      anchor();
+      schedule();
+    }
+
+    function pause() {
+      playing = false;
+      clearTimeout(timer);
+      timer = null;
+      showStatus();
+    }
+
+    // Position by seconds from the start of the log.
+    function seek(seconds) {
+      const s = Number(seconds);
+      if (Number.isNaN(s)) throw new Error("seek needs msg.payload in seconds from the start of the log");
+      const target = log.entries[0].time + Math.max(0, s) * 1e6;
+      let lo = 0, hi = log.entries.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (log.entries[mid].time < target) lo = mid + 1; else hi = mid;
+      }
+      pos = lo;
+      if (playing) { anchor(); schedule(); } else showStatus();
+    }
+
+    node.on("input", (msg, send, done) => {
+      const control = msg.control;
+      (async () => {
+        switch (control) {
+          case "play": {
+            if (msg.speed !== undefined) speed = speedFrom(msg.speed, "msg.speed");
+            const filename = msg.filename || node.filename;
+            if (!log || log.filename !== filename) {
+              pause();
+              if (!await load(filename)) return;
+            }
+            play();
+            event("play");
+            break;
+          }
+          case "pause":
+            pause();
+            event("pause");
+            break;
+          case "resume":
+            if (!log) throw new Error("Nothing to resume; send play first");
+            play();
+            event("resume");
+            break;
+          case "stop":
+            pause();
+            pos = 0;
+            showStatus();
+            event("stop");
+            break;
+          case "seek":
+            if (!log && !await load(msg.filename || node.filename)) return;
+            seek(msg.payload);
+            event("seek");
+            break;
+          case "speed":
+            speed = speedFrom(msg.payload, "msg.payload");
+            if (playing) { anchor(); schedule(); } else showStatus();
+            event("speed");
+            break;
+          default:
+            throw new Error(`Unknown control "${control}" (use play, pause, resume, stop, seek or speed)`);
+        }
+      })().then(() => done(), (e) => { node.status({fill:"red",shape:"dot",text:e.message}); done(e); });
+    });
+
+    node.on("close", (done) => {
+      closed = true;
+      pause();
+      log = null;
+      done();
+    });
+
+    if (config.autoStart === true && node.filename) {
+      load(node.filename).then((loaded) => { if (loaded) { play(); event("play"); } })
+        .catch(e => { if (!closed) { node.status({fill:"red",shape:"dot",text:e.message}); node.error(e); } });
+    } else {
+      showStatus();
+    }
+  }
+
+  RED.nodes.registerType("mavlink-player", MavlinkPlayerNode);
+};
@@ -0,0 +1,140 @@
+module.exports = function(RED) {
+  const fs = require("fs");
+  const path = require("path");
+  const mkdirp = require("mkdirp");
+  const { scanFrames } = require("./lib/mavlink-helpers");
+  const { tlogRecord } = require("./lib/mavlink-log-files");
+
+  // Bytes held back while a file is opening or the disk is behind; frames
+  // beyond this are dropped (and counted) rather than buffered without bound.
+  const MAX_QUEUED = 16 * 1024 * 1024;
+
+  function MavlinkRecorderNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.filename = config.filename || "";
+    node.append = config.append === true;
+    node.autoStart = config.autoStart !== false;
+
+    // { filename, stream, ready, queue, queued, frames, bytes, dropped, started };
+    // records are queued while the stream is not ready (opening or draining).
+    let rec = null;
+    let statusTimer = null;
+
+    function showStatus() {
+      node.status(rec
+        ? { fill: "red", shape: "dot", text: `rec ${path.basename(rec.filename)} • ${rec.frames} frames` }
+        : { fill: "grey", shape: "ring", text: "stopped" });
+    }
+
+    // A new recording takes frames at once; its file is opened by open().
+    function begin(filename) {
+      if (!filename) throw new Error("No filename configured");
+      rec = { filename, stream: null, ready: false, queue: [], queued: 0, frames: 0, bytes: 0, dropped: 0, started: Date.now() };
+      statusTimer = statusTimer || setInterval(showStatus, 1000);
+      showStatus();
+      return rec;
+    }
+
+    function failed(r, e) {
+      node.error(`Recording to ${r.filename} failed: ${e.message}`);
+      node.status({ fill: "red", shape: "ring", text: e.message });
+      if (rec === r) rec = null;
+    }
+
+    // Returns false (after reporting why) if the file cannot be created.
+    function open(r) {
+      try { mkdirp.sync(path.dirname(path.resolve(r.filename))); } catch (e) { failed(r, e); return false; }
+      const stream = r.stream = fs.createWriteStream(r.filename, { flags: node.append ? "a" : "w" });
+      const resume = () => { r.ready = true; flush(r); };
+      stream.on("open", resume);
+      stream.on("drain", resume);
+      stream.on("error", (e) => failed(r, e));
+      return true;
+    }
+
+    function flush(r) {
+      while (r.ready && r.queue.length) {
+        const record = r.queue.shift();
+        r.queued -= record.length;
+        if (!r.stream.write(record)) r.ready = false;
+      }
+    }
+
+    function write(r, record) {
+      if (r.ready && !r.queue.length) {
+        if (!r.stream.write(record)) r.ready = false;
+      } else if (r.queued + record.length <= MAX_QUEUED) {
+        r.queue.push(record);
+        r.queued += record.length;
+      } else {
+        r.dropped++;
+        return;
+      }
+      r.frames++;
+      r.bytes += record.length;
+    }
+
+    // Writes what is still queued and closes the file; resolves with the summary.
+    function finish(r) {
+      if (!r || (!r.stream && !open(r))) return Promise.resolve(null);
+      for (const record of r.queue) r.stream.write(record);
+      r.queue = [];
+      r.queued = 0;
+      return new Promise(resolve => r.stream.end(() => resolve({
+        filename: r.filename, frames: r.frames, bytes: r.bytes, dropped: r.dropped, started: r.started, stopped: Date.now()
+      })));
+    }
+
+    function start(filename) {
+      open(begin(filename));
+    }
+
+    // Ends the recording; resolves with its summary once the file is flushed.
+    function stop() {
+      const r = rec;
+      rec = null;
+      clearInterval(statusTimer);
+      statusTimer = null;
+      showStatus();
+      return finish(r);
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        if (msg.control === "start") {
+          // Frames arriving while the previous file is closed are queued for the new one.
+          const prev = rec;
+          const next = begin(msg.filename || node.filename);
+          finish(prev).then(() => { if (!next.stream) open(next); done(); }).catch(done);
+          return;
+        }
+        if (msg.control === "stop") {
+          stop().then(summary => {
+            if (summary) send({ topic: "mavlink/recording", payload: summary });
+            done();
+          }).catch(done);
+          return;
+        }
+        if (!Buffer.isBuffer(msg.payload)) throw new Error("msg.payload must be a Buffer of MAVLink frames");
+        if (!rec) return done();
+        const timeUs = Date.now() * 1000;
+        for (const f of scanFrames(msg.payload)) write(rec, tlogRecord(f.frameBuf, timeUs));
+        done();
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    node.on("close", (done) => {
+      stop().then(() => done(), () => done());
+    });
+
+    if (node.autoStart && node.filename) {
+      try { start(node.filename); } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); node.error(e); }
+    } else {
+      showStatus();
+    }
+  }
+
+  RED.nodes.registerType("mavlink-recorder", MavlinkRecorderNode);
+};
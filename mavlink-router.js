@@ -0,0 +1,79 @@
+module.exports = function(RED) {
+  const { scanFrames, parseFrameHeader, unpackPayload } = require("./lib/mavlink-helpers");
+
+  function MavlinkRouterNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    // One output per link, in the configured order.
+    node.links = String(config.links || "").split(/[\r\n,]+/).map(s => s.trim()).filter(Boolean);
+    node.linkProperty = config.linkProperty || "link";
+    const crcExtraFor = (msgid) => node.schemaCfg?.getMessageById(msgid)?.crc;
+
+    // "sysid/compid" -> Set of link names the component was seen on.
+    const routes = new Map();
+
+    function learn(link, sysid, compid) {
+      const key = `${sysid}/${compid}`;
+      if (!routes.has(key)) {
+        routes.set(key, new Set());
+        node.status({ fill: "green", shape: "dot", text: `${routes.size} component(s)` });
+      }
+      routes.get(key).add(link);
+    }
+
+    // Links on which the target was seen; component 0 addresses every
+    // component of the system. Unknown targets resolve to no link.
+    function linksFor(targetSystem, targetComponent) {
+      const out = new Set();
+      const exact = targetComponent ? routes.get(`${targetSystem}/${targetComponent}`) : null;
+      if (exact) {
+        for (const l of exact) out.add(l);
+        return out;
+      }
+      for (const [key, links] of routes) {
+        if (key.startsWith(`${targetSystem}/`)) for (const l of links) out.add(l);
+      }
+      return out;
+    }
+
+    function targetOf(hdr) {
+      const def = node.schemaCfg?.getMessageById(hdr.msgid)?.def;
+      if (!def || !def.fields.some(f => f.name === "target_system")) return null;
+      const obj = unpackPayload(def, hdr.payload);
+      return { system: obj.target_system || 0, component: obj.target_component || 0 };
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        const source = RED.util.getMessageProperty(msg, node.linkProperty);
+        const srcIndex = typeof source === "number" ? source : node.links.indexOf(source);
+        if (srcIndex < 0 || srcIndex >= node.links.length) throw new Error(`Unknown source link "${source}"`);
+        const srcLink = node.links[srcIndex];
+
+        const buf = Buffer.isBuffer(msg.payload) ? msg.payload : Buffer.from(msg.payload);
+        // Frames of known messages that fail the CRC are skipped by the scan,
+        // so corrupted bytes never teach a route or reach another link.
+        for (const f of scanFrames(buf, crcExtraFor)) {
+          const hdr = parseFrameHeader(f.frameBuf);
+          learn(srcLink, hdr.sysid, hdr.compid);
+
+          const target = targetOf(hdr);
+          const dest = (!target || target.system === 0)
+            ? new Set(node.links)
+            : linksFor(target.system, target.component);
+          dest.delete(srcLink); // never echo back to the source
+
+          const outputs = node.links.map(l => dest.has(l)
+            ? { topic: msg.topic, payload: Buffer.from(f.frameBuf), sourceLink: srcLink }
+            : null);
+          if (dest.size) send(outputs);
+        }
+        done();
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+  }
+
+  RED.nodes.registerType("mavlink-router", MavlinkRouterNode);
+};
@@ -4,43 +4,155 @@ module.exports = function(RED) {
   const { XMLParser } = require("fast-xml-parser");
   const mkdirp = require("mkdirp");
   const crypto = require("crypto");
+  const { computeCrcExtra, buildMessageIndex } = require("./lib/mavlink-helpers");
+  const { toJsonSchema, toTypeScript } = require("./lib/mavlink-schema-export");
+
+  // Bump when the cached schema layout changes so stale caches get rebuilt.
+  const SCHEMA_FORMAT = 5;
+
+  // Reference CRC_EXTRA values from the official common.xml, used to sanity
+  // check the computed values whenever a schema is built.
+  const KNOWN_CRC_EXTRA = {
+    HEARTBEAT: 50, SYS_STATUS: 124, SYSTEM_TIME: 137, PARAM_VALUE: 220,
+    PARAM_SET: 168, GPS_RAW_INT: 24, ATTITUDE: 39, GLOBAL_POSITION_INT: 104,
+    MISSION_ITEM_INT: 38, COMMAND_LONG: 152, COMMAND_ACK: 143
+  };
 
   function sha1(s) { return crypto.createHash("sha1").update(s).digest("hex"); }
 
+  const FIELD_TYPES = new Set(["char", "int8_t", "uint8_t", "int16_t", "uint16_t", "int32_t", "uint32_t",
+    "int64_t", "uint64_t", "float", "double"]);
+
+  // Element text: "<description>x</description>" parses to "x", or to { "#text": "x", ... } with attributes.
+  function text(v) {
+    if (v === undefined || v === null) return "";
+    return String(typeof v === "object" ? (v["#text"] ?? "") : v).trim();
+  }
+
+  // <deprecated since="2020-06" replaced_by="X">note</deprecated> -> { since, replacedBy, note }
+  function deprecation(v) {
+    if (v === undefined) return undefined;
+    return { since: v["@_since"] || "", replacedBy: v["@_replaced_by"] || "", note: text(v) };
+  }
+
+  // Entry values are decimal, hex (0x10), binary (0b101) or powers of two (2**4).
+  function parseEnumValue(raw) {
+    const s = String(raw).trim();
+    const pow = /^(\d+)\s*\*\*\s*(\d+)$/.exec(s);
+    if (pow) return Number(pow[1]) ** Number(pow[2]);
+    return s === "" ? NaN : Number(s);
+  }
+
+  const includesOf = (doc) => [].concat(doc.include || []).map(i => typeof i === "object" ? text(i) || i["@_file"] : String(i).trim()).filter(Boolean);
+
+  // Entry files plus everything they include, in load order (includes first).
+  // Includes are read like parseDialects reads them, element text or file attribute.
+  function resolveDialectFiles(entryXmlPaths) {
+    const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_" });
+    const files = [];
+    const seen = new Set();
+    function visit(absPath) {
+      const abs = path.resolve(absPath);
+      if (seen.has(abs)) return;
+      seen.add(abs);
+      const doc = parser.parse(fs.readFileSync(abs, "utf8")).mavlink;
+      for (const inc of doc ? includesOf(doc) : []) visit(path.resolve(path.dirname(abs), inc));
+      files.push(abs);
+    }
+    for (const p of entryXmlPaths) visit(p);
+    return files;
+  }
+
+  // Diagnostics are { level: "warning" | "error", code, file, name, message }.
   function parseDialects(entryXmlPaths) {
-    const parser = new XMLParser({ ignoreAttributes: false, attributeNamePrefix: "@_", allowBooleanAttributes: true });
+    // The object form loses element order, so fields that follow <extensions/>
+    // are tagged while parsing (tags are reported in document order).
+    let inExtensions = false;
+    const parser = new XMLParser({
+      ignoreAttributes: false, attributeNamePrefix: "@_", allowBooleanAttributes: true,
+      updateTag(tagName, jPath, attrs) {
+        if (tagName === "extensions") inExtensions = true;
+        else if (tagName === "message") inExtensions = false;
+        else if (tagName === "field" && inExtensions && attrs) attrs["@_extension"] = true;
+        return true;
+      }
+    });
     const seen = new Set();
-    const enumsMap = new Map();   // name -> [{key,value,comment,isBitmask}]
-    const msgsMap  = new Map();   // name -> {id, crc, fields: [...]}
+    const files = [];
+    const diagnostics = [];
+    const enumsMap = new Map();   // name -> [{key,value,comment,isBitmask,deprecated,wip}]
+    const enumInfo = new Map();   // name -> {description,bitmask,deprecated}
+    const enumSource = new Map(); // "ENUM/KEY" -> file
+    const msgsMap  = new Map();   // name -> {id, crc, fields: [...], description, deprecated, wip}
+    const msgSource = new Map();  // name -> file
+    const idOwner = new Map();    // msgid -> name
 
     function loadOne(absPath) {
       const abs = path.resolve(absPath);
       if (seen.has(abs)) return;
       seen.add(abs);
       const xml = fs.readFileSync(abs, "utf8");
+      inExtensions = false;
       const doc = parser.parse(xml).mavlink;
-
-      const includes = []
-        .concat(doc.include || [])
-        .map(i => path.resolve(path.dirname(abs), i["@_file"]))
-        .filter(Boolean);
+      if (!doc) throw new Error(`${path.basename(abs)} is not a MAVLink dialect (no <mavlink> root)`);
+      const file = path.basename(abs);
+      const report = (level, code, name, message) => diagnostics.push({ level, code, file, name, message });
 
       // Recurse includes first
-      for (const inc of includes) loadOne(inc);
+      for (const inc of includesOf(doc)) loadOne(path.resolve(path.dirname(abs), inc));
+      files.push(abs);
 
       // Enums
       const enums = doc.enums?.enum ? [].concat(doc.enums.enum) : [];
       for (const e of enums) {
         const name = e["@_name"];
         const isBitmask = (e["@_bitmask"] === true || e["@_bitmask"] === "true");
-        const entries = (e.entry ? [].concat(e.entry) : []).map(en => ({
-          key: en["@_name"],
-          value: Number(en["@_value"]),
-          comment: (en.description && (en.description["#text"] || en.description)) ? String(en.description["#text"] || en.description).trim() : "",
-          isBitmask
-        }));
-        if (!enumsMap.has(name)) enumsMap.set(name, entries);
-        else enumsMap.set(name, [...enumsMap.get(name), ...entries]);
+        const info = enumInfo.get(name) || { description: "", bitmask: false };
+        info.description = info.description || text(e.description);
+        info.bitmask = info.bitmask || isBitmask;
+        if (e.deprecated !== undefined) info.deprecated = deprecation(e.deprecated);
+        enumInfo.set(name, info);
+
+        const members = enumsMap.get(name) || [];
+        let next = members.length ? Math.max(...members.map(m => m.value)) + 1 : 0;
+        for (const en of (e.entry ? [].concat(e.entry) : [])) {
+          const key = en["@_name"];
+          let value;
+          if (en["@_value"] === undefined) {
+            value = next;
+            report("warning", "missing-enum-value", `${name}.${key}`, `${name}.${key} has no value; using ${value}`);
+          } else {
+            value = parseEnumValue(en["@_value"]);
+            if (!Number.isFinite(value)) {
+              report("error", "bad-enum-value", `${name}.${key}`, `${name}.${key}: cannot parse value "${en["@_value"]}"; entry skipped`);
+              continue;
+            }
+          }
+          next = value + 1;
+          const entry = { key, value, comment: text(en.description), isBitmask: info.bitmask };
+          if (en.deprecated !== undefined) entry.deprecated = deprecation(en.deprecated);
+          if (en.wip !== undefined) entry.wip = true;
+
+          const sameKey = members.findIndex(m => m.key === key);
+          if (sameKey >= 0) {
+            if (members[sameKey].value !== value) {
+              report("warning", "enum-key-conflict", `${name}.${key}`,
+                `${name}.${key} is ${value} here but ${members[sameKey].value} in ${enumSource.get(`${name}/${key}`)}; using ${value}`);
+            }
+            members[sameKey] = entry;
+          } else {
+            const sameValue = members.find(m => m.value === value);
+            if (sameValue) {
+              report("warning", "enum-value-conflict", `${name}.${key}`,
+                `${name}.${key} and ${name}.${sameValue.key} (${enumSource.get(`${name}/${sameValue.key}`)}) both have value ${value}`);
+            }
+            members.push(entry);
+          }
+          enumSource.set(`${name}/${key}`, file);
+        }
+        // bitmask="true" may be given by only one of the files that extend the enum
+        for (const m of members) m.isBitmask = info.bitmask;
+        enumsMap.set(name, members);
       }
 
       // Messages
@@ -48,32 +160,85 @@ module.exports = function(RED) {
       for (const m of messages) {
         const name = m["@_name"];
         const id   = Number(m["@_id"]);
-        const crc  = Number(m["@_crc"] ?? m["@_crc_extra"] ?? 0); // crc attr name varies in some forks
+        if (!Number.isInteger(id) || id < 0 || id > 0xffffff) {
+          report("error", "bad-message-id", name, `${name}: invalid id "${m["@_id"]}"; message skipped`);
+          continue;
+        }
+        let badType = false;
         const fields = (m.field ? [].concat(m.field) : []).map(f => {
           // f can be { '@_name','@_type','#text','@_enum','@_units','@_length','@_array_length', ...}
-          const fname = f["@_name"] || (typeof f["#text"] === "string" ? f["#text"].trim() : "");
+          // Arrays are written as type="char[16]"; HEARTBEAT uses the special
+          // uint8_t_mavlink_version type, which is a plain uint8_t on the wire.
+          const [, baseType, typeLen] = /^([a-z0-9_]+?)(?:_mavlink_version)?(?:\[(\d+)\])?$/.exec(f["@_type"] || "") || [];
+          if (!FIELD_TYPES.has(baseType)) {
+            badType = true;
+            report("error", "unknown-field-type", `${name}.${f["@_name"]}`, `${name}.${f["@_name"]}: unknown type "${f["@_type"]}"; message skipped`);
+          }
+          const attrLen = f["@_length"] ?? f["@_array_length"];
           return {
-            name: fname,
-            type: f["@_type"],
+            name: f["@_name"],
+            type: baseType || f["@_type"],
             enum: f["@_enum"],
             units: f["@_units"],
+            display: f["@_display"],
             min: f["@_min"] !== undefined ? Number(f["@_min"]) : undefined,
             max: f["@_max"] !== undefined ? Number(f["@_max"]) : undefined,
-            arrayLen: f["@_length"] ? Number(f["@_length"]) : (f["@_array_length"] ? Number(f["@_array_length"]) : undefined)
+            arrayLen: typeLen ? Number(typeLen) : (attrLen ? Number(attrLen) : undefined),
+            extension: f["@_extension"] === true,
+            description: text(f)
           };
         });
-        msgsMap.set(name, { id, crc, fields });
+        if (badType) continue;
+
+        if (msgsMap.has(name)) {
+          report("warning", "duplicate-message", name, `${name} is also defined in ${msgSource.get(name)}; this definition wins`);
+          idOwner.delete(msgsMap.get(name).id);
+        }
+        const owner = idOwner.get(id);
+        if (owner !== undefined && owner !== name) {
+          report("warning", "duplicate-msgid", name, `msgid ${id} is claimed by ${name} and ${owner} (${msgSource.get(owner)}); ${owner} dropped`);
+          msgsMap.delete(owner);
+        }
+        const crc = computeCrcExtra(name, fields);
+        const def = { id, crc, fields, description: text(m.description) };
+        if (m.deprecated !== undefined) def.deprecated = deprecation(m.deprecated);
+        if (m.wip !== undefined) def.wip = true;
+        msgsMap.set(name, def);
+        msgSource.set(name, file);
+        idOwner.set(id, name);
       }
     }
 
     for (const p of entryXmlPaths) loadOne(p);
 
+    // Fields referring to enums no file defines
+    for (const [name, def] of msgsMap) {
+      for (const f of def.fields) {
+        if (f.enum && !enumsMap.has(f.enum)) {
+          diagnostics.push({ level: "warning", code: "unknown-enum", file: msgSource.get(name), name: `${name}.${f.name}`,
+            message: `${name}.${f.name} refers to enum ${f.enum}, which is not defined` });
+        }
+      }
+    }
+
     return {
       enums: Object.fromEntries(enumsMap),
-      messages: Object.fromEntries(msgsMap)
+      enumInfo: Object.fromEntries(enumInfo),
+      messages: Object.fromEntries(msgsMap),
+      files,
+      diagnostics
     };
   }
 
+  function checkCrcExtras(schema) {
+    const mismatches = [];
+    for (const [name, expected] of Object.entries(KNOWN_CRC_EXTRA)) {
+      const def = schema.messages[name];
+      if (def && def.crc !== expected) mismatches.push(`${name}: got ${def.crc}, expected ${expected}`);
+    }
+    return mismatches;
+  }
+
   function saveSchema(cacheDir, dialectName, schema) {
     mkdirp.sync(cacheDir);
     const outPath = path.join(cacheDir, `${dialectName}.schema.json`);
@@ -81,12 +246,18 @@ module.exports = function(RED) {
     return outPath;
   }
 
-  function loadSchemaFile(p) {
-    return JSON.parse(fs.readFileSync(p, "utf8"));
+  // Cache files of older builds of the dialect ("<dialect>.<hash>.schema.json").
+  function pruneCache(cacheDir, dialectName, keep) {
+    const prefix = `${dialectName}.`;
+    for (const f of fs.readdirSync(cacheDir)) {
+      if (!f.startsWith(prefix) || !/^[0-9a-f]{40}\.schema\.json$/.test(f.slice(prefix.length))) continue;
+      const p = path.join(cacheDir, f);
+      if (p !== keep) fs.rmSync(p, { force: true });
+    }
   }
 
-  function anyMtime(paths) {
-    return Math.max(...paths.map(p => fs.statSync(p).mtimeMs));
+  function loadSchemaFile(p) {
+    return JSON.parse(fs.readFileSync(p, "utf8"));
   }
 
   function MavlinkSchemaNode(config) {
@@ -97,12 +268,20 @@ module.exports = function(RED) {
     node.dialectName = config.dialectName || "dialect";
     node.xmlPathsRaw = config.xmlPaths || "";
     node.cacheDir = config.cacheDir || path.join(RED.settings.userDir || ".", "mavlink-cache");
+    node.watch = config.watch === true;
     node.schemaPath = "";
     node.schema = null;
+    node.messageIndex = new Map(); // msgid -> { name, id, crc, def, layout }
     node.sourceHash = "";
+    node.files = [];        // every XML file the schema was built from
+    node.diagnostics = [];  // see parseDialects
 
-    function computeHash() {
-      return sha1([node.dialectName, node.xmlPathsRaw].join("|"));
+    // Covers the content of every file in the include tree, so editing an
+    // included dialect invalidates the cache as well.
+    function computeHash(files) {
+      const parts = [SCHEMA_FORMAT, node.dialectName];
+      for (const f of files) parts.push(f, sha1(fs.readFileSync(f)));
+      return sha1(parts.join("|"));
     }
 
     function ensureSchema() {
@@ -110,38 +289,80 @@ module.exports = function(RED) {
         const xmlPaths = node.xmlPathsRaw.split(/\r?\n/).map(s => s.trim()).filter(Boolean).map(p => path.resolve(p));
         if (!xmlPaths.length) throw new Error("No XML paths configured.");
 
-        const hash = computeHash();
+        const files = resolveDialectFiles(xmlPaths);
+        const hash = computeHash(files);
         const outPath = path.join(node.cacheDir, `${node.dialectName}.${hash}.schema.json`);
 
-        let needBuild = true;
-        if (fs.existsSync(outPath)) {
-          // rebuild if any XML newer than schema file
-          const schemaMtime = fs.statSync(outPath).mtimeMs;
-          const newestXml = anyMtime(xmlPaths);
-          needBuild = newestXml > schemaMtime;
-        }
-
-        if (needBuild) {
+        let schema;
+        let state = "cached";
+        if (!fs.existsSync(outPath)) {
+          state = "ready";
           node.status({ fill: "yellow", shape: "ring", text: "building schema..." });
-          const schema = parseDialects(xmlPaths);
+          schema = parseDialects(xmlPaths);
+          for (const m of checkCrcExtras(schema)) {
+            schema.diagnostics.push({ level: "error", code: "crc-extra", file: "", name: m.split(":")[0], message: `CRC_EXTRA self-check failed: ${m}` });
+          }
+          mkdirp.sync(node.cacheDir);
           fs.writeFileSync(outPath, JSON.stringify(schema, null, 2), "utf8");
-          node.schema = schema;
-          node.schemaPath = outPath;
-          node.sourceHash = hash;
-          node.status({ fill: "green", shape: "dot", text: "schema ready" });
+          pruneCache(node.cacheDir, node.dialectName, outPath);
         } else {
-          node.schema = loadSchemaFile(outPath);
-          node.schemaPath = outPath;
-          node.sourceHash = hash;
-          node.status({ fill: "green", shape: "dot", text: "schema cached" });
+          schema = loadSchemaFile(outPath);
+        }
+        node.schema = schema;
+        node.schemaPath = outPath;
+        node.sourceHash = hash;
+        node.files = files;
+        node.diagnostics = schema.diagnostics || [];
+        node.messageIndex = buildMessageIndex(node.schema.messages);
+
+        const count = node.diagnostics.length;
+        if (count && state === "ready") {
+          const first = node.diagnostics.slice(0, 3).map(d => `${d.file ? d.file + ": " : ""}${d.message}`);
+          node.warn(`${count} schema problem(s): ${first.join("; ")}${count > 3 ? "; ..." : ""}`);
         }
+        node.status(count
+          ? { fill: "yellow", shape: "dot", text: `schema ${state}, ${count} problem(s)` }
+          : { fill: "green", shape: "dot", text: `schema ${state}` });
       } catch (e) {
         node.status({ fill: "red", shape: "dot", text: e.message });
         node.error(e);
       }
+      if (node.watch) watchFiles();
     }
 
-    node.on("close", function(done) { done(); });
+    // Optional file watcher: rebuild when any XML of the include tree changes.
+    // Dependent nodes read the schema through the getters, so they pick up the
+    // new definitions without a redeploy.
+    let watched = [];
+    let rebuildTimer = null;
+    function onFileChange(curr, prev) {
+      if (curr.mtimeMs === prev.mtimeMs && curr.size === prev.size) return;
+      clearTimeout(rebuildTimer);
+      // Editors often write in several steps; wait for them to finish.
+      rebuildTimer = setTimeout(() => {
+        node.log(`dialect XML changed, rebuilding schema ${node.dialectName}`);
+        ensureSchema();
+      }, 500);
+    }
+    function watchFiles() {
+      // Before the first successful build, at least watch the configured files.
+      const files = node.files.length ? node.files
+        : node.xmlPathsRaw.split(/\r?\n/).map(s => s.trim()).filter(Boolean).map(p => path.resolve(p));
+      if (files.join("\n") === watched.join("\n")) return;
+      unwatchFiles();
+      for (const f of files) fs.watchFile(f, { interval: 1000, persistent: false }, onFileChange);
+      watched = files.slice();
+    }
+    function unwatchFiles() {
+      for (const f of watched) fs.unwatchFile(f, onFileChange);
+      watched = [];
+    }
+
+    node.on("close", function(done) {
+      clearTimeout(rebuildTimer);
+      unwatchFiles();
+      done();
+    });
 
     // Kick it off on deploy
     ensureSchema();
@@ -150,7 +371,12 @@ module.exports = function(RED) {
     node.getSchema = () => node.schema;
     node.getEnums = () => node.schema?.enums || {};
     node.getMessages = () => node.schema?.messages || {};
+    node.getMessageById = (id) => node.messageIndex.get(id);
+    node.getMessageIndex = () => node.messageIndex;
     node.getSchemaPath = () => node.schemaPath;
+    node.getDiagnostics = () => node.diagnostics;
+    node.exportJsonSchema = () => toJsonSchema(node.schema || { enums: {}, messages: {} }, node.dialectName);
+    node.exportTypeScript = () => toTypeScript(node.schema || { enums: {}, messages: {} }, node.dialectName);
     node.rebuild = () => { node.status({}); ensureSchema(); };
   }
 
@@ -186,6 +412,49 @@ module.exports = function(RED) {
     } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
   });
 
+  // Full definition of one message, with the members of the enums its fields use
+  RED.httpAdmin.get("/mavlink-schema/message", (req, res) => {
+    try {
+      const id = req.query.configId, name = req.query.name;
+      const cfg = RED.nodes.getNode(id);
+      if (!cfg) return res.status(404).json({ ok:false, error: "schema config not found" });
+      const def = cfg.getMessages()[name];
+      if (!def) return res.status(404).json({ ok:false, error: `message ${name} not in schema` });
+      const allEnums = cfg.getEnums();
+      const enums = {};
+      for (const f of def.fields) {
+        if (f.enum && allEnums[f.enum]) enums[f.enum] = allEnums[f.enum].map(({ key, value, comment, isBitmask }) => ({ key, value, comment, isBitmask }));
+      }
+      res.json({ ok: true, message: { name, ...def }, enums });
+    } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+  });
+
+  RED.httpAdmin.get("/mavlink-schema/export", (req, res) => {
+    try {
+      const id = req.query.configId, format = req.query.format || "json-schema";
+      const cfg = RED.nodes.getNode(id);
+      if (!cfg) return res.status(404).json({ ok:false, error: "schema config not found" });
+      if (format === "json-schema") {
+        res.set("Content-Disposition", `attachment; filename="${cfg.dialectName}.schema.json"`);
+        res.type("application/schema+json").send(JSON.stringify(cfg.exportJsonSchema(), null, 2));
+      } else if (format === "typescript") {
+        res.set("Content-Disposition", `attachment; filename="${cfg.dialectName}.d.ts"`);
+        res.type("text/plain").send(cfg.exportTypeScript());
+      } else {
+        res.status(400).json({ ok:false, error: `unknown format ${format} (json-schema or typescript)` });
+      }
+    } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+  });
+
+  RED.httpAdmin.get("/mavlink-schema/diagnostics", (req, res) => {
+    try {
+      const id = req.query.configId;
+      const cfg = RED.nodes.getNode(id);
+      if (!cfg) return res.status(404).json({ ok:false, error: "schema config not found" });
+      res.json({ ok: true, files: cfg.files, diagnostics: cfg.getDiagnostics() });
+    } catch (e) { res.status(500).json({ ok:false, error: e.message }); }
+  });
+
   RED.httpAdmin.post("/mavlink-schema/rebuild", (req, res) => {
     try {
       const id = req.body.configId;
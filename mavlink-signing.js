@@ -0,0 +1,49 @@
+module.exports = function(RED) {
+  const { signingKeyFrom, signingTimestampNow } = require("./lib/mavlink-helpers");
+
+  // New streams may start at most one minute behind our local timestamp
+  // (timestamps are in 10us units).
+  const MAX_STREAM_LAG = 60 * 100000;
+
+  function MavlinkSigningNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.name = config.name;
+    node.linkId = Number(config.linkId || 0) & 0xff;
+    node.allowUnsigned = config.allowUnsigned === true;
+    // Without a secret there is no key: nothing is signed and no signature verifies.
+    const secret = node.credentials?.secretKey;
+    node.key = secret ? signingKeyFrom(secret) : null;
+    if (!node.key) node.error("mavlink-signing: no secret key configured; frames are sent unsigned and signed frames are rejected");
+
+    // Last timestamp we used or accepted; outgoing timestamps never go backwards.
+    let localTimestamp = 0;
+    // "sysid/compid/linkId" -> last accepted timestamp, for replay protection.
+    const streams = new Map();
+
+    node.nextTimestamp = () => {
+      localTimestamp = Math.max(signingTimestampNow(), localTimestamp + 1);
+      return localTimestamp;
+    };
+
+    node.acceptTimestamp = (sysid, compid, linkId, timestamp) => {
+      const key = `${sysid}/${compid}/${linkId}`;
+      const last = streams.get(key);
+      if (last === undefined) {
+        if (timestamp + MAX_STREAM_LAG < Math.max(localTimestamp, signingTimestampNow())) return false;
+      } else if (timestamp <= last) {
+        return false;
+      }
+      streams.set(key, timestamp);
+      localTimestamp = Math.max(localTimestamp, timestamp);
+      return true;
+    };
+
+    node.getSigning = () => node.key ? { key: node.key, linkId: node.linkId, timestamp: node.nextTimestamp() } : undefined;
+  }
+
+  RED.nodes.registerType("mavlink-signing", MavlinkSigningNode, {
+    credentials: { secretKey: { type: "password" } }
+  });
+};
@@ -0,0 +1,410 @@
+module.exports = function(RED) {
+  const helpers = require("./lib/mavlink-helpers");
+  const { encodeParamValue, decodeParamValue, PARAM_TYPE } = require("./lib/mavlink-param-files");
+  const { AUTOPILOT, ARDUPILOT_MODES, flightModeName } = require("./lib/mavlink-modes");
+  const { createSender } = require("./lib/mavlink-sender");
+
+  const EARTH_RADIUS = 6378137; // m
+  const GRAVITY = 9.81;
+  const CLIMB_RATE = 2.5;       // m/s up and down
+  const BATTERY_DRAIN = 0.05;   // % per second while armed
+  const CELLS = 4;
+  const GROUND_TYPES = [10, 11]; // rover, boat: move when armed, no altitude
+  const FORCE_DISARM = 21196;   // param2 of MAV_CMD_COMPONENT_ARM_DISARM
+
+  const MAV_MODE_FLAG = { CUSTOM_MODE_ENABLED: 1, STABILIZE_ENABLED: 16, SAFETY_ARMED: 128 };
+  const MAV_STATE = { STANDBY: 3, ACTIVE: 4, CRITICAL: 5 };
+  const MAV_RESULT = { ACCEPTED: 0, DENIED: 2, UNSUPPORTED: 3 };
+  const MAV_MISSION = { ACCEPTED: 0, INVALID_SEQUENCE: 13 };
+  const MAV_CMD = { NAV_LAND: 21, NAV_TAKEOFF: 22, DO_SET_MODE: 176, COMPONENT_ARM_DISARM: 400 };
+  // gyro, accel, mag, GPS
+  const SENSORS = 0x01 | 0x02 | 0x04 | 0x20;
+
+  const INPUT_MESSAGES = [
+    "PARAM_REQUEST_LIST", "PARAM_REQUEST_READ", "PARAM_SET", "COMMAND_LONG", "COMMAND_INT",
+    "MISSION_COUNT", "MISSION_ITEM_INT", "MISSION_REQUEST_LIST", "MISSION_REQUEST_INT", "MISSION_REQUEST",
+    "MISSION_CLEAR_ALL"
+  ];
+
+  // A small ArduPilot-like parameter set; config params are added to it.
+  function defaultParams(sysid) {
+    return [
+      ["SYSID_THISMAV", sysid, PARAM_TYPE.INT16],
+      ["ARMING_CHECK", 1, PARAM_TYPE.INT32],
+      ["BATT_MONITOR", 4, PARAM_TYPE.INT8],
+      ["BATT_CAPACITY", 5200, PARAM_TYPE.INT32],
+      ["FENCE_ENABLE", 0, PARAM_TYPE.INT8],
+      ["RTL_ALT", 1500, PARAM_TYPE.INT16],
+      ["WPNAV_SPEED", 500, PARAM_TYPE.REAL32]
+    ];
+  }
+
+  // "lat, lon[, alt]" per line; blank lines and # comments are skipped.
+  function parseWaypoints(text) {
+    const points = [];
+    for (const line of String(text || "").split(/\r?\n/)) {
+      const t = line.replace(/#.*/, "").trim();
+      if (!t) continue;
+      const [lat, lon, alt] = t.split(/[\s,;]+/).map(Number);
+      if (!Number.isFinite(lat) || !Number.isFinite(lon)) throw new Error(`Bad waypoint "${t}" (use lat, lon[, alt])`);
+      points.push({ lat, lon, alt: Number.isFinite(alt) ? alt : null });
+    }
+    return points;
+  }
+
+  function MavlinkSimNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.signingCfg = config.signing ? RED.nodes.getNode(config.signing) : null;
+    node.sysid = Number(config.sysid || 1);
+    node.compid = Number(config.compid || 1);
+    node.protocolVersion = String(config.protocolVersion || "2");
+    node.mavType = config.mavType || "MAV_TYPE_QUADROTOR";
+    node.customMode = Number(config.customMode || 0);
+    node.airborne = config.airborne !== false;   // start flying the track, armed
+    node.home = { lat: Number(config.lat ?? 47.397742), lon: Number(config.lon ?? 8.545594), alt: Number(config.alt || 0) };
+    node.altitude = Number(config.altitude || 20); // m above home
+    node.track = config.track || "circle";        // "circle" | "waypoints"
+    node.radius = Number(config.radius || 50);     // m
+    node.speed = Number(config.speed || 5);        // m/s along the track
+    // Rates in Hz; 0 = don't send
+    const rate = (v, d) => Number(v ?? d);
+    node.heartbeatRate = rate(config.heartbeatRate, 1);
+    node.statusRate = rate(config.statusRate, 1);
+    node.positionRate = rate(config.positionRate, 4);
+    node.attitudeRate = rate(config.attitudeRate, 10);
+
+    const sender = createSender(node, "mavlink/sim");
+    let state;
+    let params;      // Map name -> { value, type }
+    let missions;    // Map mission_type -> items (MISSION_ITEM_INT fields)
+    let upload;      // mission upload in progress
+    const bootTime = Date.now();
+    const timers = [];
+
+    // Track: offsets from home in m (north, east) for the distance flown.
+    let track, mavType, extraParams;
+    try {
+      track = node.track === "waypoints" ? waypointTrack(parseWaypoints(config.waypoints)) : circleTrack();
+      mavType = helpers.enumValueFor(node.schemaCfg?.getEnums() || {}, "MAV_TYPE", node.mavType);
+      // { NAME: value } or { NAME: { value, type } }; the type defaults to the built-in one,
+      // else INT32 for whole numbers and REAL32 for the rest.
+      const given = typeof config.params === "string" ? JSON.parse(config.params || "{}") : config.params || {};
+      extraParams = Object.entries(given).map(([name, v]) => {
+        const p = v && typeof v === "object" ? v : { value: v };
+        const type = p.type != null ? helpers.enumValueFor(node.schemaCfg?.getEnums() || {}, "MAV_PARAM_TYPE", p.type) : null;
+        return { name, value: Number(p.value), type };
+      });
+    } catch (e) {
+      node.status({ fill: "red", shape: "dot", text: e.message });
+      node.error(e.message);
+      return;
+    }
+
+    // A circle through home, flown clockwise; starts heading north.
+    function circleTrack() {
+      const r = node.radius;
+      return (d) => {
+        const a = d / r;
+        return { north: r * Math.sin(a), east: r - r * Math.cos(a), heading: a, turnRate: node.speed / r, alt: null };
+      };
+    }
+
+    // From home to the first waypoint, then round all waypoints in a loop.
+    function waypointTrack(points) {
+      if (!points.length) throw new Error("No waypoints");
+      const local = (p) => ({
+        north: (p.lat - node.home.lat) * Math.PI / 180 * EARTH_RADIUS,
+        east: (p.lon - node.home.lon) * Math.PI / 180 * EARTH_RADIUS * Math.cos(node.home.lat * Math.PI / 180),
+        alt: p.alt
+      });
+      const legs = [];
+      const addLeg = (a, b) => legs.push({ a, b, length: Math.hypot(b.north - a.north, b.east - a.east) });
+      const pts = points.map(local);
+      addLeg({ north: 0, east: 0, alt: null }, pts[0]);
+      for (let i = 0; i < pts.length; i++) addLeg(pts[i], pts[(i + 1) % pts.length]);
+      const lead = legs[0].length;
+      const loop = legs.slice(1).reduce((s, l) => s + l.length, 0);
+      return (d) => {
+        // Past the lead-in, the distance wraps round the loop.
+        let rest = d <= lead || !loop ? Math.min(d, lead) : lead + (d - lead) % loop;
+        let leg = legs[0];
+        for (const l of legs) {
+          leg = l;
+          if (rest <= l.length) break;
+          rest -= l.length;
+        }
+        const f = leg.length ? Math.min(rest / leg.length, 1) : 1;
+        return {
+          north: leg.a.north + (leg.b.north - leg.a.north) * f,
+          east: leg.a.east + (leg.b.east - leg.a.east) * f,
+          heading: leg.length ? Math.atan2(leg.b.east - leg.a.east, leg.b.north - leg.a.north) : null,
+          turnRate: 0, alt: leg.b.alt
+        };
+      };
+    }
+
+    function reset() {
+      const ground = GROUND_TYPES.includes(mavType);
+      const flying = node.airborne && !ground;
+      state = {
+        armed: node.airborne, customMode: node.customMode,
+        relAlt: flying ? node.altitude : 0, targetAlt: flying ? node.altitude : 0, climb: 0,
+        landing: false, distance: 0, heading: 0, moving: false, turnRate: 0,
+        battery: 100, lastStep: Date.now()
+      };
+      params = new Map();
+      for (const [name, value, type] of defaultParams(node.sysid)) params.set(name, { value, type });
+      for (const { name, value, type } of extraParams) {
+        params.set(name, { value, type: type ?? params.get(name)?.type ?? (Number.isInteger(value) ? PARAM_TYPE.INT32 : PARAM_TYPE.REAL32) });
+      }
+      missions = new Map();
+      upload = null;
+    }
+
+    // ---- flight
+
+    function step() {
+      const now = Date.now();
+      const dt = (now - state.lastStep) / 1000;
+      state.lastStep = now;
+      const ground = GROUND_TYPES.includes(mavType);
+
+      // Vertical: climb or descend towards the target altitude.
+      const diff = state.targetAlt - state.relAlt;
+      const dz = Math.sign(diff) * Math.min(Math.abs(diff), CLIMB_RATE * dt);
+      state.relAlt += dz;
+      if (dt > 0) state.climb = dz / dt; // two steps within a millisecond keep the rate
+      if (state.landing && state.relAlt <= 0) {
+        state.relAlt = 0;
+        state.landing = false;
+        state.armed = false;
+      }
+
+      // Horizontal: along the track while flying (or driving).
+      state.moving = state.armed && (ground || (state.relAlt > 0.5 && !state.landing));
+      if (state.moving) state.distance += node.speed * dt;
+      const p = track(state.distance);
+      if (p.heading !== null) state.heading = p.heading;
+      state.turnRate = state.moving ? p.turnRate : 0;
+      if (state.moving && p.alt !== null && !ground) state.targetAlt = p.alt;
+      state.position = p;
+
+      if (state.armed) state.battery = Math.max(0, state.battery - BATTERY_DRAIN * dt);
+    }
+
+    function modeName() {
+      return flightModeName(AUTOPILOT.ARDUPILOTMEGA, mavType, state.customMode) ?? String(state.customMode);
+    }
+
+    function updateStatus() {
+      node.status({ fill: state.armed ? "red" : "green", shape: "dot",
+        text: `${modeName()} ${state.armed ? "armed" : "disarmed"} ${Math.round(state.relAlt)} m` });
+    }
+
+    // ---- output
+
+    function transmit(name, fields) {
+      node.send(sender.message(name, fields));
+    }
+
+    const timeBoot = () => (Date.now() - bootTime) >>> 0;
+
+    const telemetry = {
+      heartbeat() {
+        let baseMode = MAV_MODE_FLAG.CUSTOM_MODE_ENABLED | MAV_MODE_FLAG.STABILIZE_ENABLED;
+        if (state.armed) baseMode |= MAV_MODE_FLAG.SAFETY_ARMED;
+        transmit("HEARTBEAT", {
+          type: mavType, autopilot: AUTOPILOT.ARDUPILOTMEGA, base_mode: baseMode,
+          custom_mode: state.customMode, mavlink_version: 3,
+          system_status: state.battery < 10 ? MAV_STATE.CRITICAL : state.armed ? MAV_STATE.ACTIVE : MAV_STATE.STANDBY
+        });
+        updateStatus();
+      },
+      status() {
+        const current = !state.armed ? 0.5 : state.moving || state.relAlt > 0 ? 15 : 2; // A
+        transmit("SYS_STATUS", {
+          onboard_control_sensors_present: SENSORS, onboard_control_sensors_enabled: SENSORS,
+          onboard_control_sensors_health: SENSORS, load: 250,
+          voltage_battery: Math.round(CELLS * (3.5 + 0.7 * state.battery / 100) * 1000),
+          current_battery: Math.round(current * 100), battery_remaining: Math.round(state.battery),
+          drop_rate_comm: 0, errors_comm: 0, errors_count1: 0, errors_count2: 0, errors_count3: 0, errors_count4: 0
+        });
+      },
+      position() {
+        const p = state.position;
+        const lat = node.home.lat + p.north / EARTH_RADIUS * 180 / Math.PI;
+        const lon = node.home.lon + p.east / (EARTH_RADIUS * Math.cos(node.home.lat * Math.PI / 180)) * 180 / Math.PI;
+        const v = state.moving ? node.speed : 0;
+        const deg = ((state.heading * 180 / Math.PI) % 360 + 360) % 360;
+        transmit("GLOBAL_POSITION_INT", {
+          time_boot_ms: timeBoot(), lat: Math.round(lat * 1e7), lon: Math.round(lon * 1e7),
+          alt: Math.round((node.home.alt + state.relAlt) * 1000), relative_alt: Math.round(state.relAlt * 1000),
+          vx: Math.round(v * Math.cos(state.heading) * 100), vy: Math.round(v * Math.sin(state.heading) * 100),
+          vz: Math.round(-state.climb * 100), hdg: Math.round(deg * 100) % 36000
+        });
+      },
+      attitude() {
+        const v = state.moving ? node.speed : 0;
+        // Coordinated turn on the circle; nose down while moving forward
+        const roll = state.turnRate ? Math.atan(v * state.turnRate / GRAVITY) : 0;
+        const yaw = Math.atan2(Math.sin(state.heading), Math.cos(state.heading));
+        transmit("ATTITUDE", {
+          time_boot_ms: timeBoot(), roll, pitch: v ? -0.05 : 0, yaw,
+          rollspeed: 0, pitchspeed: 0, yawspeed: state.turnRate
+        });
+      }
+    };
+
+    function every(hz, fn) {
+      if (!(hz > 0)) return;
+      timers.push(setInterval(() => {
+        try { step(); fn(); } catch (e) { node.status({ fill: "red", shape: "dot", text: e.message }); }
+      }, 1000 / hz));
+    }
+
+    // ---- parameters
+
+    function sendParam(name, index) {
+      const p = params.get(name);
+      transmit("PARAM_VALUE", {
+        param_id: name, param_value: encodeParamValue(p.value, p.type, "cast"), param_type: p.type,
+        param_count: params.size, param_index: index
+      });
+    }
+
+    const paramIndex = (name) => [...params.keys()].indexOf(name);
+
+    function onParamMessage(name, m) {
+      if (name === "PARAM_REQUEST_LIST") {
+        [...params.keys()].forEach((n, i) => sendParam(n, i));
+      } else if (name === "PARAM_REQUEST_READ") {
+        const n = m.param_index >= 0 ? [...params.keys()][m.param_index] : m.param_id;
+        if (params.has(n)) sendParam(n, paramIndex(n));
+      } else if (name === "PARAM_SET") {
+        // Unknown parameters are ignored, as ArduPilot does.
+        const p = params.get(m.param_id);
+        if (!p) return;
+        p.value = decodeParamValue(m.param_value, p.type, "cast");
+        sendParam(m.param_id, paramIndex(m.param_id));
+      }
+    }
+
+    // ---- commands
+
+    function onCommand(sysid, compid, m, isInt) {
+      const cmd = m.command;
+      const p = [m.param1, m.param2, m.param3, m.param4, isInt ? m.x : m.param5, isInt ? m.y : m.param6, isInt ? m.z : m.param7];
+      const flying = state.relAlt > 0.5;
+      let result = MAV_RESULT.ACCEPTED;
+
+      if (cmd === MAV_CMD.COMPONENT_ARM_DISARM) {
+        if (p[0] === 1) state.armed = true;
+        else if (flying && p[1] !== FORCE_DISARM) result = MAV_RESULT.DENIED;
+        else Object.assign(state, { armed: false, relAlt: 0, targetAlt: 0, landing: false });
+      } else if (cmd === MAV_CMD.DO_SET_MODE) {
+        const modes = ARDUPILOT_MODES[mavType];
+        if (!(p[0] & MAV_MODE_FLAG.CUSTOM_MODE_ENABLED) || (modes && !(p[1] in modes))) result = MAV_RESULT.DENIED;
+        else state.customMode = p[1];
+      } else if (cmd === MAV_CMD.NAV_TAKEOFF) {
+        if (!state.armed || GROUND_TYPES.includes(mavType)) result = MAV_RESULT.DENIED;
+        else Object.assign(state, { targetAlt: p[6] > 0 ? p[6] : node.altitude, landing: false });
+      } else if (cmd === MAV_CMD.NAV_LAND) {
+        if (flying) Object.assign(state, { targetAlt: 0, landing: true });
+        const modes = ARDUPILOT_MODES[mavType] || {};
+        const land = Object.keys(modes).find(k => modes[k] === "LAND");
+        if (land !== undefined) state.customMode = Number(land);
+      } else {
+        result = MAV_RESULT.UNSUPPORTED;
+      }
+      transmit("COMMAND_ACK", { command: cmd, result, progress: 0, result_param2: 0, target_system: sysid, target_component: compid });
+      updateStatus();
+    }
+
+    // ---- missions
+
+    function onMissionMessage(name, sysid, compid, m) {
+      const missionType = m.mission_type || 0;
+      const to = { target_system: sysid, target_component: compid, mission_type: missionType };
+      const requestItem = (s) => transmit("MISSION_REQUEST_INT", { ...to, seq: s });
+
+      if (name === "MISSION_COUNT") {
+        if (!m.count) {
+          missions.set(missionType, []);
+          upload = null;
+          return transmit("MISSION_ACK", { ...to, type: MAV_MISSION.ACCEPTED });
+        }
+        upload = { sysid, missionType, count: m.count, items: [] };
+        return requestItem(0);
+      }
+      if (name === "MISSION_ITEM_INT") {
+        if (!upload || upload.sysid !== sysid || upload.missionType !== missionType) return;
+        // Anything but the next item (a resend, or one out of order) asks for the next item again.
+        if (m.seq !== upload.items.length) return requestItem(upload.items.length);
+        const { target_system, target_component, ...item } = m;
+        upload.items.push(item);
+        if (upload.items.length < upload.count) return requestItem(upload.items.length);
+        missions.set(missionType, upload.items);
+        upload = null;
+        return transmit("MISSION_ACK", { ...to, type: MAV_MISSION.ACCEPTED });
+      }
+      const items = missions.get(missionType) || [];
+      if (name === "MISSION_REQUEST_LIST") {
+        return transmit("MISSION_COUNT", { ...to, count: items.length });
+      }
+      if (name === "MISSION_REQUEST_INT" || name === "MISSION_REQUEST") {
+        if (m.seq >= items.length) return transmit("MISSION_ACK", { ...to, type: MAV_MISSION.INVALID_SEQUENCE });
+        return transmit("MISSION_ITEM_INT", { ...items[m.seq], ...to, seq: m.seq });
+      }
+      if (name === "MISSION_CLEAR_ALL") {
+        missions.delete(missionType);
+        return transmit("MISSION_ACK", { ...to, type: MAV_MISSION.ACCEPTED });
+      }
+    }
+
+    function onMessage(name, sysid, compid, m) {
+      // Requests for other systems or components are not ours to answer.
+      if (m.target_system && m.target_system !== node.sysid) return;
+      if (m.target_component && m.target_component !== node.compid) return;
+      if (name.startsWith("PARAM_")) onParamMessage(name, m);
+      else if (name.startsWith("COMMAND_")) onCommand(sysid, compid, m, name === "COMMAND_INT");
+      else onMissionMessage(name, sysid, compid, m);
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        if (msg.control === "reset") {
+          reset();
+          step();
+          updateStatus();
+          return done();
+        }
+        // Raw frames from a GCS: the frame outputs of mavlink-param, -mission, -command, -build, or mavlink-io
+        if (!Buffer.isBuffer(msg.payload)) return done();
+        for (const m of sender.received(msg, INPUT_MESSAGES)) {
+          if (m.sysid === node.sysid) continue;
+          step();
+          onMessage(m.name, m.sysid, m.compid, m.fields);
+        }
+        done();
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    reset();
+    step();
+    every(node.heartbeatRate, telemetry.heartbeat);
+    every(node.statusRate, telemetry.status);
+    every(node.positionRate, telemetry.position);
+    every(node.attitudeRate, telemetry.attitude);
+    updateStatus();
+
+    node.on("close", (done) => {
+      timers.forEach(clearInterval);
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-sim", MavlinkSimNode);
+};
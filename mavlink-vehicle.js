@@ -0,0 +1,185 @@
+module.exports = function(RED) {
+  const helpers = require("./lib/mavlink-helpers");
+  const { flightModeName, isArmed, isVehicleHeartbeat } = require("./lib/mavlink-modes");
+
+  const UINT16_MAX = 0xffff;
+  const INT16_MAX = 0x7fff;
+
+  // Sentinels for "not known" -> null
+  const known = (v, unknown) => v === unknown ? null : v;
+  const scaled = (v, unknown, divisor) => v === unknown ? null : v / divisor;
+
+  function MavlinkVehicleNode(config) {
+    RED.nodes.createNode(this, config);
+    const node = this;
+
+    node.schemaCfg = RED.nodes.getNode(config.schema);
+    node.publish = config.publish || "change"; // "change" | "interval"
+    node.rate = Number(config.rate || 1);      // Hz for "interval"
+    node.contextStore = config.contextStore || ""; // "" | "flow" | "global"
+    node.contextKey = config.contextKey || "vehicles";
+
+    // sysid -> { state, sections: { name: JSON of last value } }
+    const vehicles = new Map();
+
+    // State updates per message: fields already in raw MAVLink units -> changed sections
+    const handlers = {
+      HEARTBEAT(s, m) {
+        if (!isVehicleHeartbeat(m)) return null;
+        const enums = node.schemaCfg.getEnums();
+        s.type = helpers.enumKeyFor(enums.MAV_TYPE, m.type) ?? m.type;
+        s.autopilot = helpers.enumKeyFor(enums.MAV_AUTOPILOT, m.autopilot) ?? m.autopilot;
+        s.armed = isArmed(m.base_mode);
+        s.mode = flightModeName(m.autopilot, m.type, m.custom_mode) ?? null;
+        s.customMode = m.custom_mode;
+        s.baseMode = m.base_mode;
+        s.systemStatus = helpers.enumKeyFor(enums.MAV_STATE, m.system_status) ?? m.system_status;
+        return { vehicle: [s.type, s.autopilot, s.armed, s.mode, s.customMode, s.baseMode, s.systemStatus] };
+      },
+      GLOBAL_POSITION_INT(s, m) {
+        s.position = {
+          lat: m.lat / 1e7, lon: m.lon / 1e7, alt: m.alt / 1000, relativeAlt: m.relative_alt / 1000,
+          heading: scaled(m.hdg, UINT16_MAX, 100), vx: m.vx / 100, vy: m.vy / 100, vz: m.vz / 100
+        };
+        return { position: s.position };
+      },
+      ATTITUDE(s, m) {
+        s.attitude = {
+          roll: m.roll, pitch: m.pitch, yaw: m.yaw,
+          rollSpeed: m.rollspeed, pitchSpeed: m.pitchspeed, yawSpeed: m.yawspeed
+        };
+        return { attitude: s.attitude };
+      },
+      SYS_STATUS(s, m) {
+        s.battery = {
+          voltage: scaled(m.voltage_battery, UINT16_MAX, 1000),
+          current: scaled(m.current_battery, -1, 100),
+          remaining: known(m.battery_remaining, -1)
+        };
+        return { battery: s.battery };
+      },
+      BATTERY_STATUS(s, m) {
+        // Cells beyond the 10th are in voltages_ext (MAVLink 2 extension).
+        const cells = [...(m.voltages || []), ...(m.voltages_ext || [])].filter(v => v !== UINT16_MAX && v !== 0);
+        const voltage = cells.length ? cells.reduce((a, v) => a + v, 0) / 1000 : null;
+        s.batteries = s.batteries || {};
+        s.batteries[m.id] = {
+          voltage, current: scaled(m.current_battery, -1, 100), remaining: known(m.battery_remaining, -1),
+          consumed: scaled(m.current_consumed, -1, 1000), energy: m.energy_consumed === -1 ? null : m.energy_consumed * 100, // J
+          temperature: scaled(m.temperature, INT16_MAX, 100)
+        };
+        return { [`battery${m.id}`]: s.batteries[m.id] };
+      },
+      GPS_RAW_INT(s, m) {
+        s.gps = {
+          fixType: m.fix_type, satellites: known(m.satellites_visible, 255),
+          hdop: scaled(m.eph, UINT16_MAX, 100), vdop: scaled(m.epv, UINT16_MAX, 100)
+        };
+        return { gps: s.gps };
+      },
+      VFR_HUD(s, m) {
+        s.hud = { airspeed: m.airspeed, groundspeed: m.groundspeed, climb: m.climb, throttle: m.throttle, heading: m.heading };
+        return { hud: s.hud };
+      }
+    };
+
+    function snapshot(v) {
+      return RED.util.cloneMessage(v.state);
+    }
+
+    function storeContext() {
+      if (!node.contextStore) return;
+      const all = {};
+      for (const [sysid, v] of vehicles) all[sysid] = snapshot(v);
+      node.context()[node.contextStore].set(node.contextKey, all);
+    }
+
+    function publish(v) {
+      node.send({ topic: "mavlink/vehicle/state", payload: snapshot(v) });
+    }
+
+    function updateStatus() {
+      if (!vehicles.size) return node.status({ fill: "grey", shape: "ring", text: "no vehicle" });
+      if (vehicles.size > 1) return node.status({ fill: "green", shape: "dot", text: `${vehicles.size} vehicles` });
+      const s = [...vehicles.values()][0].state;
+      node.status({ fill: s.armed ? "red" : "green", shape: "dot",
+        text: `${s.sysid}: ${s.mode || "?"}${s.armed ? " armed" : ""}` });
+    }
+
+    function onMessage(sysid, compid, name, fields) {
+      let v = vehicles.get(sysid);
+      const isNew = !v;
+      if (!v) {
+        v = { state: { sysid, compid }, sections: {} };
+        vehicles.set(sysid, v);
+      }
+      const changed = handlers[name](v.state, fields);
+      if (!changed) {
+        if (!v.state.lastUpdate) vehicles.delete(sysid); // e.g. only a GCS heartbeat so far
+        return;
+      }
+      v.state.lastUpdate = Date.now();
+      if (name === "HEARTBEAT") v.state.compid = compid;
+      let dirty = false;
+      for (const [section, value] of Object.entries(changed)) {
+        const json = JSON.stringify(value);
+        if (v.sections[section] !== json) { v.sections[section] = json; dirty = true; }
+      }
+      if (isNew || name === "HEARTBEAT") updateStatus();
+      if (!dirty) return;
+      if (node.publish === "change") {
+        publish(v);
+        storeContext();
+      }
+    }
+
+    node.on("input", (msg, send, done) => {
+      try {
+        if (!node.schemaCfg) throw new Error("schema config missing");
+        if (msg.control === "snapshot") {
+          for (const v of vehicles.values()) publish(v);
+          return done();
+        }
+        if (msg.control === "reset") {
+          vehicles.clear();
+          storeContext();
+          updateStatus();
+          return done();
+        }
+        // Decoded message from mavlink-parse
+        if (msg.mavlink && msg.payload && !Buffer.isBuffer(msg.payload)) {
+          const entry = node.schemaCfg.getMessageById(msg.mavlink.msgid);
+          if (entry && handlers[entry.name]) {
+            onMessage(msg.mavlink.sysid, msg.mavlink.compid, entry.name, helpers.rawFields(entry.def, msg));
+          }
+          return done();
+        }
+        // Raw frame(s) from mavlink-io or mavlink-player
+        if (Buffer.isBuffer(msg.payload)) {
+          const crcExtraFor = (id) => node.schemaCfg.getMessageById(id)?.crc;
+          for (const f of helpers.scanFrames(msg.payload, crcExtraFor)) {
+            if (f.crcOk === false) continue;
+            const hdr = helpers.parseFrameHeader(f.frameBuf);
+            const entry = node.schemaCfg.getMessageById(hdr.msgid);
+            if (!entry || !handlers[entry.name]) continue;
+            onMessage(hdr.sysid, hdr.compid, entry.name, helpers.unpackPayload(entry.def, hdr.payload));
+          }
+        }
+        done();
+      } catch (e) { node.status({fill:"red",shape:"dot",text:e.message}); done(e); }
+    });
+
+    const timer = node.publish === "interval" && node.rate > 0 ? setInterval(() => {
+      for (const v of vehicles.values()) publish(v);
+      storeContext();
+    }, 1000 / node.rate) : null;
+    updateStatus();
+
+    node.on("close", (done) => {
+      clearInterval(timer);
+      done();
+    });
+  }
+
+  RED.nodes.registerType("mavlink-vehicle", MavlinkVehicleNode);
+};
@@ -0,0 +1,106 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const enumNode = require("../mavlink-enum.js");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-enum", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-enum-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  function load(enumConfig, cb) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "e", type: "mavlink-enum", schema: "s", keySource: "msg", ...enumConfig, wires: [["out"]] },
+      { id: "out", type: "helper" }
+    ];
+    helper.load([schemaNode, enumNode], flow, () => cb(helper.getNode("e"), helper.getNode("out")));
+  }
+
+  // Sends each payload through the node; cb gets the outputs and the error messages.
+  function run(e, out, payloads, cb) {
+    const outputs = [], errors = [];
+    out.on("input", msg => outputs.push(msg));
+    e.error = err => errors.push(err.message);
+    payloads.forEach(payload => e.receive({ payload }));
+    setTimeout(() => cb(outputs, errors), 20);
+  }
+
+  it("looks up values by full or short key", function(done) {
+    load({ enumName: "MAV_STATE" }, (e, out) => {
+      run(e, out, ["MAV_STATE_ACTIVE", "STANDBY", "FLYING"], (outputs, errors) => {
+        try {
+          outputs.map(m => m.payload).should.eql([4, 3]);
+          outputs[0].mavlink.should.have.properties({ enum: "MAV_STATE", key: "MAV_STATE_ACTIVE", value: 4 });
+          errors.should.eql(['Key "FLYING" not found in enum "MAV_STATE"']);
+          done();
+        } catch (err) { done(err); }
+      });
+    });
+  });
+
+  it("looks up keys by value", function(done) {
+    load({ enumName: "MAV_STATE", mode: "key" }, (e, out) => {
+      run(e, out, [4, "3", 99, -1], (outputs, errors) => {
+        try {
+          outputs.map(m => m.payload).should.eql(["MAV_STATE_ACTIVE", "MAV_STATE_STANDBY"]);
+          errors.should.eql(['Value 99 not found in enum "MAV_STATE"', '"-1" is not a valid value for enum "MAV_STATE"']);
+          done();
+        } catch (err) { done(err); }
+      });
+    });
+  });
+
+  it("composes bitmasks from flag names", function(done) {
+    load({ enumName: "MAV_MODE_FLAG", mode: "compose" }, (e, out) => {
+      run(e, out, [["SAFETY_ARMED", "STABILIZE_ENABLED"], "MAV_MODE_FLAG_SAFETY_ARMED|HIL_ENABLED"], (outputs) => {
+        try {
+          outputs.map(m => m.payload).should.eql([144, 160]);
+          outputs[0].mavlink.flags.should.eql(["MAV_MODE_FLAG_SAFETY_ARMED", "MAV_MODE_FLAG_STABILIZE_ENABLED"]);
+          done();
+        } catch (err) { done(err); }
+      });
+    });
+  });
+
+  it("splits bitmasks into flag names and reports unknown bits", function(done) {
+    load({ enumName: "MAV_MODE_FLAG", mode: "flags" }, (e, out) => {
+      run(e, out, [144 | 0x100], (outputs) => {
+        try {
+          outputs[0].payload.should.have.length(2);
+          outputs[0].payload.should.containDeep(["MAV_MODE_FLAG_SAFETY_ARMED", "MAV_MODE_FLAG_STABILIZE_ENABLED"]);
+          outputs[0].mavlink.unknownBits.should.equal(0x100);
+          done();
+        } catch (err) { done(err); }
+      });
+    });
+  });
+
+  it("lists the whole enum", function(done) {
+    load({ enumName: "MAV_STATE", mode: "list" }, (e, out) => {
+      run(e, out, [null], (outputs) => {
+        try {
+          outputs[0].payload.should.have.properties({ MAV_STATE_UNINIT: 0, MAV_STATE_ACTIVE: 4 });
+          outputs[0].options.should.containDeep([{ MAV_STATE_STANDBY: 3 }]);
+          outputs[0].members[0].should.have.properties({ key: "MAV_STATE_UNINIT", value: 0 });
+          done();
+        } catch (err) { done(err); }
+      });
+    });
+  });
+});
@@ -0,0 +1,304 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const ftpNode = require("../mavlink-ftp.js");
+const ftp = require("../lib/mavlink-ftp");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+const { OPCODE, MAX_DATA } = ftp;
+const EOF = 6;
+const NO_SESSIONS = 5;
+
+describe("lib/mavlink-ftp", function() {
+  it("encodes the header into the 251-byte payload and decodes it back", function() {
+    const bytes = ftp.encodeFtp({
+      seq: 0x1234, session: 3, opcode: ftp.OPCODE.ReadFile, reqOpcode: 0,
+      burstComplete: true, offset: 0x01020304, data: Buffer.from("abc")
+    });
+    bytes.should.have.length(ftp.PAYLOAD_LEN);
+    bytes.slice(0, 12).should.eql([0x34, 0x12, 3, 5, 3, 0, 1, 0, 4, 3, 2, 1]);
+    const r = ftp.decodeFtp(bytes);
+    r.should.have.properties({ seq: 0x1234, session: 3, opcode: 5, size: 3, burstComplete: true, offset: 0x01020304 });
+    r.data.toString().should.equal("abc");
+  });
+
+  it("rejects data longer than the payload can carry", function() {
+    (() => ftp.encodeFtp({ seq: 0, opcode: ftp.OPCODE.WriteFile, data: Buffer.alloc(ftp.MAX_DATA + 1) }))
+      .should.throw(/too long/);
+  });
+
+  it("names NAK reasons, with the errno for FailErrno", function() {
+    ftp.nakReason(Buffer.from([5])).should.equal("NoSessionsAvailable");
+    ftp.nakReason(Buffer.from([2, 13])).should.equal("FailErrno 13");
+    ftp.nakReason(Buffer.from([99])).should.equal("error 99");
+  });
+
+  it("parses directory listings and counts skipped entries", function() {
+    const data = Buffer.from("Fparams.parm\t1024\0Dlogs\0S\0Fempty\0");
+    const { entries, count } = ftp.parseDirectoryListing(data);
+    count.should.equal(4);
+    entries.should.eql([
+      { name: "params.parm", type: "file", size: 1024 },
+      { name: "logs", type: "dir" },
+      { name: "empty", type: "file", size: 0 }
+    ]);
+  });
+
+  it("computes CRC32 with initial value 0 and no final XOR", function() {
+    ftp.crc32(Buffer.from("123456789")).should.equal(0x2dfd2d88);
+    ftp.crc32(Buffer.alloc(0)).should.equal(0);
+    // Chained over chunks like over the whole buffer
+    const a = Buffer.from("1234"), b = Buffer.from("56789");
+    ftp.crc32(b, ftp.crc32(a)).should.equal(0x2dfd2d88);
+  });
+});
+
+describe("mavlink-ftp", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-ftp-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  // A write that finishes after its operation ended must leave the node alone;
+  // errors thrown then only show up as unhandled rejections.
+  let rejections;
+  const onRejection = (e) => rejections.push(e);
+  beforeEach(function() {
+    rejections = [];
+    process.on("unhandledRejection", onRejection);
+  });
+  afterEach(function() { process.removeListener("unhandledRejection", onRejection); });
+
+  // 1000 bytes: chunks at 0, 239, 478, 717 and 956
+  const FILE = Buffer.from(Array.from({ length: 1000 }, (_, i) => (i * 7) & 0xff));
+
+  function load(ftpConfig, cb) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "f", type: "mavlink-ftp", schema: "s", timeout: 0.1, retries: 2, ...ftpConfig, wires: [["frames"], ["result"], []] },
+      { id: "frames", type: "helper" }, { id: "result", type: "helper" }
+    ];
+    helper.load([schemaNode, ftpNode], flow, () =>
+      cb(helper.getNode("s"), helper.getNode("f"), helper.getNode("frames"), helper.getNode("result")));
+  }
+
+  // Plays the vehicle: script(req) gives the replies to each FTP request, or
+  // functions to run in between. Returns the requests seen.
+  function vehicle(s, f, frames, script) {
+    const def = s.getMessages().FILE_TRANSFER_PROTOCOL;
+    const requests = [];
+    frames.on("input", (msg) => {
+      const req = ftp.decodeFtp(mav.unpackPayload(def, mav.parseFrameHeader(msg.payload).payload).payload);
+      requests.push(req);
+      for (const p of script(req) || []) {
+        if (typeof p === "function") { p(); continue; }
+        f.receive({ payload: mav.buildFrameV2(def, mav.packPayload(def, {
+          target_network: 0, target_system: 255, target_component: 190, payload: ftp.encodeFtp(p)
+        }), { sysid: 1, compid: 1 }) });
+      }
+    });
+    return requests;
+  }
+
+  const ack = (req, extra) => ({ seq: req.seq + 1, session: req.session, opcode: OPCODE.ACK, reqOpcode: req.opcode, offset: req.offset, ...extra });
+  const nak = (req, error) => ({ ...ack(req), opcode: OPCODE.NAK, data: Buffer.from([error]) });
+  const uint32 = (v) => { const b = Buffer.alloc(4); b.writeUInt32LE(v); return b; };
+  const opened = (req, size = FILE.length) => ack(req, { session: 3, data: uint32(size) });
+  const chunk = (req, offset, extra) => ack(req, { offset, data: FILE.subarray(offset, offset + MAX_DATA), ...extra });
+  const opcodes = (requests) => requests.map(r => r.opcode);
+
+  it("puts a burst back together from reordered chunks and reads lost ones again", function(done) {
+    load({}, (s, f, frames, result) => {
+      const requests = vehicle(s, f, frames, (req) => {
+        if (req.opcode === OPCODE.OpenFileRO) return [opened(req)];
+        if (req.opcode !== OPCODE.BurstReadFile) return;
+        // 717 is lost; the EOF NAK repeats the burst's start offset, as PX4's does
+        if (req.offset === 0) return [chunk(req, 239), chunk(req, 0), chunk(req, 478), chunk(req, 956), nak(req, EOF)];
+        return [chunk(req, 717), chunk(req, 956, { burstComplete: true })];
+      });
+      result.on("input", (msg) => {
+        try {
+          msg.payload.equals(FILE).should.be.true();
+          msg.crc32.should.equal(ftp.crc32(FILE));
+          opcodes(requests).should.eql([OPCODE.OpenFileRO, OPCODE.BurstReadFile, OPCODE.BurstReadFile, OPCODE.TerminateSession]);
+          requests[2].offset.should.equal(717);
+          done();
+        } catch (e) { done(e); }
+      });
+      f.receive({ operation: "download", path: "/logs/1.bin" });
+    });
+  });
+
+  it("resumes a download that stopped short of the size it was opened with", function(done) {
+    load({ burst: false, retries: 1, timeout: 0.05 }, (s, f, frames, result) => {
+      let shrunk = true;
+      const requests = vehicle(s, f, frames, (req) => {
+        if (req.opcode === OPCODE.OpenFileRO) return [opened(req)];
+        if (req.opcode !== OPCODE.ReadFile) return;
+        return [shrunk && req.offset >= 478 ? nak(req, EOF) : chunk(req, req.offset)];
+      });
+      const results = [];
+      result.on("input", (msg) => {
+        results.push(msg.payload);
+        try {
+          if (results.length === 1) {
+            msg.payload.should.have.properties({ ok: false, resumable: true, error: "File ended at 478 of 1000 bytes" });
+            shrunk = false;
+            requests.length = 0;
+            return f.receive({ operation: "download", path: "/logs/1.bin", resume: true });
+          }
+          msg.payload.equals(FILE).should.be.true();
+          requests.filter(r => r.opcode === OPCODE.ReadFile).map(r => r.offset).should.eql([478, 717, 956]);
+          done();
+        } catch (e) { done(e); }
+      });
+      f.receive({ operation: "download", path: "/logs/1.bin" });
+    });
+  });
+
+  it("resets the vehicle's sessions once when none is free", function(done) {
+    load({}, (s, f, frames, result) => {
+      let busy = true;
+      const requests = vehicle(s, f, frames, (req) => {
+        if (req.opcode === OPCODE.OpenFileRO) return [busy ? nak(req, NO_SESSIONS) : opened(req, MAX_DATA)];
+        if (req.opcode === OPCODE.ResetSessions) { busy = false; return [ack(req)]; }
+        if (req.opcode === OPCODE.BurstReadFile) return [chunk(req, 0, { burstComplete: true })];
+      });
+      result.on("input", (msg) => {
+        try {
+          msg.payload.equals(FILE.subarray(0, MAX_DATA)).should.be.true();
+          opcodes(requests).should.eql([OPCODE.OpenFileRO, OPCODE.ResetSessions, OPCODE.OpenFileRO, OPCODE.BurstReadFile, OPCODE.TerminateSession]);
+          done();
+        } catch (e) { done(e); }
+      });
+      f.receive({ operation: "download", path: "/logs/1.bin" });
+    });
+  });
+
+  it("ignores replies that don't answer the last request", function(done) {
+    load({}, (s, f, frames, result) => {
+      vehicle(s, f, frames, (req) => [
+        ack(req, { seq: req.seq, data: uint32(111) }),                              // stale sequence number
+        { ...ack(req, { data: uint32(333) }), reqOpcode: OPCODE.RemoveFile },        // answers another opcode
+        ack(req, { data: uint32(222) })
+      ]);
+      result.on("input", (msg) => {
+        try {
+          msg.payload.should.eql({ operation: "crc", path: "/a.txt", ok: true, crc32: 222 });
+          done();
+        } catch (e) { done(e); }
+      });
+      f.receive({ operation: "crc", path: "/a.txt" });
+    });
+  });
+
+  // The vehicle's copy of an upload; `flip` corrupts the byte at that offset.
+  function uploadVehicle(s, f, frames, data, flip) {
+    const stored = Buffer.alloc(data.length);
+    const requests = vehicle(s, f, frames, (req) => {
+      if (req.opcode === OPCODE.CreateFile) return [ack(req, { session: 2 })];
+      if (req.opcode === OPCODE.WriteFile) {
+        req.data.copy(stored, req.offset);
+        if (flip !== undefined && flip >= req.offset && flip < req.offset + req.data.length) stored[flip] ^= 0xff;
+        return [ack(req)];
+      }
+      if (req.opcode === OPCODE.CalcFileCRC32) return [ack(req, { data: uint32(ftp.crc32(stored)) })];
+    });
+    return { requests, stored };
+  }
+
+  it("uploads in chunks and checks the vehicle's CRC32", function(done) {
+    const data = FILE.subarray(0, 600);
+    load({}, (s, f, frames, result) => {
+      const { requests, stored } = uploadVehicle(s, f, frames, data);
+      result.on("input", (msg) => {
+        try {
+          msg.payload.should.eql({ operation: "upload", path: "/b.bin", ok: true, size: 600, crc32: ftp.crc32(data) });
+          stored.equals(data).should.be.true();
+          opcodes(requests).should.eql([OPCODE.CreateFile, OPCODE.WriteFile, OPCODE.WriteFile, OPCODE.WriteFile,
+            OPCODE.TerminateSession, OPCODE.CalcFileCRC32]);
+          requests.filter(r => r.opcode === OPCODE.WriteFile).map(r => r.offset).should.eql([0, 239, 478]);
+          done();
+        } catch (e) { done(e); }
+      });
+      f.receive({ operation: "upload", path: "/b.bin", payload: data });
+    });
+  });
+
+  it("fails an upload whose CRC32 doesn't match", function(done) {
+    const data = FILE.subarray(0, 600);
+    load({}, (s, f, frames, result) => {
+      uploadVehicle(s, f, frames, data, 300);
+      result.on("input", (msg) => {
+        try {
+          msg.payload.should.have.properties({ operation: "upload", ok: false });
+          msg.payload.error.should.match(/^CRC32 mismatch after upload/);
+          done();
+        } catch (e) { done(e); }
+      });
+      f.receive({ operation: "upload", path: "/b.bin", payload: data });
+    });
+  });
+
+  // Serves FILE in one burst and runs `then` once the last chunk is in,
+  // while the download is being written to disk.
+  function downloadToDisk(s, f, frames, then) {
+    vehicle(s, f, frames, (req) => {
+      if (req.opcode === OPCODE.OpenFileRO) return [opened(req)];
+      if (req.opcode === OPCODE.BurstReadFile) {
+        return [0, 239, 478, 717].map(o => chunk(req, o)).concat(chunk(req, 956, { burstComplete: true }), then);
+      }
+    });
+  }
+
+  it("reports a cancel that comes while the download is being written, and nothing after", function(done) {
+    load({}, (s, f, frames, result) => {
+      const results = [];
+      result.on("input", msg => results.push(msg.payload));
+      downloadToDisk(s, f, frames, () => f.receive({ operation: "cancel" }));
+      f.receive({ operation: "download", path: "/logs/1.bin", filename: path.join(cacheDir, "cancelled.bin") });
+      setTimeout(() => {
+        try {
+          results.should.have.length(1);
+          results[0].should.have.properties({ operation: "download", ok: false, error: "Cancelled" });
+          rejections.should.be.empty();
+          done();
+        } catch (e) { done(e); }
+      }, 150);
+    });
+  });
+
+  it("ends a download that is being written when the node closes", function(done) {
+    load({}, (s, f, frames, result) => {
+      const results = [];
+      const errors = [];
+      result.on("input", msg => results.push(msg.payload));
+      f.error = (e) => errors.push(String(e));
+      downloadToDisk(s, f, frames, () => {
+        helper.unload().then(() => setTimeout(() => {
+          try {
+            results.should.be.empty();
+            errors.should.eql(["Error: FTP download stopped: node closed"]);
+            fs.existsSync(path.join(cacheDir, "closed.bin")).should.be.true();
+            rejections.should.be.empty();
+            done();
+          } catch (e) { done(e); }
+        }, 100));
+      });
+      f.receive({ operation: "download", path: "/logs/1.bin", filename: path.join(cacheDir, "closed.bin") });
+    });
+  });
+});
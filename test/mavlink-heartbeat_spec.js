@@ -0,0 +1,90 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const heartbeatNode = require("../mavlink-heartbeat.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-heartbeat", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-heartbeat-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  function load(hbConfig, cb) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "hb", type: "mavlink-heartbeat", schema: "s", rate: 0, ...hbConfig, wires: [["frames"], ["events"]] },
+      { id: "frames", type: "helper" }, { id: "events", type: "helper" }
+    ];
+    helper.load([schemaNode, heartbeatNode], flow, () => cb(helper.getNode("s"), helper.getNode("hb"), helper.getNode("frames"), helper.getNode("events")));
+  }
+
+  function heartbeat(s, sysid, compid, type, autopilot) {
+    const def = s.getMessages().HEARTBEAT;
+    return mav.buildFrameV2(def, mav.packPayload(def, { type, autopilot, mavlink_version: 3 }), { sysid, compid });
+  }
+
+  it("tracks each autopilot component and ignores ground stations and peripherals", function(done) {
+    load({}, (s, hb, frames, events) => {
+      const seen = [];
+      events.on("input", msg => seen.push(msg.payload));
+      hb.receive({ payload: Buffer.concat([
+        heartbeat(s, 1, 1, 2, 3),     // quadrotor, ArduPilot
+        heartbeat(s, 1, 2, 2, 3),     // second autopilot component of the same system
+        heartbeat(s, 1, 100, 30, 8),  // camera: MAV_AUTOPILOT_INVALID
+        heartbeat(s, 250, 190, 6, 8), // another ground station
+        heartbeat(s, 1, 1, 2, 3)      // repeated: no new event
+      ]) });
+      setImmediate(() => {
+        try {
+          seen.map(p => [p.event, p.sysid, p.compid]).should.eql([["connect", 1, 1], ["connect", 1, 2]]);
+          seen[0].type.should.eql({ value: 2, name: "MAV_TYPE_QUADROTOR" });
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+
+  it("sends its heartbeat as MAVLink 1 when asked to", function(done) {
+    load({ rate: 50, protocolVersion: "1", mavType: "MAV_TYPE_GCS" }, (s, hb, frames) => {
+      frames.once("input", (msg) => {
+        try {
+          msg.payload[0].should.equal(mav.MAGIC_V1);
+          msg.mavlink.should.have.properties({ name: "HEARTBEAT", version: 1, sysid: 255, compid: 190 });
+          const hdr = mav.parseFrameHeader(msg.payload);
+          mav.unpackPayload(s.getMessages().HEARTBEAT, hdr.payload).should.have.properties({ type: 6, autopilot: 8, system_status: 4 });
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+
+  it("reports invalid heartbeat settings instead of sending", function(done) {
+    load({ rate: 50, mavType: "MAV_TYPE_BOGUS" }, (s, hb, frames) => {
+      frames.on("input", () => done(new Error("heartbeat sent")));
+      hb.on("call:status", function check(call) {
+        if (call.args[0].fill !== "red") return;
+        hb.removeListener("call:status", check);
+        try {
+          call.args[0].text.should.match(/type: Key "MAV_TYPE_BOGUS" not found in enum "MAV_TYPE"/);
+          frames.removeAllListeners("input");
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+});
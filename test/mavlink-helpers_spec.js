@@ -0,0 +1,227 @@
+const should = require("should");
+const mav = require("../lib/mavlink-helpers");
+
+const HEARTBEAT = { name: "HEARTBEAT", id: 0, fields: [
+  { name: "type", type: "uint8_t" }, { name: "autopilot", type: "uint8_t" },
+  { name: "base_mode", type: "uint8_t" }, { name: "custom_mode", type: "uint32_t" },
+  { name: "system_status", type: "uint8_t" }, { name: "mavlink_version", type: "uint8_t" }
+] };
+HEARTBEAT.crc = mav.computeCrcExtra(HEARTBEAT.name, HEARTBEAT.fields);
+
+function heartbeat(seq, opts) {
+  const payload = mav.packPayload(HEARTBEAT, { type: 2, autopilot: 3, base_mode: 81, custom_mode: 4, system_status: 4, mavlink_version: 3 });
+  return mav.buildFrameV2(HEARTBEAT, payload, { seq, ...opts });
+}
+
+describe("lib/mavlink-helpers", function() {
+  describe("rawFields", function() {
+    const def = { name: "TEST", id: 1, fields: [
+      { name: "lat", type: "int32_t", units: "degE7" },
+      { name: "voltage", type: "float", units: "mV" },
+      { name: "state", type: "uint8_t", enum: "MAV_STATE" },
+      { name: "modes", type: "uint8_t[2]" }
+    ] };
+
+    it("unwraps decoded enums and undoes unit scaling", function() {
+      const msg = {
+        payload: { lat: 47.3977418, voltage: 12.6, state: { value: 4, name: "MAV_STATE_ACTIVE" },
+          modes: [{ value: 1, flags: ["A"] }, { value: 0, flags: [] }] },
+        mavlink: { units: { lat: "deg", voltage: "V" } }
+      };
+      mav.rawFields(def, msg).should.eql({ lat: 473977418, voltage: 12600, state: 4, modes: [1, 0] });
+    });
+
+    it("leaves attached but unscaled units alone", function() {
+      const msg = { payload: { lat: 473977418, voltage: 12600, state: 4 }, mavlink: { units: { lat: "degE7", voltage: "mV" } } };
+      mav.rawFields(def, msg).should.eql({ lat: 473977418, voltage: 12600, state: 4 });
+    });
+
+    it("reverses what decodeEnumFields and applyUnits do", function() {
+      const enums = {
+        MAV_STATE: [{ key: "MAV_STATE_STANDBY", value: 3 }, { key: "MAV_STATE_ACTIVE", value: 4 }],
+        MAV_MODE_FLAG: [{ key: "MAV_MODE_FLAG_SAFETY_ARMED", value: 128, isBitmask: true }, { key: "MAV_MODE_FLAG_TEST_ENABLED", value: 2, isBitmask: true }]
+      };
+      const flagsDef = { ...def, fields: [...def.fields.slice(0, 3), { name: "modes", type: "uint8_t[2]", enum: "MAV_MODE_FLAG", display: "bitmask" }] };
+      const raw = { lat: 473977418, voltage: 12600, state: 4, modes: [130, 0] };
+      const payload = mav.decodeEnumFields(flagsDef, { ...raw }, enums);
+      const units = mav.applyUnits(flagsDef, payload, true);
+      units.should.eql({ lat: "deg", voltage: "V" });
+      payload.should.eql({
+        lat: 47.3977418, voltage: 12.6, state: { value: 4, name: "MAV_STATE_ACTIVE" },
+        modes: [{ value: 130, flags: ["MAV_MODE_FLAG_TEST_ENABLED", "MAV_MODE_FLAG_SAFETY_ARMED"] }, { value: 0, flags: [] }]
+      });
+      mav.rawFields(flagsDef, { payload, mavlink: { units } }).should.eql(raw);
+      mav.applyUnits(flagsDef, { lat: 1 }, false).should.eql({ lat: "degE7" });
+    });
+  });
+
+  describe("messageLayout", function() {
+    // Fields as listed in the XML; "ext" comes after the <extensions/> marker.
+    const def = { name: "TEST", id: 2, fields: [
+      { name: "small", type: "uint8_t" }, { name: "pair", type: "uint16_t", arrayLen: 2 },
+      { name: "big", type: "uint32_t" }, { name: "ext8", type: "uint8_t", extension: true },
+      { name: "ext32", type: "uint32_t", extension: true }
+    ] };
+
+    it("sorts base fields by type size and keeps extension fields after them in XML order", function() {
+      const layout = mav.messageLayout(def);
+      layout.fields.map(f => [f.name, f.offset]).should.eql([["big", 0], ["pair", 4], ["small", 8], ["ext8", 9], ["ext32", 10]]);
+      layout.baseLength.should.equal(9);
+      layout.length.should.equal(14);
+    });
+
+    it("leaves extension fields out of CRC_EXTRA", function() {
+      mav.computeCrcExtra("TEST", def.fields).should.equal(mav.computeCrcExtra("TEST", def.fields.filter(f => !f.extension)));
+    });
+
+    it("packs and unpacks every field at its wire offset", function() {
+      const values = { small: 1, pair: [0x203, 0x405], big: 0x6070809, ext8: 10, ext32: 0xb0c0d0e };
+      const payload = mav.packPayload(def, values);
+      payload.toString("hex").should.equal("09080706" + "03020504" + "01" + "0a" + "0e0d0c0b");
+      mav.unpackPayload(def, payload).should.eql(values);
+    });
+  });
+
+  describe("payload truncation", function() {
+    it("strips trailing zero bytes on build and pads them back on parse", function() {
+      const fields = { type: 2, autopilot: 3, base_mode: 81, custom_mode: 4, system_status: 0, mavlink_version: 0 };
+      const frame = mav.buildFrameV2(HEARTBEAT, mav.packPayload(HEARTBEAT, fields), {});
+      const hdr = mav.parseFrameHeader(frame);
+      hdr.len.should.equal(7);
+      frame.length.should.equal(10 + 7 + 2);
+      mav.checkFrameCrc(frame, HEARTBEAT.crc).should.be.true();
+      mav.unpackPayload(HEARTBEAT, hdr.payload).should.eql(fields);
+    });
+
+    it("keeps one byte of an all-zero payload", function() {
+      const frame = mav.buildFrameV2(HEARTBEAT, Buffer.alloc(9), {});
+      mav.parseFrameHeader(frame).len.should.equal(1);
+      mav.unpackPayload(HEARTBEAT, mav.parseFrameHeader(frame).payload).custom_mode.should.equal(0);
+    });
+  });
+
+  describe("MAVLink 1 framing", function() {
+    const fields = { type: 2, autopilot: 3, base_mode: 81, custom_mode: 4, system_status: 0, mavlink_version: 0 };
+
+    it("builds an untruncated frame with the v1 header", function() {
+      const frame = mav.buildFrameV1(HEARTBEAT, mav.packPayload(HEARTBEAT, fields), { seq: 7, sysid: 42, compid: 190 });
+      frame.length.should.equal(6 + 9 + 2);
+      frame.subarray(0, 6).should.eql(Buffer.from([mav.MAGIC_V1, 9, 7, 42, 190, 0]));
+      const hdr = mav.parseFrameHeader(frame);
+      hdr.should.have.properties({ version: 1, len: 9, seq: 7, sysid: 42, compid: 190, msgid: 0 });
+      mav.checkFrameCrc(frame, HEARTBEAT.crc).should.be.true();
+      mav.checkFrameCrc(frame, HEARTBEAT.crc ^ 1).should.be.false();
+      mav.unpackPayload(HEARTBEAT, hdr.payload).should.eql(fields);
+    });
+
+    it("drops extension fields and refuses message ids above 255", function() {
+      const def = { name: "TEST", id: 2, crc: 0, fields: [
+        { name: "a", type: "uint16_t" }, { name: "ext", type: "uint8_t", extension: true }
+      ] };
+      const frame = mav.buildFrameV1(def, mav.packPayload(def, { a: 0x102, ext: 9 }), {});
+      mav.parseFrameHeader(frame).payload.should.eql(Buffer.from([2, 1]));
+      (() => mav.buildFrameV1({ ...def, id: 300 }, Buffer.alloc(2), {})).should.throw(/cannot be sent as MAVLink 1/);
+    });
+
+    it("is found alongside v2 frames when scanning", function() {
+      const v1 = mav.buildFrameV1(HEARTBEAT, mav.packPayload(HEARTBEAT, fields), { seq: 1 });
+      const crcExtraFor = id => id === 0 ? HEARTBEAT.crc : undefined;
+      const found = [...mav.scanFrames(Buffer.concat([Buffer.from([0x55]), v1, heartbeat(2), v1]), crcExtraFor)];
+      found.map(f => [f.version, f.crcOk, mav.parseFrameHeader(f.frameBuf).seq]).should.eql([[1, true, 1], [2, true, 2], [1, true, 1]]);
+    });
+  });
+
+  describe("signing", function() {
+    it("takes 64 hex digits as the key and hashes anything else", function() {
+      const hex = "00".repeat(31) + "ff";
+      mav.signingKeyFrom(hex).should.eql(Buffer.from(hex, "hex"));
+      mav.signingKeyFrom("secret").toString("hex")
+        .should.equal("2bb80d537b1da3e38bd30361aa855686bde0eacd7162fef6a25fe97bf527a25b");
+    });
+
+    it("verifies the signature over the frame, link id and timestamp", function() {
+      const key = mav.signingKeyFrom("secret");
+      const frame = heartbeat(1, { signing: { key, linkId: 3, timestamp: 123456789 } });
+      const hdr = mav.parseFrameHeader(frame);
+      hdr.should.have.properties({ signed: true, linkId: 3, timestamp: 123456789 });
+      (hdr.incompatFlags & mav.IFLAG_SIGNED).should.equal(mav.IFLAG_SIGNED);
+      frame.length.should.equal(10 + hdr.len + 2 + mav.SIGNATURE_LEN);
+      mav.verifySignature(frame, key).should.be.true();
+      mav.verifySignature(frame, mav.signingKeyFrom("other")).should.be.false();
+      const tampered = Buffer.from(frame);
+      tampered[10] ^= 1;
+      mav.verifySignature(tampered, key).should.be.false();
+      mav.verifySignature(heartbeat(1), key).should.be.false();
+    });
+  });
+
+  describe("MavlinkStreamParser", function() {
+    const crcExtraFor = id => id === 0 ? HEARTBEAT.crc : undefined;
+
+    it("reassembles frames split across chunks and resyncs after noise", function() {
+      const parser = new mav.MavlinkStreamParser({ crcExtraFor });
+      const stream = Buffer.concat([Buffer.from([1, 2, 0xfd]), heartbeat(1), Buffer.from([0xff]), heartbeat(2)]);
+      const frames = [];
+      for (let i = 0; i < stream.length; i += 7) frames.push(...parser.push(stream.subarray(i, i + 7)));
+      frames.map(f => f[4]).should.eql([1, 2]);
+      parser.stats.should.have.properties({ bytesIn: stream.length, framesOk: 2, bytesDropped: 4 });
+    });
+
+    it("drops frames that fail the CRC", function() {
+      const parser = new mav.MavlinkStreamParser({ crcExtraFor });
+      const bad = heartbeat(1);
+      bad[bad.length - 1] ^= 0xff;
+      parser.push(Buffer.concat([bad, heartbeat(2)])).map(f => f[4]).should.eql([2]);
+      parser.stats.crcErrors.should.equal(1);
+    });
+
+    it("passes frames of unknown messages on unvalidated and counts them", function() {
+      const parser = new mav.MavlinkStreamParser({ crcExtraFor });
+      const other = mav.buildFrameV2({ ...HEARTBEAT, id: 42000, crc: 7 }, Buffer.from([1, 2, 3]), { seq: 5 });
+      const frames = parser.push(Buffer.concat([other, heartbeat(6)]));
+      frames.should.have.length(2);
+      frames[0].should.eql(other);
+      parser.stats.should.have.properties({ framesOk: 1, unknownMsgid: 1, bytesDropped: 0 });
+      // Not followed by a frame: taken for a false start
+      parser.push(Buffer.concat([other, Buffer.from([0x55]), heartbeat(7)])).map(f => f[4]).should.eql([7]);
+      parser.stats.unknownMsgid.should.equal(1);
+    });
+
+    it("caps its buffer", function() {
+      const parser = new mav.MavlinkStreamParser({ crcExtraFor, maxBuffer: 64 });
+      const frame = heartbeat(1);
+      // A header promising a 255-byte payload never completes
+      parser.push(Buffer.from([0xfd, 255, 0, 0, 0, 1, 1, 0, 0, 0])).should.eql([]);
+      parser.push(Buffer.alloc(100)).should.eql([]);
+      parser.stats.overflows.should.equal(1);
+      parser.push(frame).should.have.length(1);
+    });
+  });
+
+  describe("validatePayload", function() {
+    const def = { name: "TEST", id: 1, fields: [
+      { name: "count", type: "uint8_t" }, { name: "offset", type: "int16_t" },
+      { name: "flag", type: "char" }, { name: "label", type: "char", arrayLen: 4 }
+    ] };
+
+    it("accepts a char as 0..255 or one character", function() {
+      mav.validatePayload(def, { count: 1, offset: -2, flag: 200, label: "ab" }).errors.should.eql([]);
+      mav.validatePayload(def, { count: 1, offset: -2, flag: "X", label: "ab" }).errors.should.eql([]);
+      mav.unpackPayload(def, mav.packPayload(def, { flag: "X" })).flag.should.equal(88);
+      mav.unpackPayload(def, mav.packPayload(def, { flag: 200 })).flag.should.equal(200);
+    });
+
+    it("reports out-of-range and mistyped values", function() {
+      mav.validatePayload(def, { count: 256, offset: 1.5, flag: "XY", label: "abcde", extra: 1 }).errors.should.eql([
+        "extra: unknown field",
+        "count: 256 out of range for uint8_t (0..255)",
+        "offset: expected an integer, got 1.5",
+        'flag: expected an integer, got "XY"',
+        "label: 5 bytes exceed char[4]"
+      ]);
+      mav.validatePayload(def, { count: 0, offset: 0, flag: -1, label: "" }).errors.should.eql([
+        "flag: -1 out of range for char (0..255)"
+      ]);
+    });
+  });
+});
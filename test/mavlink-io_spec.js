@@ -0,0 +1,218 @@
+const dgram = require("dgram");
+const fs = require("fs");
+const net = require("net");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const ioNode = require("../mavlink-io.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+const PORT = 24551;
+
+describe("mavlink-io", function() {
+  this.timeout(5000);
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-io-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  let sockets = [];
+  afterEach(function() {
+    sockets.forEach(sock => sock.destroy ? sock.destroy() : sock.close());
+    sockets = [];
+    return helper.unload();
+  });
+
+  function load(ioConfig, cb) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "io", type: "mavlink-io", schema: "s", mode: "udp", localPort: PORT, ...ioConfig, wires: [["out"], ["out"], ["stats"]] },
+      { id: "out", type: "helper" },
+      { id: "stats", type: "helper" }
+    ];
+    helper.load([schemaNode, ioNode], flow, () => cb(helper.getNode("s"), helper.getNode("out"), helper.getNode("stats")));
+  }
+
+  function socket() {
+    return new Promise((resolve) => {
+      const sock = dgram.createSocket("udp4");
+      sockets.push(sock);
+      sock.bind(0, "127.0.0.1", () => resolve(sock));
+    });
+  }
+
+  it("decodes the datagrams of each UDP sender separately", function(done) {
+    load({ statsInterval: 0 }, (s, out, stats) => {
+      const def = s.getMessages().HEARTBEAT;
+      const frame = sysid => mav.buildFrameV2(def, mav.packPayload(def, { type: 2, mavlink_version: 3 }), { sysid });
+      stats.on("input", () => done(new Error("stats sent with Stats every 0")));
+      Promise.all([socket(), socket()]).then(([a, b]) => {
+        const fa = frame(1), fb = frame(2);
+        const seen = [];
+        out.on("input", (msg) => {
+          seen.push(msg.payload[5]);
+          msg.remote.port.should.equal(msg.payload[5] === 1 ? a.address().port : b.address().port);
+          if (seen.length < 2) return;
+          try {
+            seen.sort().should.eql([1, 2]);
+            done();
+          } catch (e) { done(e); }
+        });
+        // Halves of two frames, interleaved between the senders
+        const send = (sock, buf) => new Promise(r => sock.send(buf, PORT, "127.0.0.1", r));
+        send(a, fa.subarray(0, 8))
+          .then(() => send(b, fb.subarray(0, 8)))
+          .then(() => send(a, fa.subarray(8)))
+          .then(() => send(b, fb.subarray(8)));
+      });
+    });
+  });
+
+  function heartbeat(s, sysid) {
+    const def = s.getMessages().HEARTBEAT;
+    return mav.buildFrameV2(def, mav.packPayload(def, { type: 2, mavlink_version: 3 }), { sysid });
+  }
+
+  it("serves TCP clients: decodes what they send and writes frames to them", function(done) {
+    load({ mode: "tcp-server", statsInterval: 0 }, (s, out) => {
+      const frame = heartbeat(s, 1);
+      const client = net.connect(PORT, "127.0.0.1");
+      sockets.push(client);
+      client.on("data", (data) => {
+        try {
+          data.should.eql(Buffer.from([1, 2, 3]));
+          done();
+        } catch (e) { done(e); }
+      });
+      out.on("input", (msg) => {
+        try {
+          msg.payload.should.eql(frame);
+          msg.remote.port.should.equal(client.localPort);
+        } catch (e) { return done(e); }
+        // The client is known to the server once its frame came through.
+        helper.getNode("io").receive({ payload: Buffer.from([1, 2, 3]) });
+      });
+      client.on("connect", () => {
+        client.write(frame.subarray(0, 5));
+        setTimeout(() => client.write(frame.subarray(5)), 10);
+      });
+    });
+  });
+
+  it("connects to a TCP server as client", function(done) {
+    const server = net.createServer((conn) => {
+      sockets.push(conn);
+      conn.on("data", (data) => {
+        try {
+          data.should.eql(Buffer.from([4, 5, 6]));
+          done();
+        } catch (e) { done(e); }
+      });
+      conn.write(heartbeat(helper.getNode("s"), 7));
+    });
+    sockets.push(server);
+    server.listen(PORT, "127.0.0.1", () => {
+      load({ mode: "tcp-client", remoteHost: "127.0.0.1", remotePort: PORT, statsInterval: 0 }, (s, out) => {
+        out.on("input", (msg) => {
+          try { msg.payload[5].should.equal(7); } catch (e) { return done(e); }
+          helper.getNode("io").receive({ payload: Buffer.from([4, 5, 6]) });
+        });
+      });
+    });
+  });
+
+  // Resolves with the first datagram the socket receives, or null after 100 ms.
+  function nextDatagram(sock) {
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => resolve(null), 100);
+      sock.once("message", (data) => { clearTimeout(timer); resolve(data); });
+    });
+  }
+
+  it("replies to the last UDP sender when learning the remote", function(done) {
+    load({ udpTarget: "learn", statsInterval: 0 }, (s, out) => {
+      const io = helper.getNode("io");
+      Promise.all([socket(), socket()]).then(([a, b]) => {
+        let step = 0;
+        out.on("input", () => {
+          if (++step === 1) {
+            Promise.all([nextDatagram(a), nextDatagram(b)]).then(([da, db]) => {
+              try {
+                da.should.eql(Buffer.from([1]));
+                should(db).be.null();
+              } catch (e) { return done(e); }
+              b.send(heartbeat(s, 2), PORT, "127.0.0.1");
+            });
+            io.receive({ payload: Buffer.from([1]) });
+          } else {
+            nextDatagram(b).then((db) => {
+              try {
+                db.should.eql(Buffer.from([2]));
+                done();
+              } catch (e) { done(e); }
+            });
+            io.receive({ payload: Buffer.from([2]) });
+          }
+        });
+        a.send(heartbeat(s, 1), PORT, "127.0.0.1");
+      });
+    });
+  });
+
+  it("sends to the endpoint of msg.targetSystem when learning remotes per sysid", function(done) {
+    load({ udpTarget: "learn-sysid", statsInterval: 0 }, (s, out) => {
+      const io = helper.getNode("io");
+      Promise.all([socket(), socket()]).then(([a, b]) => {
+        let received = 0;
+        out.on("input", () => {
+          if (++received < 2) return;
+          Promise.all([nextDatagram(a), nextDatagram(b)]).then(([da, db]) => {
+            try {
+              should(da).be.null();
+              db.should.eql(Buffer.from([2]));
+              done();
+            } catch (e) { done(e); }
+          });
+          io.receive({ payload: Buffer.from([9]), targetSystem: 3 }); // unknown sysid: dropped
+          io.receive({ payload: Buffer.from([2]), targetSystem: 2 });
+        });
+        a.send(heartbeat(s, 1), PORT, "127.0.0.1");
+        b.send(heartbeat(s, 2), PORT, "127.0.0.1");
+      });
+    });
+  });
+
+  it("keeps decoders for the 64 most recently heard UDP senders only", function(done) {
+    load({ statsInterval: 0 }, (s, out) => {
+      Promise.all(Array.from({ length: 65 }, socket)).then(([first, ...others]) => {
+        const send = (sock, buf) => new Promise(r => sock.send(buf, PORT, "127.0.0.1", r));
+        const seen = [];
+        out.on("input", msg => seen.push(msg.payload[5]));
+        const frame = heartbeat(s, 200);
+        // The first sender's frame is split around 64 other senders; its
+        // decoder, holding the first half, is dropped in between.
+        send(first, frame.subarray(0, 8))
+          .then(() => Promise.all(others.map((sock, i) => send(sock, heartbeat(s, i + 1)))))
+          .then(() => new Promise(r => setTimeout(r, 50)))
+          .then(() => send(first, frame.subarray(8)))
+          .then(() => setTimeout(() => {
+            try {
+              seen.length.should.equal(64);
+              seen.should.not.containEql(200);
+              done();
+            } catch (e) { done(e); }
+          }, 50));
+      });
+    });
+  });
+});
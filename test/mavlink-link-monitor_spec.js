@@ -0,0 +1,167 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const parseNode = require("../mavlink-parse.js");
+const monitorNode = require("../mavlink-link-monitor.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-link-monitor", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-link-monitor-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  // Reports every 50 ms; the parse node sits in front of "lm" for decoded input.
+  function load(monConfig, cb, xmlPaths = FIXTURE) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths, cacheDir },
+      { id: "p", type: "mavlink-parse", schema: "s", wires: [["lm"]] },
+      { id: "lm", type: "mavlink-link-monitor", schema: "s", interval: 0.05, timesyncRate: 0, ...monConfig, wires: [["probes"], ["stats"]] },
+      { id: "probes", type: "helper" }, { id: "stats", type: "helper" }
+    ];
+    helper.load([schemaNode, parseNode, monitorNode], flow, () =>
+      cb(helper.getNode("s"), helper.getNode("p"), helper.getNode("lm"), helper.getNode("stats")));
+  }
+
+  function attitude(s, seq, sysid = 1) {
+    const def = s.getMessages().ATTITUDE;
+    return mav.buildFrameV2(def, mav.packPayload(def, { time_boot_ms: seq }), { seq, sysid, compid: 1 });
+  }
+
+  // The first report with traffic in it
+  function nextReport(stats, cb) {
+    stats.on("input", function check(msg) {
+      if (!msg.payload.received) return;
+      stats.removeListener("input", check);
+      try { cb(msg.payload); } catch (e) { cb.fail(e); }
+    });
+  }
+
+  it("counts gaps in the sequence as lost and repeats as duplicates", function(done) {
+    load({}, (s, p, lm, stats) => {
+      const check = (report) => {
+        report.links.map(l => [l.sysid, l.received, l.lost, l.duplicates]).should.eql([[1, 6, 3, 1]]);
+        report.links[0].messages.should.have.property("ATTITUDE");
+        report.loss.should.equal(33.3);
+        done();
+      };
+      check.fail = done;
+      nextReport(stats, check);
+      // 0, 1, 1 (duplicate), 4 (2 and 3 lost), 250 (restart, no loss), 252 (251 lost); sysid 255 is ours
+      lm.receive({ payload: Buffer.concat([0, 1, 1, 4].map(seq => attitude(s, seq))) });
+      lm.receive({ payload: attitude(s, 9, 255) });
+      lm.receive({ payload: Buffer.concat([250, 252].map(seq => attitude(s, seq))) });
+    });
+  });
+
+  it("skips raw frames of known messages that fail the CRC", function(done) {
+    load({}, (s, p, lm, stats) => {
+      const check = (report) => {
+        report.links[0].received.should.equal(2);
+        report.links[0].lost.should.equal(1);
+        done();
+      };
+      check.fail = done;
+      nextReport(stats, check);
+      const bad = attitude(s, 1);
+      bad[bad.length - 1] ^= 0xff;
+      lm.receive({ payload: Buffer.concat([attitude(s, 0), bad, attitude(s, 2)]) });
+    });
+  });
+
+  it("counts parse outputs of unknown messages from their raw frame", function(done) {
+    load({}, (s, p, lm, stats) => {
+      const check = (report) => {
+        report.links[0].received.should.equal(3);
+        report.links[0].lost.should.equal(1);
+        report.links[0].messages.should.have.properties(["ATTITUDE", "9999"]);
+        done();
+      };
+      check.fail = done;
+      nextReport(stats, check);
+      const unknown = mav.buildFrameV2({ id: 9999, crc: 0 }, Buffer.from([1, 2, 3]), { seq: 1, sysid: 1, compid: 1 });
+      p.receive({ payload: Buffer.concat([attitude(s, 0), unknown, attitude(s, 3)]) });
+    });
+  });
+
+  it("counts decoded messages without their frame but no gaps between them", function(done) {
+    load({}, (s, p, lm, stats) => {
+      const check = (report) => {
+        report.links.map(l => [l.sysid, l.received, l.lost, l.duplicates]).should.eql([[1, 2, 0, 0]]);
+        report.links[0].messages.should.have.property("ATTITUDE");
+        done();
+      };
+      check.fail = done;
+      nextReport(stats, check);
+      // e.g. behind a throttle: 1..4 were dropped on purpose
+      for (const seq of [0, 5]) {
+        lm.receive({ payload: { time_boot_ms: seq }, mavlink: { name: "ATTITUDE", msgid: 30, seq, sysid: 1, compid: 1 } });
+      }
+    });
+  });
+
+  it("probes with TIMESYNC at the configured rate", function(done) {
+    load({ timesyncRate: 50 }, (s, p, lm) => {
+      const probes = helper.getNode("probes");
+      probes.on("input", function check(msg) {
+        probes.removeListener("input", check);
+        try {
+          msg.mavlink.name.should.equal("TIMESYNC");
+          const hdr = mav.parseFrameHeader(msg.payload);
+          hdr.msgid.should.equal(111);
+          mav.unpackPayload(s.getMessages().TIMESYNC, hdr.payload).tc1.should.equal(0);
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+
+  it("warns once at startup when the schema has no TIMESYNC", function(done) {
+    const xml = path.join(cacheDir, "no-timesync.xml");
+    fs.writeFileSync(xml, `<?xml version="1.0"?>
+<mavlink><messages>
+  <message id="0" name="HEARTBEAT">
+    <field type="uint8_t" name="type">Type</field>
+  </message>
+</messages></mavlink>
+`);
+    const warnings = [];
+    const statuses = [];
+    helper.load([schemaNode, parseNode, monitorNode], [
+      { id: "s", type: "mavlink-schema", dialectName: "notimesync", xmlPaths: xml, cacheDir },
+      { id: "lm", type: "mavlink-link-monitor", schema: "s", interval: 0.05, timesyncRate: 50, wires: [["probes"], ["stats"]] },
+      { id: "probes", type: "helper" }, { id: "stats", type: "helper" }
+    ], () => {
+      const lm = helper.getNode("lm");
+      const probes = helper.getNode("probes");
+      const sent = [];
+      probes.on("input", msg => sent.push(msg));
+      lm.on("call:status", call => statuses.push(call.args[0]));
+      helper.log().args.filter(a => a[0].type === "mavlink-link-monitor" && a[0].level === helper.log().WARN)
+        .forEach(a => warnings.push(a[0].msg));
+      setTimeout(() => {
+        try {
+          warnings.length.should.equal(1);
+          String(warnings[0]).should.match(/TIMESYNC/);
+          sent.should.be.empty();
+          statuses.filter(st => st.fill === "red").should.be.empty();
+          done();
+        } catch (e) { done(e); }
+      }, 150);
+    });
+  });
+});
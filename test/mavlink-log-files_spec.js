@@ -0,0 +1,94 @@
+const should = require("should");
+const mav = require("../lib/mavlink-helpers");
+const logs = require("../lib/mavlink-log-files");
+
+const HEARTBEAT = { name: "HEARTBEAT", id: 0, crc: 50, fields: [{ name: "type", type: "uint8_t" }] };
+const frame = (seq, opts) => mav.buildFrameV2(HEARTBEAT, Buffer.from([seq + 1]), { seq, ...opts });
+
+// A pcap file: 24-byte global header, then a 16-byte header per packet.
+function pcap(packets, { linkType = 1, bigEndian = false, nanos = false } = {}) {
+  const u32 = (v) => { const b = Buffer.alloc(4); bigEndian ? b.writeUInt32BE(v) : b.writeUInt32LE(v); return b; };
+  const u16 = (v) => { const b = Buffer.alloc(2); bigEndian ? b.writeUInt16BE(v) : b.writeUInt16LE(v); return b; };
+  const parts = [u32(nanos ? 0xa1b23c4d : 0xa1b2c3d4), u16(2), u16(4), u32(0), u32(0), u32(65535), u32(linkType)];
+  for (const p of packets) parts.push(u32(p.sec), u32(p.frac), u32(p.data.length), u32(p.data.length), p.data);
+  return Buffer.concat(parts);
+}
+
+// IPv4 + UDP around a payload; protocol 6 makes it TCP.
+function ipv4(payload, srcPort, dstPort, protocol = 17) {
+  const ip = Buffer.alloc(20);
+  ip[0] = 0x45;
+  ip.writeUInt16BE(20 + 8 + payload.length, 2);
+  ip[9] = protocol;
+  const udp = Buffer.alloc(8);
+  udp.writeUInt16BE(srcPort, 0);
+  udp.writeUInt16BE(dstPort, 2);
+  udp.writeUInt16BE(8 + payload.length, 4);
+  return Buffer.concat([ip, udp, payload]);
+}
+
+function ethernet(ipPacket) {
+  const eth = Buffer.alloc(14);
+  eth.writeUInt16BE(0x0800, 12);
+  return Buffer.concat([eth, ipPacket]);
+}
+
+describe("lib/mavlink-log-files", function() {
+  describe("tlog", function() {
+    it("reads back what tlogRecord writes", function() {
+      const t0 = Date.UTC(2026, 0, 1) * 1000;
+      const signed = frame(1, { signing: { key: mav.signingKeyFrom("k"), linkId: 0, timestamp: 1 } });
+      const { records, skipped } = logs.parseTlog(Buffer.concat([logs.tlogRecord(frame(0), t0), logs.tlogRecord(signed, t0 + 1500)]));
+      skipped.should.equal(0);
+      records.map(r => r.time).should.eql([t0, t0 + 1500]);
+      records[0].frame.should.eql(frame(0));
+      records[1].frame.should.eql(signed);
+    });
+
+    it("skips damaged bytes and a truncated last record", function() {
+      const good = [logs.tlogRecord(frame(0), 1000), logs.tlogRecord(frame(1), 2000)];
+      const cut = logs.tlogRecord(frame(2), 3000);
+      const buf = Buffer.concat([good[0], Buffer.from([1, 2, 3]), good[1], cut.subarray(0, cut.length - 4)]);
+      const { records, skipped } = logs.parseTlog(buf);
+      records.map(r => mav.parseFrameHeader(r.frame).seq).should.eql([0, 1]);
+      skipped.should.equal(3 + cut.length - 4);
+    });
+  });
+
+  describe("pcap", function() {
+    it("extracts UDP payloads from Ethernet captures, optionally for one port", function() {
+      const buf = pcap([
+        { sec: 10, frac: 250, data: ethernet(ipv4(frame(0), 14550, 40000)) },
+        { sec: 11, frac: 0, data: ethernet(ipv4(frame(1), 5760, 5761, 6)) },  // TCP
+        { sec: 12, frac: 0, data: ethernet(ipv4(frame(2), 14551, 40001)) }
+      ]);
+      const { records } = logs.parsePcap(buf);
+      records.map(r => [r.time, r.srcPort, r.dstPort]).should.eql([[10000250, 14550, 40000], [12000000, 14551, 40001]]);
+      records[0].payload.should.eql(frame(0));
+      logs.parsePcap(buf, { port: 40001 }).records.map(r => r.srcPort).should.eql([14551]);
+    });
+
+    it("reads big-endian nanosecond captures with Linux cooked headers", function() {
+      const buf = pcap([{ sec: 1, frac: 2500, data: Buffer.concat([Buffer.alloc(16), ipv4(frame(3), 1, 2)]) }],
+        { linkType: 113, bigEndian: true, nanos: true });
+      const { records } = logs.parsePcap(buf);
+      records.length.should.equal(1);
+      records[0].time.should.equal(1000002);
+      records[0].payload.should.eql(frame(3));
+    });
+
+    it("rejects pcapng and unsupported link types", function() {
+      const ng = Buffer.alloc(28);
+      ng.writeUInt32LE(0x0a0d0d0a, 0);
+      (() => logs.parsePcap(ng)).should.throw(/pcapng is not supported/);
+      (() => logs.parsePcap(pcap([], { linkType: 147 }))).should.throw(/Unsupported pcap link type 147/);
+      (() => logs.parsePcap(Buffer.alloc(24))).should.throw(/Not a pcap file/);
+    });
+  });
+
+  it("tells pcap from tlog by content", function() {
+    logs.detectLogFormat(pcap([])).should.equal("pcap");
+    logs.detectLogFormat(pcap([], { bigEndian: true })).should.equal("pcap");
+    logs.detectLogFormat(logs.tlogRecord(frame(0), 1)).should.equal("tlog");
+  });
+});
@@ -0,0 +1,89 @@
+const should = require("should");
+const files = require("../lib/mavlink-mission-files");
+
+const enums = {
+  MAV_FRAME: [
+    { key: "MAV_FRAME_GLOBAL", value: 0 },
+    { key: "MAV_FRAME_GLOBAL_RELATIVE_ALT", value: 3 },
+    { key: "MAV_FRAME_LOCAL_NED", value: 1 }
+  ],
+  MAV_CMD: [
+    { key: "MAV_CMD_NAV_WAYPOINT", value: 16 },
+    { key: "MAV_CMD_NAV_LAND", value: 21 },
+    { key: "MAV_CMD_NAV_TAKEOFF", value: 22 }
+  ]
+};
+
+const WPL = [
+  "QGC WPL 110",
+  "0\t1\t0\t16\t0\t0\t0\t0\t47.3977418\t8.5455939\t488\t1",
+  "1\t0\t3\t22\t0\t0\t0\t0\t0\t0\t20\t1",
+  "2\t0\t3\t16\t5\t0\t0\t0\t47.3979\t8.5456\t30\t1",
+  "3\t0\t3\t21\t0\t0\t0\t0\t47.3977418\t8.5455939\t0\t0",
+  ""
+].join("\n");
+
+describe("lib/mavlink-mission-files", function() {
+  it("reads WPL lines into items with integer degE7 positions", function() {
+    const items = files.parseWpl(WPL, enums);
+    items.should.have.length(4);
+    items[0].should.have.properties({ seq: 0, frame: "MAV_FRAME_GLOBAL", command: "MAV_CMD_NAV_WAYPOINT", current: 1, x: 473977418, y: 85455939, z: 488 });
+    items[2].should.have.properties({ seq: 2, frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT", param1: 5, x: 473979000, y: 85456000, z: 30 });
+    items[3].autocontinue.should.equal(0);
+  });
+
+  it("rejects files that are not QGC WPL 110", function() {
+    (() => files.parseWpl("QGC WPL 120\n", enums)).should.throw(/Not a "QGC WPL 110" file/);
+    (() => files.parseWpl("QGC WPL 110\n0 1 0 16\n", enums)).should.throw(/Bad WPL line 2/);
+  });
+
+  it("keeps home as item 0 when converting between WPL and an ArduPilot .plan", function() {
+    const fromWpl = files.parseWpl(WPL, enums);
+    const plan = JSON.parse(files.toPlan(fromWpl, enums, { firmwareType: 3 }));
+    plan.mission.firmwareType.should.equal(3);
+    plan.mission.plannedHomePosition.should.eql([47.3977418, 8.5455939, 488]);
+    plan.mission.items.should.have.length(3);
+    plan.mission.items.map(it => it.command).should.eql([22, 16, 21]);
+    plan.mission.items.map(it => it.doJumpId).should.eql([1, 2, 3]);
+
+    const fromPlan = files.parsePlan(plan, enums);
+    fromPlan.map(it => it.seq).should.eql([0, 1, 2, 3]);
+    fromPlan.map(({ current, ...it }) => it).should.eql(fromWpl.map(({ current, ...it }) => it));
+    files.toWpl(fromPlan, enums).split("\n").slice(1).map(l => l.split("\t").slice(2).join("\t"))
+      .should.eql(WPL.split("\n").slice(1).map(l => l.split("\t").slice(2).join("\t")));
+  });
+
+  it("round-trips a PX4 .plan without a home item", function() {
+    const plan = {
+      fileType: "Plan", version: 1,
+      mission: {
+        version: 2, firmwareType: 12, plannedHomePosition: [47.3977418, 8.5455939, 488],
+        items: [
+          { type: "SimpleItem", autoContinue: true, command: 22, doJumpId: 1, frame: 3, params: [0, 0, 0, null, 0, 0, 20] },
+          { type: "SimpleItem", autoContinue: true, command: 16, doJumpId: 2, frame: 3, params: [5, 0, 0, null, 47.3979, 8.5456, 30] }
+        ]
+      }
+    };
+    const items = files.parsePlan(plan, enums);
+    items.map(it => [it.seq, it.command]).should.eql([[0, "MAV_CMD_NAV_TAKEOFF"], [1, "MAV_CMD_NAV_WAYPOINT"]]);
+    items[1].should.have.properties({ param1: 5, x: 473979000, y: 85456000, z: 30 });
+
+    const back = JSON.parse(files.toPlan(items, enums, { firmwareType: 12 }));
+    back.mission.items.map(it => [it.doJumpId, it.command, it.frame, it.params]).should.eql(
+      plan.mission.items.map(it => [it.doJumpId, it.command, it.frame, it.params.map(p => p ?? 0)]));
+    files.parsePlan(back, enums).should.eql(items);
+    // The option overrides the firmware named in the file
+    files.parsePlan(plan, enums, { firmwareType: 3 }).map(it => it.seq).should.eql([0, 1, 2]);
+  });
+
+  it("rejects .plan items other than SimpleItem", function() {
+    const plan = { fileType: "Plan", mission: { plannedHomePosition: [0, 0, 0], items: [{ type: "ComplexItem" }] } };
+    (() => files.parsePlan(plan, enums)).should.throw(/Unsupported .plan item type "ComplexItem" at index 0/);
+  });
+
+  it("detects the file format", function() {
+    files.detectFormat(WPL).should.equal("wpl");
+    files.detectFormat('  {"fileType": "Plan"}').should.equal("plan");
+    should(files.detectFormat("hello")).be.undefined();
+  });
+});
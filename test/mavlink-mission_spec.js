@@ -0,0 +1,74 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const missionNode = require("../mavlink-mission.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-mission", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-mission-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  function load(cb) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "m", type: "mavlink-mission", schema: "s", timeout: 5, wires: [["frames"], ["result"], []] },
+      { id: "frames", type: "helper" }, { id: "result", type: "helper" }
+    ];
+    helper.load([schemaNode, missionNode], flow, () =>
+      cb(helper.getNode("s"), helper.getNode("m"), helper.getNode("frames"), helper.getNode("result")));
+  }
+
+  // A frame from the vehicle (sysid 1) to us (sysid 255)
+  function fromVehicle(s, name, fields) {
+    const def = s.getMessages()[name];
+    return mav.buildFrameV2(def, mav.packPayload(def, { target_system: 255, target_component: 190, ...fields }), { sysid: 1, compid: 1 });
+  }
+
+  function decode(s, frame) {
+    const hdr = mav.parseFrameHeader(frame);
+    const entry = s.getMessageById(hdr.msgid);
+    return { name: entry.name, fields: mav.unpackPayload(entry.def, hdr.payload) };
+  }
+
+  it("answers each item request in the variant the vehicle asked for", function(done) {
+    load((s, m, frames, result) => {
+      const sent = [];
+      frames.on("input", msg => sent.push(decode(s, msg.payload)));
+      result.on("input", msg => {
+        try {
+          msg.payload.should.eql({ operation: "upload", ok: true, count: 2 });
+          sent.map(f => f.name).should.eql(["MISSION_COUNT", "MISSION_ITEM", "MISSION_ITEM_INT"]);
+          const item = sent[1].fields;
+          item.should.have.properties({ seq: 0, frame: 3, command: 16, z: 30 });
+          item.x.should.be.approximately(47.3979, 1e-4);
+          item.y.should.be.approximately(8.5456, 1e-4);
+          sent[2].fields.should.have.properties({ seq: 1, x: 473977418, y: 85455939 });
+          done();
+        } catch (e) { done(e); }
+      });
+      m.receive({ operation: "upload", payload: [
+        { frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT", command: "MAV_CMD_NAV_WAYPOINT", x: 473979000, y: 85456000, z: 30 },
+        { frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT", command: "MAV_CMD_NAV_LAND", x: 473977418, y: 85455939, z: 0 }
+      ] });
+      m.receive({ payload: fromVehicle(s, "MISSION_REQUEST", { seq: 0 }) });
+      m.receive({ payload: fromVehicle(s, "MISSION_REQUEST_INT", { seq: 1 }) });
+      m.receive({ payload: fromVehicle(s, "MISSION_ACK", { type: 0 }) });
+    });
+  });
+});
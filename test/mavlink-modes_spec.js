@@ -0,0 +1,36 @@
+const should = require("should");
+const modes = require("../lib/mavlink-modes");
+
+describe("lib/mavlink-modes", function() {
+  it("names ArduPilot modes from the table of the vehicle type", function() {
+    modes.flightModeName(3, 2, 5).should.equal("LOITER");     // quadrotor
+    modes.flightModeName(3, 1, 5).should.equal("FBWA");       // fixed wing
+    modes.flightModeName(3, 10, 15).should.equal("GUIDED");   // ground rover
+    modes.flightModeName(3, 12, 19).should.equal("MANUAL");   // submarine
+    should(modes.flightModeName(3, 2, 99)).be.undefined();
+    should(modes.flightModeName(3, 27, 0)).be.undefined();    // no table for this type
+  });
+
+  it("names PX4 main and auto sub modes from the bytes of custom_mode", function() {
+    const px4 = (main, sub) => (sub << 24 | main << 16) >>> 0;
+    modes.flightModeName(12, 2, px4(3, 0)).should.equal("POSCTL");
+    modes.flightModeName(12, 2, px4(4, 4)).should.equal("AUTO_MISSION");
+    modes.flightModeName(12, 2, px4(4, 0)).should.equal("AUTO");
+    should(modes.flightModeName(12, 2, px4(9, 0))).be.undefined();
+  });
+
+  it("knows nothing of other autopilots", function() {
+    should(modes.flightModeName(0, 2, 5)).be.undefined();
+  });
+
+  it("reads the armed flag from base_mode", function() {
+    modes.isArmed(128 | 81).should.be.true();
+    modes.isArmed(81).should.be.false();
+  });
+
+  it("tells vehicle heartbeats from those of ground stations and peripherals", function() {
+    modes.isVehicleHeartbeat({ type: 2, autopilot: 3 }).should.be.true();
+    modes.isVehicleHeartbeat({ type: 6, autopilot: 8 }).should.be.false(); // GCS
+    modes.isVehicleHeartbeat({ type: 30, autopilot: 8 }).should.be.false(); // camera
+  });
+});
@@ -0,0 +1,66 @@
+const should = require("should");
+const params = require("../lib/mavlink-param-files");
+
+const { PARAM_TYPE } = params;
+
+describe("lib/mavlink-param-files", function() {
+  describe("param_value encoding", function() {
+    it("sends integers as float values by default (ArduPilot)", function() {
+      params.encodeParamValue("3", PARAM_TYPE.INT8).should.equal(3);
+      params.encodeParamValue(2.6, PARAM_TYPE.UINT16).should.equal(3);
+      params.decodeParamValue(2.9999, PARAM_TYPE.INT32).should.equal(3);
+    });
+
+    it("puts the integer's bytes into the float with bytewise encoding (PX4)", function() {
+      for (const [value, type] of [[1, PARAM_TYPE.INT32], [-2, PARAM_TYPE.INT16], [200, PARAM_TYPE.UINT8], [65535, PARAM_TYPE.UINT16]]) {
+        const raw = params.encodeParamValue(value, type, "bytewise");
+        params.decodeParamValue(raw, type, "bytewise").should.equal(value);
+      }
+      const b = Buffer.alloc(4);
+      b.writeFloatLE(params.encodeParamValue(1, PARAM_TYPE.INT32, "bytewise"));
+      b.should.eql(Buffer.from([1, 0, 0, 0]));
+    });
+
+    it("shows float parameters with the shortest decimal of their float32 value", function() {
+      params.decodeParamValue(Math.fround(0.1), PARAM_TYPE.REAL32).should.equal(0.1);
+      params.decodeParamValue(Math.fround(1234.5678), PARAM_TYPE.REAL32).should.equal(1234.5677);
+      params.paramValuesEqual(0.1, Math.fround(0.1), PARAM_TYPE.REAL32).should.be.true();
+      params.paramValuesEqual(2.4, 2, PARAM_TYPE.INT8).should.be.true();
+      params.paramValuesEqual(0.2, Math.fround(0.1), PARAM_TYPE.REAL32).should.be.false();
+    });
+
+    it("rejects values that are not numbers", function() {
+      (() => params.encodeParamValue("fast", PARAM_TYPE.REAL32)).should.throw('Parameter value "fast" is not a number');
+    });
+  });
+
+  describe("parameter files", function() {
+    it("reads Mission Planner, ArduPilot and QGroundControl formats", function() {
+      params.parseParamFile("# comment\nRTL_ALT,1500\r\nWPNAV_SPEED,500.5\n").should.eql([
+        { name: "RTL_ALT", value: 1500 }, { name: "WPNAV_SPEED", value: 500.5 }
+      ]);
+      params.parseParamFile("RTL_ALT 1500\n\nFS_THR_ENABLE   1\n").should.eql([
+        { name: "RTL_ALT", value: 1500 }, { name: "FS_THR_ENABLE", value: 1 }
+      ]);
+      params.parseParamFile("# Onboard parameters\n1\t1\tMPC_XY_VEL_MAX\t12.0\t9\n1\t1\tCOM_RC_IN_MODE\t1\t6\n").should.eql([
+        { name: "MPC_XY_VEL_MAX", value: 12, type: 9 }, { name: "COM_RC_IN_MODE", value: 1, type: 6 }
+      ]);
+    });
+
+    it("names the line it cannot read", function() {
+      (() => params.parseParamFile("RTL_ALT,1500\nBROKEN\n")).should.throw("Bad parameter line 2");
+      (() => params.parseParamFile("1\t1\tX\tabc\t9\n")).should.throw("Bad parameter line 1");
+    });
+
+    it("writes each format sorted by name and reads it back", function() {
+      const values = { WPNAV_SPEED: 500.5, RTL_ALT: 1500 };
+      params.toParamFile(values).should.equal("RTL_ALT,1500\nWPNAV_SPEED,500.5\n");
+      params.toParamFile(values, { format: "parm" }).should.equal("RTL_ALT 1500\nWPNAV_SPEED 500.5\n");
+      const qgc = params.toParamFile(values, { format: "qgc", sysid: 2, compid: 1, types: { RTL_ALT: PARAM_TYPE.INT16 } });
+      qgc.split("\n").slice(3).should.eql(["2\t1\tRTL_ALT\t1500\t4", "2\t1\tWPNAV_SPEED\t500.5\t9", ""]);
+      params.parseParamFile(qgc).should.eql([
+        { name: "RTL_ALT", value: 1500, type: 4 }, { name: "WPNAV_SPEED", value: 500.5, type: 9 }
+      ]);
+    });
+  });
+});
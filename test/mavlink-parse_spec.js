@@ -0,0 +1,186 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const parseNode = require("../mavlink-parse.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+const FRAMES = 2000;
+
+describe("mavlink-parse", function() {
+  this.timeout(20000);
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-parse-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  // With outputMessages set, port i goes to helper "out<i>" and the rest to "out".
+  function load(cb, parseConfig = {}) {
+    const ports = String(parseConfig.outputMessages || "").split(",").filter(Boolean).map((n, i) => `out${i}`);
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "p", type: "mavlink-parse", schema: "s", ...parseConfig, wires: [...ports, "out"].map(id => [id]) },
+      ...[...ports, "out"].map(id => ({ id, type: "helper" }))
+    ];
+    helper.load([schemaNode, parseNode], flow, () => cb(helper.getNode("s"), helper.getNode("p"), helper.getNode("out")));
+  }
+
+  // A mixed telemetry stream like a flight controller sends it.
+  function telemetry(schema, count) {
+    const m = schema.getMessages();
+    const samples = [
+      ["ATTITUDE", { time_boot_ms: 1000, roll: 0.1, pitch: -0.2, yaw: 1.5, rollspeed: 0.01 }],
+      ["GLOBAL_POSITION_INT", { time_boot_ms: 1000, lat: 473977418, lon: 85455939, alt: 488000, relative_alt: 10000 }],
+      ["SYS_STATUS", { onboard_control_sensors_health: 7, voltage_battery: 12600, battery_remaining: 80 }],
+      ["HEARTBEAT", { type: 2, autopilot: 3, base_mode: 129, system_status: 4, mavlink_version: 3 }]
+    ];
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+      const [name, fields] = samples[i % samples.length];
+      frames.push(mav.buildFrameV2(m[name], mav.packPayload(m[name], fields), { seq: i & 0xff, sysid: 1, compid: 1 }));
+    }
+    return frames;
+  }
+
+  function frame(s, name, seq, sysid = 1) {
+    const def = s.getMessages()[name];
+    return mav.buildFrameV2(def, mav.packPayload(def, {}), { seq, sysid, compid: 1 });
+  }
+
+  // Collects [name, seq, sysid] of what reaches the helper node for 150 ms.
+  function collect(node, cb) {
+    const seen = [];
+    node.on("input", msg => seen.push([msg.mavlink.name, msg.mavlink.seq, msg.mavlink.sysid]));
+    setTimeout(() => cb(seen), 150);
+  }
+
+  it("passes frames that fail the CRC on undecoded with checksumOk false", function(done) {
+    load((s, p, out) => {
+      const bad = frame(s, "ATTITUDE", 1);
+      bad[bad.length - 1] ^= 0xff;
+      const seen = [];
+      out.on("input", msg => seen.push(msg));
+      p.receive({ payload: Buffer.concat([frame(s, "ATTITUDE", 0), bad, frame(s, "ATTITUDE", 2)]) });
+      setTimeout(() => {
+        try {
+          seen.map(m => [m.mavlink.seq, m.mavlink.checksumOk]).should.eql([[0, true], [1, false], [2, true]]);
+          Buffer.isBuffer(seen[1].payload).should.be.true();
+          should(seen[1].mavlink.name).be.undefined();
+          done();
+        } catch (e) { done(e); }
+      }, 50);
+    });
+  });
+
+  it("filters by message name and sender, deny winning over allow", function(done) {
+    load((s, p, out) => {
+      collect(out, (seen) => {
+        try {
+          seen.should.eql([["ATTITUDE", 0, 1], ["ATTITUDE", 3, 1]]);
+          done();
+        } catch (e) { done(e); }
+      });
+      p.receive({ payload: Buffer.concat([
+        frame(s, "ATTITUDE", 0), frame(s, "HEARTBEAT", 1), frame(s, "SYS_STATUS", 2), frame(s, "ATTITUDE", 3), frame(s, "ATTITUDE", 4, 2)
+      ]) });
+    }, { allowMessages: "ATTITUDE, HEARTBEAT", denyMessages: "HEARTBEAT", denySysids: "2" });
+  });
+
+  it("sends listed messages to their own outputs and the rest to the last one", function(done) {
+    load((s, p, out) => {
+      const results = {};
+      const finish = () => {
+        if (Object.keys(results).length < 3) return;
+        try {
+          results.should.eql({
+            out0: [["HEARTBEAT", 1, 1]], out1: [["ATTITUDE", 0, 1], ["ATTITUDE", 3, 1]], out: [["SYS_STATUS", 2, 1]]
+          });
+          done();
+        } catch (e) { done(e); }
+      };
+      for (const id of ["out0", "out1", "out"]) collect(helper.getNode(id), (seen) => { results[id] = seen; finish(); });
+      p.receive({ payload: Buffer.concat([
+        frame(s, "ATTITUDE", 0), frame(s, "HEARTBEAT", 1), frame(s, "SYS_STATUS", 2), frame(s, "ATTITUDE", 3)
+      ]) });
+    }, { outputMessages: "HEARTBEAT,ATTITUDE" });
+  });
+
+  it("throttles per message and sender, delivering the latest sample", function(done) {
+    load((s, p, out) => {
+      collect(out, (seen) => {
+        try {
+          // The first ATTITUDE of each sender at once, their latest after the period
+          seen.slice(0, 3).should.eql([["ATTITUDE", 0, 1], ["ATTITUDE", 1, 2], ["HEARTBEAT", 4, 1]]);
+          seen.slice(3).should.have.length(2);
+          seen.slice(3).should.containDeep([["ATTITUDE", 3, 1], ["ATTITUDE", 5, 2]]);
+          done();
+        } catch (e) { done(e); }
+      });
+      p.receive({ payload: Buffer.concat([
+        frame(s, "ATTITUDE", 0), frame(s, "ATTITUDE", 1, 2), frame(s, "ATTITUDE", 2), frame(s, "ATTITUDE", 3),
+        frame(s, "HEARTBEAT", 4), frame(s, "ATTITUDE", 5, 2)
+      ]) });
+    }, { throttle: "ATTITUDE=20" });
+  });
+
+  it("indexes messages by msgid like a scan of the message list", function(done) {
+    load((s) => {
+      const messages = s.getMessages();
+      for (const [name, def] of Object.entries(messages)) {
+        const entry = s.getMessageById(def.id);
+        entry.should.have.properties({ name, crc: def.crc });
+        entry.def.should.equal(Object.values(messages).find(m => m.id === def.id));
+      }
+      should(s.getMessageById(999999)).be.undefined();
+      done();
+    });
+  });
+
+  it(`decodes a stream of ${FRAMES} frames split into chunks`, function(done) {
+    load((s, p, out) => {
+      const frames = telemetry(s, FRAMES);
+      // 100 frames per chunk, like reads from a fast serial link
+      const chunks = [];
+      for (let i = 0; i < frames.length; i += 100) chunks.push(Buffer.concat(frames.slice(i, i + 100)));
+      const order = ["ATTITUDE", "GLOBAL_POSITION_INT", "SYS_STATUS", "HEARTBEAT"];
+      let received = 0;
+      out.on("input", (msg) => {
+        try {
+          msg.mavlink.name.should.equal(order[received % order.length]);
+          msg.mavlink.seq.should.equal(received & 0xff);
+          msg.mavlink.checksumOk.should.be.true();
+          if (received === 1) msg.payload.should.have.properties({ lat: 473977418, relative_alt: 10000 });
+        } catch (e) { out.removeAllListeners("input"); return done(e); }
+        if (++received === FRAMES) done();
+      });
+      chunks.forEach(payload => p.receive({ payload }));
+    });
+  });
+
+  it("decodes payloads with the precomputed layout like field-by-field reading", function(done) {
+    load((s) => {
+      const def = s.getMessages().GLOBAL_POSITION_INT;
+      const layout = mav.messageLayout(def);
+      layout.length.should.equal(mav.payloadLength(def));
+      // Wire order: 4-byte fields first, then the 2-byte ones.
+      layout.fields.map(f => f.name).slice(0, 2).should.eql(["time_boot_ms", "lat"]);
+      layout.fields.find(f => f.name === "vx").offset.should.equal(20);
+      const fields = { time_boot_ms: 5, lat: -1, lon: 2, alt: 3, relative_alt: 4, vx: -5, vy: 6, vz: 7, hdg: 35999 };
+      mav.unpackPayload(def, mav.packPayload(def, fields)).should.eql(fields);
+      s.getMessageById(def.id).should.have.properties({ name: "GLOBAL_POSITION_INT", crc: 104 });
+      done();
+    });
+  });
+});
@@ -0,0 +1,88 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const playerNode = require("../mavlink-player.js");
+const mav = require("../lib/mavlink-helpers");
+const logs = require("../lib/mavlink-log-files");
+
+helper.init(require.resolve("node-red"));
+
+const HEARTBEAT = { name: "HEARTBEAT", id: 0, crc: 50, fields: [{ name: "type", type: "uint8_t" }] };
+const ATTITUDE = { name: "ATTITUDE", id: 30, crc: 39, fields: [{ name: "time_boot_ms", type: "uint32_t" }] };
+
+describe("mavlink-player", function() {
+  let dir, file;
+
+  before(function(done) {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-player-"));
+    file = path.join(dir, "flight.tlog");
+    // Heartbeat, then two attitude frames 10 ms apart
+    const t0 = 1700000000000000;
+    fs.writeFileSync(file, Buffer.concat([
+      logs.tlogRecord(mav.buildFrameV2(HEARTBEAT, Buffer.from([2]), { seq: 0 }), t0),
+      logs.tlogRecord(mav.buildFrameV2(ATTITUDE, Buffer.from([1]), { seq: 1 }), t0 + 10000),
+      logs.tlogRecord(mav.buildFrameV2(ATTITUDE, Buffer.from([2]), { seq: 2 }), t0 + 20000)
+    ]));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(dir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  function load(playerConfig, cb) {
+    const flow = [
+      { id: "p", type: "mavlink-player", filename: file, ...playerConfig, wires: [["heartbeat"], ["frames"], ["events"]] },
+      { id: "heartbeat", type: "helper" }, { id: "frames", type: "helper" }, { id: "events", type: "helper" }
+    ];
+    helper.load(playerNode, flow, () => cb(helper.getNode("p"), helper.getNode("heartbeat"), helper.getNode("frames"), helper.getNode("events")));
+  }
+
+  it("replays the log with heartbeats on their own output", function(done) {
+    load({ speed: 0 }, (p, heartbeat, frames, events) => {
+      const seen = [];
+      heartbeat.on("input", msg => seen.push(["heartbeat", msg.payload[4]]));
+      frames.on("input", msg => seen.push(["frame", msg.payload[4]]));
+      events.on("input", (msg) => {
+        if (msg.payload.event !== "end") return;
+        try {
+          seen.should.eql([["heartbeat", 0], ["frame", 1], ["frame", 2]]);
+          msg.payload.should.have.properties({ frames: 3, duration: 0.02 });
+          done();
+        } catch (e) { done(e); }
+      });
+      p.receive({ control: "play" });
+    });
+  });
+
+  it("rejects an invalid msg.speed", function(done) {
+    load({}, (p, heartbeat, frames, events) => {
+      const errors = [];
+      p.error = e => errors.push(e);
+      p.receive({ control: "play", speed: "fast" });
+      p.receive({ control: "play", speed: -1 });
+      setTimeout(() => {
+        try {
+          errors.map(e => e.message).should.eql([
+            "speed needs a multiplier >= 0 in msg.speed", "speed needs a multiplier >= 0 in msg.speed"
+          ]);
+          done();
+        } catch (e) { done(e); }
+      }, 20);
+    });
+  });
+
+  it("does not start playing when closed while the log is loading", function() {
+    let sent = 0;
+    return new Promise(resolve => load({ autoStart: true }, resolve))
+      .then(() => {
+        helper.getNode("p").send = () => sent++;
+        return helper.unload();
+      })
+      .then(() => new Promise(resolve => setTimeout(resolve, 50)))
+      .then(() => sent.should.equal(0));
+  });
+});
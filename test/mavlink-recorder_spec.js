@@ -0,0 +1,69 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const recorderNode = require("../mavlink-recorder.js");
+const mav = require("../lib/mavlink-helpers");
+const logs = require("../lib/mavlink-log-files");
+
+helper.init(require.resolve("node-red"));
+
+const HEARTBEAT = { name: "HEARTBEAT", id: 0, crc: 50, fields: [{ name: "type", type: "uint8_t" }] };
+const frame = seq => mav.buildFrameV2(HEARTBEAT, Buffer.from([seq]), { seq });
+
+describe("mavlink-recorder", function() {
+  let dir;
+
+  before(function(done) { helper.startServer(done); });
+  after(function(done) { helper.stopServer(done); });
+  beforeEach(function() { dir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-recorder-")); });
+  afterEach(function() {
+    return helper.unload().then(() => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  function load(cb) {
+    const flow = [
+      { id: "r", type: "mavlink-recorder", filename: path.join(dir, "a.tlog"), wires: [["out"]] },
+      { id: "out", type: "helper" }
+    ];
+    helper.load(recorderNode, flow, () => cb(helper.getNode("r"), helper.getNode("out")));
+  }
+
+  function seqs(file) {
+    return logs.parseTlog(fs.readFileSync(file)).records.map(r => r.frame[4]);
+  }
+
+  it("keeps the frames that arrive while a restart closes the previous file", function(done) {
+    load((r, out) => {
+      out.on("input", (msg) => {
+        try {
+          msg.payload.should.have.properties({ filename: path.join(dir, "b.tlog"), frames: 2, dropped: 0 });
+          seqs(path.join(dir, "a.tlog")).should.eql([1]);
+          seqs(path.join(dir, "b.tlog")).should.eql([2, 3]);
+          done();
+        } catch (e) { done(e); }
+      });
+      r.receive({ payload: frame(1) });
+      r.receive({ control: "start", filename: path.join(dir, "b.tlog") });
+      r.receive({ payload: Buffer.concat([frame(2), frame(3)]) });
+      r.receive({ control: "stop" });
+    });
+  });
+
+  it("ignores frames while stopped", function(done) {
+    load((r, out) => {
+      out.on("input", (msg) => {
+        try {
+          msg.payload.frames.should.equal(1);
+          seqs(path.join(dir, "a.tlog")).should.eql([1]);
+          done();
+        } catch (e) { done(e); }
+      });
+      r.receive({ payload: frame(1) });
+      r.receive({ control: "stop" });
+      r.receive({ payload: frame(2) });
+      r.receive({ control: "stop" });
+    });
+  });
+});
@@ -0,0 +1,82 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const routerNode = require("../mavlink-router.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-router", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-router-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  // Three links; collects what comes out on each.
+  function load(cb) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "r", type: "mavlink-router", schema: "s", links: "gcs\nfc\ncompanion", wires: [["gcs"], ["fc"], ["companion"]] },
+      { id: "gcs", type: "helper" }, { id: "fc", type: "helper" }, { id: "companion", type: "helper" }
+    ];
+    helper.load([schemaNode, routerNode], flow, () => {
+      const seen = { gcs: [], fc: [], companion: [] };
+      for (const link of Object.keys(seen)) helper.getNode(link).on("input", msg => seen[link].push(msg));
+      cb(helper.getNode("s"), helper.getNode("r"), seen);
+    });
+  }
+
+  function frame(s, name, fields, opts) {
+    const def = s.getMessages()[name];
+    return mav.buildFrameV2(def, mav.packPayload(def, fields), opts);
+  }
+
+  it("forwards targeted messages only to the links the target was seen on", function(done) {
+    load((s, r, seen) => {
+      r.receive({ link: "fc", payload: frame(s, "HEARTBEAT", { type: 2 }, { sysid: 1, compid: 1 }) });
+      r.receive({ link: "gcs", payload: frame(s, "PARAM_REQUEST_LIST", { target_system: 1, target_component: 1 }, { sysid: 255, compid: 190 }) });
+      r.receive({ link: "gcs", payload: frame(s, "PARAM_REQUEST_LIST", { target_system: 7, target_component: 1 }, { sysid: 255, compid: 190 }) });
+      setImmediate(() => {
+        try {
+          // HEARTBEAT broadcast to the other links, the request only to fc, the unknown target nowhere
+          seen.gcs.should.have.length(1);
+          seen.companion.should.have.length(1);
+          seen.fc.should.have.length(1);
+          mav.parseFrameHeader(seen.fc[0].payload).msgid.should.equal(s.getMessages().PARAM_REQUEST_LIST.id);
+          seen.fc[0].sourceLink.should.equal("gcs");
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+
+  it("drops corrupted frames of known messages", function(done) {
+    load((s, r, seen) => {
+      const bad = frame(s, "HEARTBEAT", { type: 2 }, { sysid: 1, compid: 1 });
+      bad[bad.length - 1] ^= 0xff;
+      r.receive({ link: "fc", payload: bad });
+      // Not learned either: a request for sysid 1 goes nowhere
+      r.receive({ link: "gcs", payload: frame(s, "PARAM_REQUEST_LIST", { target_system: 1, target_component: 1 }, { sysid: 255 }) });
+      setImmediate(() => {
+        try {
+          seen.gcs.should.have.length(0);
+          seen.fc.should.have.length(0);
+          seen.companion.should.have.length(0);
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+});
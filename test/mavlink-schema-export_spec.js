@@ -0,0 +1,67 @@
+const should = require("should");
+const exporter = require("../lib/mavlink-schema-export");
+
+const schema = {
+  enums: {
+    MAV_STATE: [{ key: "MAV_STATE_STANDBY", value: 3 }, { key: "MAV_STATE_ACTIVE", value: 4 }],
+    MAV_MODE_FLAG: [{ key: "MAV_MODE_FLAG_SAFETY_ARMED", value: 128 }, { key: "MAV_MODE_FLAG_TEST_ENABLED", value: 2 }]
+  },
+  enumInfo: { MAV_MODE_FLAG: { bitmask: true, description: "Mode flags" } },
+  messages: {
+    TEST: { id: 42, description: "A test message", fields: [
+      { name: "time_usec", type: "uint64_t", units: "us", description: "Timestamp" },
+      { name: "state", type: "uint8_t", enum: "MAV_STATE" },
+      { name: "flags", type: "uint8_t", enum: "MAV_MODE_FLAG" },
+      { name: "name", type: "char", arrayLen: 8 },
+      { name: "values", type: "int16_t", arrayLen: 3 },
+      { name: "other", type: "uint8_t", enum: "NOT_IN_DIALECT" },
+      { name: "extra", type: "float", extension: true }
+    ] }
+  }
+};
+
+describe("lib/mavlink-schema-export", function() {
+  describe("toJsonSchema", function() {
+    const out = exporter.toJsonSchema(schema, "test");
+    const props = out.$defs.messages.TEST.properties;
+
+    it("describes each message payload with its field types and ranges", function() {
+      out.$id.should.equal("urn:mavlink:test");
+      out.oneOf.should.eql([{ properties: { messageName: { const: "TEST" }, payload: { $ref: "#/$defs/messages/TEST" } } }]);
+      out.$defs.messages.TEST.should.have.properties({ "x-msgid": 42, additionalProperties: false,
+        required: ["time_usec", "state", "flags", "name", "values", "other"] });
+      props.time_usec.anyOf[1].should.eql({ type: "string", pattern: "^\\d+$" });
+      props.time_usec.should.have.properties({ description: "Timestamp [us]", "x-units": "us" });
+      props.name.should.eql({ type: "string", maxLength: 8 });
+      props.values.should.eql({ type: "array", items: { type: "integer", minimum: -32768, maximum: 32767 }, maxItems: 3 });
+      props.other.should.eql({ type: "integer", minimum: 0, maximum: 255 });
+      props.extra.should.eql({ type: "number" });
+    });
+
+    it("accepts enum values or names, and flag lists for bitmasks", function() {
+      props.state.should.eql({ $ref: "#/$defs/enums/MAV_STATE" });
+      out.$defs.enums.MAV_STATE.should.eql({ anyOf: [{ enum: [3, 4] }, { enum: ["MAV_STATE_STANDBY", "MAV_STATE_ACTIVE"] }] });
+      out.$defs.enums.MAV_MODE_FLAG.anyOf[1].should.eql({ type: "array", items: { enum: ["MAV_MODE_FLAG_SAFETY_ARMED", "MAV_MODE_FLAG_TEST_ENABLED"] } });
+      out.$defs.enums.MAV_MODE_FLAG.description.should.equal("Mode flags");
+    });
+  });
+
+  describe("toTypeScript", function() {
+    const ts = exporter.toTypeScript(schema, "test");
+
+    it("declares enums, message interfaces and the id map", function() {
+      ts.should.containEql("export type MAV_STATE = 3 | 4;");
+      ts.should.containEql('export type MAV_STATE_NAME = "MAV_STATE_STANDBY" | "MAV_STATE_ACTIVE";');
+      ts.should.containEql("export interface TEST {");
+      ts.should.containEql("  time_usec: number | bigint | string;");
+      ts.should.containEql("  state: MAV_STATE | MAV_STATE_NAME;");
+      ts.should.containEql("  flags: number | MAV_MODE_FLAG_NAME[] | string;");
+      ts.should.containEql("  name: string;");
+      ts.should.containEql("  values: number[];");
+      ts.should.containEql("  other: number;");
+      ts.should.containEql("  extra?: number;");
+      ts.should.containEql("export interface MessageIds {\n  TEST: 42;\n}");
+      ts.should.not.match(/\n\n\n/);
+    });
+  });
+});
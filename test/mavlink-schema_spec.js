@@ -0,0 +1,94 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-schema", function() {
+  let dir, cacheDir;
+
+  before(function(done) { helper.startServer(done); });
+  after(function(done) { helper.stopServer(done); });
+  beforeEach(function() {
+    dir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-schema-"));
+    cacheDir = path.join(dir, "cache");
+  });
+  afterEach(function() {
+    return helper.unload().then(() => fs.rmSync(dir, { recursive: true, force: true }));
+  });
+
+  function write(name, xml) { fs.writeFileSync(path.join(dir, name), `<?xml version="1.0"?>\n<mavlink>${xml}</mavlink>\n`); }
+  function message(id, name, field) {
+    return `<messages><message id="${id}" name="${name}"><field type="uint8_t" name="${field}">x</field></message></messages>`;
+  }
+  function load(cb) {
+    const flow = [{ id: "s", type: "mavlink-schema", dialectName: "test", xmlPaths: path.join(dir, "top.xml"), cacheDir }];
+    helper.load(schemaNode, flow, () => cb(helper.getNode("s")));
+  }
+
+  // PARAM_VALUE covers arrays (char[16]), MISSION_ITEM_INT an extension field
+  // that must stay out of the CRC, TIMESYNC and RADIO_STATUS are not in the
+  // node's own self-check list.
+  it("computes CRC_EXTRA as the reference implementation does", function(done) {
+    fs.copyFileSync(FIXTURE, path.join(dir, "top.xml"));
+    load((s) => {
+      try {
+        const crcs = {};
+        for (const name of ["HEARTBEAT", "SYS_STATUS", "PARAM_VALUE", "ATTITUDE", "GLOBAL_POSITION_INT",
+          "MISSION_ITEM_INT", "COMMAND_LONG", "COMMAND_ACK", "RADIO_STATUS", "TIMESYNC"]) crcs[name] = s.getMessages()[name].crc;
+        crcs.should.eql({ HEARTBEAT: 50, SYS_STATUS: 124, PARAM_VALUE: 220, ATTITUDE: 39, GLOBAL_POSITION_INT: 104,
+          MISSION_ITEM_INT: 38, COMMAND_LONG: 152, COMMAND_ACK: 143, RADIO_STATUS: 185, TIMESYNC: 34 });
+        s.getDiagnostics().filter(d => d.code === "crc-extra").should.be.empty();
+        s.getMessageById(0).crc.should.equal(50);
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
+  it("reports a CRC_EXTRA self-check failure for a redefined reference message", function(done) {
+    write("top.xml", message(0, "HEARTBEAT", "type"));
+    load((s) => {
+      try {
+        const problems = s.getDiagnostics().filter(d => d.code === "crc-extra");
+        problems.length.should.equal(1);
+        problems[0].should.have.properties({ level: "error", name: "HEARTBEAT" });
+        problems[0].message.should.match(/expected 50/);
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
+  it("follows includes given as element text or as file attribute", function(done) {
+    write("top.xml", `<include>mid.xml</include>${message(1, "TOP", "a")}`);
+    write("mid.xml", `<include file="base.xml"/>${message(2, "MID", "b")}`);
+    write("base.xml", message(3, "BASE", "c"));
+    load((s) => {
+      try {
+        s.files.map(f => path.basename(f)).should.eql(["base.xml", "mid.xml", "top.xml"]);
+        Object.keys(s.getMessages()).sort().should.eql(["BASE", "MID", "TOP"]);
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+
+  it("rebuilds when an included file changes and deletes the old cache file", function(done) {
+    write("top.xml", `<include file="base.xml"/>${message(1, "TOP", "a")}`);
+    write("base.xml", message(3, "BASE", "c"));
+    load((s) => {
+      try {
+        const first = s.getSchemaPath();
+        write("base.xml", message(3, "BASE", "renamed"));
+        s.rebuild();
+        s.getSchemaPath().should.not.equal(first);
+        s.getMessages().BASE.fields[0].name.should.equal("renamed");
+        fs.readdirSync(cacheDir).should.eql([path.basename(s.getSchemaPath())]);
+        done();
+      } catch (e) { done(e); }
+    });
+  });
+});
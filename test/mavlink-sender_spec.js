@@ -0,0 +1,65 @@
+const should = require("should");
+const mav = require("../lib/mavlink-helpers");
+const { createSender } = require("../lib/mavlink-sender");
+
+const fields = [
+  { name: "target_system", type: "uint8_t" },
+  { name: "command", type: "uint16_t", enum: "MAV_CMD" },
+  { name: "param1", type: "float" }
+];
+const schema = {
+  enums: { MAV_CMD: [{ key: "MAV_CMD_NAV_WAYPOINT", value: 16 }] },
+  messages: {
+    PING_ME: { id: 7, name: "PING_ME", fields, crc: mav.computeCrcExtra("PING_ME", fields) },
+    OTHER: { id: 8, name: "OTHER", fields, crc: mav.computeCrcExtra("OTHER", fields) }
+  }
+};
+
+const nodeWith = (extra) => ({ schemaCfg: { getSchema: () => schema }, sysid: 255, compid: 190, ...extra });
+
+describe("lib/mavlink-sender", function() {
+  it("builds validated frames with enum names and numbers them", function() {
+    const sender = createSender(nodeWith(), "mavlink/test");
+    const a = sender.message("PING_ME", { target_system: 1, command: "MAV_CMD_NAV_WAYPOINT", param1: 2 });
+    const b = sender.message("PING_ME", { target_system: 1, command: 16, param1: 0 });
+    a.topic.should.equal("mavlink/test");
+    a.mavlink.should.eql({ name: "PING_ME", id: 7, seq: 0, version: 2, sysid: 255, compid: 190 });
+    b.mavlink.seq.should.equal(1);
+    const hdr = mav.parseFrameHeader(a.payload);
+    hdr.should.have.properties({ seq: 0, sysid: 255, compid: 190, msgid: 7 });
+    mav.unpackPayload(schema.messages.PING_ME, hdr.payload).should.eql({ target_system: 1, command: 16, param1: 2 });
+    (() => sender.message("PING_ME", { target_system: 1 })).should.throw(/PING_ME: 2 validation error/);
+    (() => sender.message("NOPE", {})).should.throw(/Message "NOPE" not in schema/);
+  });
+
+  it("sends MAVLink 1 when the node asks for it", function() {
+    const sender = createSender(nodeWith({ protocolVersion: "1" }), "mavlink/test");
+    const msg = sender.message("PING_ME", { target_system: 1, command: 16, param1: 0 });
+    msg.mavlink.version.should.equal(1);
+    msg.payload[0].should.equal(0xFE);
+  });
+
+  it("fails without a schema", function() {
+    const sender = createSender({ schemaCfg: null }, "mavlink/test");
+    (() => sender.message("PING_ME", {})).should.throw(/No schema loaded/);
+  });
+
+  it("picks the named messages out of raw frames and parse output", function() {
+    const sender = createSender(nodeWith(), "mavlink/test");
+    const frame = (name, f, sysid) => mav.buildFrameV2(schema.messages[name], mav.packPayload(schema.messages[name], f), { sysid, compid: 1 });
+    const bad = frame("PING_ME", { target_system: 9, command: 16, param1: 0 }, 1);
+    bad[bad.length - 1] ^= 0xff;
+    const raw = Buffer.concat([
+      frame("PING_ME", { target_system: 255, command: 16, param1: 1 }, 1),
+      frame("OTHER", { target_system: 255, command: 16, param1: 2 }, 1),
+      bad,
+      frame("PING_ME", { target_system: 255, command: 16, param1: 3 }, 2)
+    ]);
+    sender.received({ payload: raw }, ["PING_ME"]).map(m => [m.name, m.sysid, m.fields.param1]).should.eql([["PING_ME", 1, 1], ["PING_ME", 2, 3]]);
+
+    const decoded = { payload: { target_system: 255, command: { value: 16, name: "MAV_CMD_NAV_WAYPOINT" }, param1: 4 }, mavlink: { msgid: 7, name: "PING_ME", sysid: 3, compid: 1 } };
+    sender.received(decoded, ["PING_ME"]).should.eql([{ name: "PING_ME", sysid: 3, compid: 1, fields: { target_system: 255, command: 16, param1: 4 } }]);
+    sender.received(decoded, ["OTHER"]).should.eql([]);
+    (() => sender.received({ payload: raw }, ["MISSING"])).should.throw(/MISSING not in schema/);
+  });
+});
@@ -0,0 +1,107 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const signingNode = require("../mavlink-signing.js");
+const parseNode = require("../mavlink-parse.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-signing", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-signing-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  const key = mav.signingKeyFrom("secret");
+
+  function load(signingConfig, parseConfig, cb, credentials = { secretKey: "secret" }) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "k", type: "mavlink-signing", linkId: 1, ...signingConfig },
+      { id: "p", type: "mavlink-parse", schema: "s", signing: "k", ...parseConfig, wires: [["out"]] },
+      { id: "out", type: "helper" }
+    ];
+    helper.load([schemaNode, signingNode, parseNode], flow, { k: credentials },
+      () => cb(helper.getNode("s"), helper.getNode("p"), helper.getNode("out")));
+  }
+
+  function heartbeat(s, seq, signing) {
+    const def = s.getMessages().HEARTBEAT;
+    return mav.buildFrameV2(def, mav.packPayload(def, { type: 2, autopilot: 3, mavlink_version: 3 }), { seq, signing });
+  }
+
+  // Parses each buffer in turn and hands the sequence numbers that came out to cb.
+  function parseAll(p, out, frames, cb) {
+    const seen = [];
+    out.on("input", msg => seen.push([msg.mavlink.seq, msg.mavlink.signatureOk]));
+    for (const f of frames) p.receive({ payload: f });
+    setTimeout(() => cb(seen), 50);
+  }
+
+  it("accepts correctly signed frames and drops forged, unsigned and replayed ones", function(done) {
+    load({}, {}, (s, p, out) => {
+      const now = mav.signingTimestampNow();
+      const frames = [
+        heartbeat(s, 1, { key, linkId: 1, timestamp: now }),
+        heartbeat(s, 2, { key: mav.signingKeyFrom("wrong"), linkId: 1, timestamp: now + 1 }),
+        heartbeat(s, 3),
+        heartbeat(s, 1, { key, linkId: 1, timestamp: now }),       // replay
+        heartbeat(s, 4, { key, linkId: 1, timestamp: now - 1 }),   // older than the last one accepted
+        heartbeat(s, 5, { key, linkId: 1, timestamp: now + 2 }),
+        heartbeat(s, 6, { key, linkId: 2, timestamp: now - 5 }),   // another link has its own timestamps
+        heartbeat(s, 7, { key, linkId: 3, timestamp: now - 2 * 60 * 100000 }) // new stream, too far behind
+      ];
+      parseAll(p, out, frames, (seen) => {
+        try {
+          seen.should.eql([[1, true], [5, true], [6, true]]);
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+
+  it("passes unsigned frames with allowUnsigned and bad ones when not dropping", function(done) {
+    load({ allowUnsigned: true }, { dropInvalidSignature: false }, (s, p, out) => {
+      const now = mav.signingTimestampNow();
+      const frames = [
+        heartbeat(s, 1),
+        heartbeat(s, 2, { key: mav.signingKeyFrom("wrong"), linkId: 1, timestamp: now })
+      ];
+      parseAll(p, out, frames, (seen) => {
+        try {
+          seen.should.eql([[1, false], [2, false]]);
+          done();
+        } catch (e) { done(e); }
+      });
+    });
+  });
+
+  it("signs nothing and verifies nothing without a secret key", function(done) {
+    load({}, { dropInvalidSignature: false }, (s, p, out) => {
+      const k = helper.getNode("k");
+      should(k.getSigning()).be.undefined();
+      helper.log().args.some(a => a[0].type === "mavlink-signing" && a[0].level === helper.log().ERROR).should.be.true();
+      // Signed with sha256(""), what an empty secret used to mean
+      const frames = [heartbeat(s, 1, { key: mav.signingKeyFrom(""), linkId: 1, timestamp: mav.signingTimestampNow() })];
+      parseAll(p, out, frames, (seen) => {
+        try {
+          seen.should.eql([[1, false]]);
+          done();
+        } catch (e) { done(e); }
+      });
+    }, {});
+  });
+});
@@ -0,0 +1,254 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const simNode = require("../mavlink-sim.js");
+const parseNode = require("../mavlink-parse.js");
+const vehicleNode = require("../mavlink-vehicle.js");
+const paramNode = require("../mavlink-param.js");
+const missionNode = require("../mavlink-mission.js");
+const commandNode = require("../mavlink-command.js");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+const HOME = { lat: 47.397742, lon: 8.545594 };
+
+// Metres between two positions, flat earth; plenty for a 50 m circle.
+function distance(a, b) {
+  const north = (b.lat - a.lat) * Math.PI / 180 * 6378137;
+  const east = (b.lon - a.lon) * Math.PI / 180 * 6378137 * Math.cos(a.lat * Math.PI / 180);
+  return Math.hypot(north, east);
+}
+
+describe("mavlink-sim", function() {
+  this.timeout(10000);
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-sim-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  // The simulator's frames go to every GCS node and through mavlink-parse to
+  // mavlink-vehicle; the GCS nodes' frames go back to the simulator. With
+  // decoded set the GCS nodes get the output of a parser that decodes enums
+  // and scales units instead of the raw frames.
+  function load(simConfig, cb, decoded) {
+    const gcs = ["param", "mission", "command"];
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "sim", type: "mavlink-sim", schema: "s", heartbeatRate: 20, statusRate: 5, positionRate: 20, attitudeRate: 20,
+        lat: HOME.lat, lon: HOME.lon, speed: 10, ...simConfig, wires: [["parse", ...(decoded ? ["decoded"] : gcs)]] },
+      { id: "parse", type: "mavlink-parse", schema: "s", wires: [["vehicle"]] },
+      { id: "decoded", type: "mavlink-parse", schema: "s", decodeEnums: true, units: "scale", wires: [gcs] },
+      { id: "vehicle", type: "mavlink-vehicle", schema: "s", wires: [["state"]] },
+      { id: "param", type: "mavlink-param", schema: "s", timeout: 0.3, wires: [["sim"], ["result"], []] },
+      { id: "mission", type: "mavlink-mission", schema: "s", timeout: 0.3, wires: [["sim"], ["result"], []] },
+      { id: "command", type: "mavlink-command", schema: "s", timeout: 0.3, wires: [["sim"], ["result"]] },
+      { id: "state", type: "helper" },
+      { id: "result", type: "helper" }
+    ];
+    const nodes = [schemaNode, simNode, parseNode, vehicleNode, paramNode, missionNode, commandNode];
+    helper.load(nodes, flow, () => cb(helper.getNode("state"), helper.getNode("result")));
+  }
+
+  // Resolves with the next result of the given GCS node.
+  function request(nodeId, msg) {
+    return new Promise((resolve) => {
+      const result = helper.getNode("result");
+      result.once("input", resolve);
+      helper.getNode(nodeId).receive(msg);
+    });
+  }
+
+  // Resolves with the first vehicle state that passes the test.
+  function vehicleState(test) {
+    return new Promise((resolve) => {
+      const state = helper.getNode("state");
+      const check = (msg) => {
+        if (!test(msg.payload)) return;
+        state.removeListener("input", check);
+        resolve(msg.payload);
+      };
+      state.on("input", check);
+    });
+  }
+
+  // Sends a request no vehicle answers, closes the flow and resolves with the
+  // error the request failed with.
+  function failOnClose(nodeId, msg) {
+    return new Promise((resolve) => load({}, resolve)).then(() => {
+      const n = helper.getNode(nodeId);
+      const errors = [];
+      n.error = (e) => errors.push(e);
+      n.receive({ targetSystem: 9, ...msg });
+      return helper.unload().then(() => errors);
+    }).then((errors) => {
+      errors.should.have.length(1);
+      return errors[0];
+    });
+  }
+
+  it("flies a circle through home", function(done) {
+    load({ radius: 50 }, (state) => {
+      const seen = [];
+      state.on("input", (msg) => {
+        const s = msg.payload;
+        if (!s.position || !s.attitude) return;
+        seen.push(s.position);
+        if (seen.length < 10) return;
+        try {
+          s.should.have.properties({ sysid: 1, armed: true, mode: "STABILIZE" });
+          s.position.relativeAlt.should.be.approximately(20, 0.01);
+          s.battery.remaining.should.be.within(99, 100);
+          seen.forEach(p => distance(HOME, p).should.be.below(100.5));
+          distance(seen[0], seen[seen.length - 1]).should.be.above(1);
+          // Clockwise from north: heading east of north and banked right
+          s.position.heading.should.be.within(0, 90);
+          s.attitude.roll.should.be.above(0);
+          state.removeAllListeners("input");
+          done();
+        } catch (e) { state.removeAllListeners("input"); done(e); }
+      });
+    });
+  });
+
+  it("follows scripted waypoints", function(done) {
+    const waypoints = "# two points north and east of home\n47.3979, 8.545594, 30\n47.3979, 8.5458";
+    load({ track: "waypoints", waypoints, speed: 5 }, () => {
+      vehicleState(s => s.position && s.position.relativeAlt > 21).then((s) => {
+        // Climbing towards the first waypoint's altitude while flying north
+        s.position.lat.should.be.above(HOME.lat);
+        s.position.lon.should.be.approximately(HOME.lon, 1e-6);
+        done();
+      }).catch(done);
+    });
+  });
+
+  it("answers parameter fetch and set", function() {
+    return new Promise((resolve) => load({ params: '{"SIM_CUSTOM": 2.5, "RTL_ALT": 3000}' }, resolve))
+      .then(() => request("param", { operation: "fetch" }))
+      .then((msg) => {
+        msg.payload.should.have.properties({ SYSID_THISMAV: 1, RTL_ALT: 3000, WPNAV_SPEED: 500, SIM_CUSTOM: 2.5 });
+        return request("param", { operation: "set", payload: { WPNAV_SPEED: 750.5, FENCE_ENABLE: 1 } });
+      })
+      .then((msg) => {
+        msg.payload.should.have.properties({ ok: true, params: { WPNAV_SPEED: 750.5, FENCE_ENABLE: 1 } });
+        return request("param", { operation: "get", payload: "WPNAV_SPEED" });
+      })
+      .then((msg) => {
+        msg.payload.should.eql({ WPNAV_SPEED: 750.5 });
+      });
+  });
+
+  it("fails a parameter fetch still running when the flow stops", function() {
+    return failOnClose("param", { operation: "fetch" }).then((e) => {
+      e.message.should.equal("Parameter fetch stopped: node closed");
+    });
+  });
+
+  it("accepts a mission upload and returns it on download", function() {
+    const items = [
+      { frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT_INT", command: "MAV_CMD_NAV_TAKEOFF", z: 20 },
+      { frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT_INT", command: "MAV_CMD_NAV_WAYPOINT", x: 473979000, y: 85456000, z: 30 },
+      { frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT_INT", command: "MAV_CMD_NAV_LAND", x: 473977418, y: 85455939 }
+    ];
+    return new Promise((resolve) => load({}, resolve))
+      .then(() => request("mission", { operation: "upload", payload: items }))
+      .then((msg) => {
+        msg.payload.should.eql({ operation: "upload", ok: true, count: 3 });
+        return request("mission", { operation: "download" });
+      })
+      .then((msg) => {
+        msg.payload.should.have.length(3);
+        msg.payload.map(i => i.command).should.eql(["MAV_CMD_NAV_TAKEOFF", "MAV_CMD_NAV_WAYPOINT", "MAV_CMD_NAV_LAND"]);
+        msg.payload[1].should.have.properties({ seq: 1, x: 473979000, y: 85456000, z: 30 });
+        return request("mission", { operation: "clear" });
+      })
+      .then((msg) => {
+        msg.payload.should.have.properties({ operation: "clear", ok: true });
+        return request("mission", { operation: "download" });
+      })
+      .then((msg) => {
+        msg.payload.should.eql([]);
+      });
+  });
+
+  it("works with enum-decoded, unit-scaled parser output", function() {
+    const items = [
+      { frame: "MAV_FRAME_GLOBAL_RELATIVE_ALT_INT", command: "MAV_CMD_NAV_WAYPOINT", x: 473979000, y: 85456000, z: 30 }
+    ];
+    return new Promise((resolve) => load({ airborne: false }, resolve, true))
+      .then(() => request("param", { operation: "get", payload: "RTL_ALT" }))
+      .then((msg) => {
+        msg.payload.should.have.property("RTL_ALT");
+        return request("mission", { operation: "upload", payload: items });
+      })
+      .then((msg) => {
+        msg.payload.should.eql({ operation: "upload", ok: true, count: 1 });
+        return request("mission", { operation: "download" });
+      })
+      .then((msg) => {
+        msg.payload[0].should.have.properties({ command: "MAV_CMD_NAV_WAYPOINT", x: 473979000, y: 85456000, z: 30 });
+        return request("command", { payload: { command: "MAV_CMD_COMPONENT_ARM_DISARM", param1: 1 } });
+      })
+      .then((msg) => {
+        msg.payload.resultName.should.equal("MAV_RESULT_ACCEPTED");
+      });
+  });
+
+  it("fails a mission transfer still running when the flow stops", function() {
+    return failOnClose("mission", { operation: "download" }).then((e) => {
+      e.message.should.equal("Mission download stopped: node closed");
+    });
+  });
+
+  it("fails a command still waiting for its ACK when the flow stops", function() {
+    return failOnClose("command", { payload: { command: "MAV_CMD_COMPONENT_ARM_DISARM", param1: 1 } }).then((e) => {
+      e.message.should.equal("MAV_CMD_COMPONENT_ARM_DISARM stopped: node closed");
+    });
+  });
+
+  it("arms, changes mode and takes off on command", function() {
+    return new Promise((resolve) => load({ airborne: false }, resolve))
+      .then(() => request("command", { payload: { command: "MAV_CMD_NAV_TAKEOFF", param7: 10 } }))
+      .then((msg) => {
+        // Not armed yet
+        msg.payload.resultName.should.equal("MAV_RESULT_DENIED");
+        return request("command", { payload: { command: "MAV_CMD_DO_SET_MODE", param1: 1, param2: 4 } });
+      })
+      .then((msg) => {
+        msg.payload.resultName.should.equal("MAV_RESULT_ACCEPTED");
+        return request("command", { payload: { command: "MAV_CMD_COMPONENT_ARM_DISARM", param1: 1 } });
+      })
+      .then((msg) => {
+        msg.payload.resultName.should.equal("MAV_RESULT_ACCEPTED");
+        return request("command", { payload: { command: "MAV_CMD_NAV_TAKEOFF", param7: 10 } });
+      })
+      .then((msg) => {
+        msg.payload.resultName.should.equal("MAV_RESULT_ACCEPTED");
+        return vehicleState(s => s.position && s.position.relativeAlt > 1);
+      })
+      .then((s) => {
+        s.should.have.properties({ armed: true, mode: "GUIDED" });
+        s.position.vz.should.be.below(0);
+        // Flying: disarm is refused, an unknown mode too
+        return request("command", { payload: { command: "MAV_CMD_COMPONENT_ARM_DISARM", param1: 0 } });
+      })
+      .then((msg) => {
+        msg.payload.resultName.should.equal("MAV_RESULT_DENIED");
+        return request("command", { payload: { command: "MAV_CMD_DO_SET_MODE", param1: 1, param2: 99 } });
+      })
+      .then((msg) => {
+        msg.payload.resultName.should.equal("MAV_RESULT_DENIED");
+      });
+  });
+});
@@ -0,0 +1,90 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const parseNode = require("../mavlink-parse.js");
+const vehicleNode = require("../mavlink-vehicle.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+
+describe("mavlink-vehicle", function() {
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-vehicle-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  // "p" decodes enums and scales units in front of the same vehicle node. The
+  // nodes sit on a tab so that they have a flow context.
+  function load(vehicleConfig, cb) {
+    const flow = [
+      { id: "f", type: "tab" },
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "p", z: "f", type: "mavlink-parse", schema: "s", decodeEnums: true, units: "scale", wires: [["v"]] },
+      { id: "v", z: "f", type: "mavlink-vehicle", schema: "s", ...vehicleConfig, wires: [["out"]] },
+      { id: "out", z: "f", type: "helper" }
+    ];
+    helper.load([schemaNode, parseNode, vehicleNode], flow, () =>
+      cb(helper.getNode("s"), helper.getNode("p"), helper.getNode("v"), helper.getNode("out")));
+  }
+
+  function frame(s, name, fields, sysid = 1) {
+    const def = s.getMessages()[name];
+    return mav.buildFrameV2(def, mav.packPayload(def, fields), { sysid, compid: 1 });
+  }
+
+  const HEARTBEAT = { type: 2, autopilot: 3, base_mode: 128 | 81, custom_mode: 5, system_status: 4, mavlink_version: 3 };
+  const POSITION = { time_boot_ms: 1, lat: 473977418, lon: 85455939, alt: 488000, relative_alt: 10000, vx: 150, vy: -20, vz: 0, hdg: 65535 };
+
+  function collect(out, cb) {
+    const seen = [];
+    out.on("input", msg => seen.push(msg.payload));
+    setTimeout(() => cb(seen), 50);
+  }
+
+  it("builds vehicle state from raw frames and publishes changes only", function(done) {
+    load({ contextStore: "flow" }, (s, p, v, out) => {
+      collect(out, (seen) => {
+        try {
+          seen.should.have.length(2);
+          const state = seen[1];
+          state.should.have.properties({ sysid: 1, type: "MAV_TYPE_QUADROTOR", armed: true, mode: "LOITER", systemStatus: "MAV_STATE_ACTIVE" });
+          state.position.should.eql({ lat: 47.3977418, lon: 8.5455939, alt: 488, relativeAlt: 10, heading: null, vx: 1.5, vy: -0.2, vz: 0 });
+          v.context().flow.get("vehicles")[1].mode.should.equal("LOITER");
+          done();
+        } catch (e) { done(e); }
+      });
+      v.receive({ payload: Buffer.concat([
+        frame(s, "HEARTBEAT", HEARTBEAT),
+        frame(s, "HEARTBEAT", { type: 6, autopilot: 8 }, 255),  // ground station: not a vehicle
+        frame(s, "GLOBAL_POSITION_INT", POSITION),
+        frame(s, "HEARTBEAT", HEARTBEAT)                         // unchanged
+      ]) });
+    });
+  });
+
+  it("reads the same state from enum-decoded, unit-scaled parser output", function(done) {
+    load({}, (s, p, v, out) => {
+      collect(out, (seen) => {
+        try {
+          seen.should.have.length(2);
+          seen[1].should.have.properties({ armed: true, mode: "LOITER", type: "MAV_TYPE_QUADROTOR" });
+          seen[1].position.should.have.properties({ lat: 47.3977418, alt: 488, vx: 1.5 });
+          done();
+        } catch (e) { done(e); }
+      });
+      p.receive({ payload: Buffer.concat([frame(s, "HEARTBEAT", HEARTBEAT), frame(s, "GLOBAL_POSITION_INT", POSITION)]) });
+    });
+  });
+});
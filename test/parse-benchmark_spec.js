@@ -0,0 +1,102 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const should = require("should");
+const helper = require("node-red-node-test-helper");
+const schemaNode = require("../mavlink-schema.js");
+const parseNode = require("../mavlink-parse.js");
+const mav = require("../lib/mavlink-helpers");
+
+helper.init(require.resolve("node-red"));
+
+const FIXTURE = path.join(__dirname, "fixtures", "common.xml");
+const FRAMES = Number(process.env.BENCH_FRAMES || 20000);
+
+// Reports rates only: timings vary too much between machines to assert on.
+// `npm run bench` runs just this file; BENCH_FRAMES sets the stream length.
+describe("mavlink-parse benchmark", function() {
+  this.timeout(60000);
+  let cacheDir;
+
+  before(function(done) {
+    cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), "mavlink-bench-"));
+    helper.startServer(done);
+  });
+  after(function(done) {
+    fs.rmSync(cacheDir, { recursive: true, force: true });
+    helper.stopServer(done);
+  });
+  afterEach(function() { return helper.unload(); });
+
+  function load(cb) {
+    const flow = [
+      { id: "s", type: "mavlink-schema", dialectName: "common", xmlPaths: FIXTURE, cacheDir },
+      { id: "p", type: "mavlink-parse", schema: "s", wires: [["out"]] },
+      { id: "out", type: "helper" }
+    ];
+    helper.load([schemaNode, parseNode], flow, () => cb(helper.getNode("s"), helper.getNode("p"), helper.getNode("out")));
+  }
+
+  // A mixed telemetry stream like a flight controller sends it.
+  function telemetry(schema, count) {
+    const m = schema.getMessages();
+    const samples = [
+      ["ATTITUDE", { time_boot_ms: 1000, roll: 0.1, pitch: -0.2, yaw: 1.5, rollspeed: 0.01 }],
+      ["GLOBAL_POSITION_INT", { time_boot_ms: 1000, lat: 473977418, lon: 85455939, alt: 488000, relative_alt: 10000 }],
+      ["SYS_STATUS", { onboard_control_sensors_health: 7, voltage_battery: 12600, battery_remaining: 80 }],
+      ["HEARTBEAT", { type: 2, autopilot: 3, base_mode: 129, system_status: 4, mavlink_version: 3 }]
+    ];
+    const frames = [];
+    for (let i = 0; i < count; i++) {
+      const [name, fields] = samples[i % samples.length];
+      frames.push(mav.buildFrameV2(m[name], mav.packPayload(m[name], fields), { seq: i & 0xff, sysid: 1, compid: 1 }));
+    }
+    return frames;
+  }
+
+  const rate = (n, ns) => Math.round(n / (Number(ns) / 1e9));
+
+  it("reports msgid lookups per second, indexed and by scanning the message list", function(done) {
+    load((s) => {
+      const messages = s.getMessages();
+      const ids = Object.values(messages).map(m => m.id);
+      const rounds = 200000;
+      let hits = 0;
+
+      let t0 = process.hrtime.bigint();
+      for (let i = 0; i < rounds; i++) if (Object.values(messages).find(m => m.id === ids[i % ids.length])) hits++;
+      const linear = process.hrtime.bigint() - t0;
+
+      t0 = process.hrtime.bigint();
+      for (let i = 0; i < rounds; i++) if (s.getMessageById(ids[i % ids.length])) hits++;
+      const indexed = process.hrtime.bigint() - t0;
+
+      console.log(`      lookup: indexed ${rate(rounds, indexed)}/s, linear ${rate(rounds, linear)}/s`);
+      hits.should.equal(rounds * 2);
+      done();
+    });
+  });
+
+  it(`reports msgs/s decoding ${FRAMES} frames through mavlink-parse`, function(done) {
+    load((s, p, out) => {
+      const frames = telemetry(s, FRAMES);
+      // 100 frames per chunk, like reads from a fast serial link
+      const chunks = [];
+      for (let i = 0; i < frames.length; i += 100) chunks.push(Buffer.concat(frames.slice(i, i + 100)));
+      let received = 0;
+      let t0;
+      out.on("input", (msg) => {
+        if (++received < FRAMES) return;
+        const elapsed = process.hrtime.bigint() - t0;
+        console.log(`      parse: ${FRAMES} frames in ${(Number(elapsed) / 1e6).toFixed(0)} ms, ${rate(FRAMES, elapsed)} msgs/s`);
+        try {
+          msg.mavlink.name.should.equal("HEARTBEAT");
+          msg.mavlink.checksumOk.should.be.true();
+          done();
+        } catch (e) { done(e); }
+      });
+      t0 = process.hrtime.bigint();
+      chunks.forEach(payload => p.receive({ payload }));
+    });
+  });
+});